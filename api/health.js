@@ -1,4 +1,6 @@
 import algoliaIndexer from '../lib/algolia/indexer.js';
+import indexSettings from '../lib/algolia/index-settings.js';
+import syncLockManager from '../lib/algolia/sync-lock.js';
 import { createApiResponse } from '../lib/core/helpers.js';
 import logger from '../lib/core/logger.js';
 
@@ -19,6 +21,8 @@ export default async function handler(req, res) {
   try {
     const connectionTests = await algoliaIndexer.testConnection();
     const indexingStatus = algoliaIndexer.getIndexingStatus();
+    const locks = await getLockStatus(requestLogger);
+    const settings = await getSettingsStatus(requestLogger);
     
     const healthData = {
       status: 'healthy',
@@ -26,9 +30,15 @@ export default async function handler(req, res) {
       version: '1.0.0',
       connections: connectionTests,
       indexing: indexingStatus,
+      locks,
+      settings,
       environment: process.env.NODE_ENV || 'development'
     };
 
+    if (settings.inSync === false) {
+      requestLogger.warn('Index settings drift from the intended settings', { driftCount: settings.driftCount });
+    }
+
     requestLogger.success('Health check completed', { 
       overall: connectionTests.overall 
     });
@@ -49,4 +59,32 @@ export default async function handler(req, res) {
     
     res.status(500).json(response.body);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Lock counts for the health report - a lock store outage should not fail the health check
+ * Backends, owners, keys and errors are internal; the authenticated /api/sync/status lists them.
+ */
+async function getLockStatus(requestLogger) {
+  try {
+    const { held, stale } = await syncLockManager.getSummary();
+    return { held, stale };
+  } catch (error) {
+    requestLogger.warn('Failed to read sync locks', { error: error.message });
+    return { available: false };
+  }
+}
+
+/**
+ * Whether the index settings drift from the intended settings - reported, but never fails the health check
+ * Only the number of drifted attributes is public; /api/sync/status names them.
+ */
+async function getSettingsStatus(requestLogger) {
+  try {
+    const { inSync, drift } = await indexSettings.getDriftStatus();
+    return { inSync, driftCount: drift.length };
+  } catch (error) {
+    requestLogger.warn('Failed to compare index settings', { error: error.message });
+    return { inSync: null };
+  }
+}
@@ -1,11 +1,48 @@
 import algoliaClient from '../lib/algolia/client.js';
+import searchAnalytics from '../lib/algolia/search-analytics.js';
+import config from '../lib/core/config.js';
 import { createApiResponse } from '../lib/core/helpers.js';
 import logger from '../lib/core/logger.js';
-import { validateSearchQuery, buildSafeFilters } from '../lib/security/input-validator.js';
+import authService from '../lib/security/auth.js';
+import {
+  validateSearchQuery,
+  buildSafeFilters,
+  buildSafeNumericFilters,
+  validateFacetFilters,
+  buildSafeFacetFilters
+} from '../lib/security/input-validator.js';
 
 /**
  * API endpoint for searching content in Algolia
  * GET /api/search?q=query&page=0&region=americas&hitsPerPage=20
+ *
+ * Region:
+ * - region: Only content assigned to this region
+ * - includeSubRegions: Set to 'true' to also match the regions below it in the region
+ *   tree (lib/constants/regions.js), e.g. region=asia-pacific adds Japan and Mizuho Bank
+ * - country: Only content of this country (e.g. singapore), for a country site's search box
+ *
+ * Locale:
+ * - locale: 'en' (primary) or a secondary locale tag such as 'ja' or 'fr-FR'. Restricts
+ *   results to that locale and processes the query in its language. Without it, the
+ *   query language is guessed from the script (Japanese, Cyrillic, Arabic) and all
+ *   locales are searched.
+ *
+ * Faceting:
+ * - facets: Comma-separated facets to return counts for (e.g. facets=industries,publishYear)
+ * - filter[attribute]: Facet value to filter on. Repeat for OR within a facet
+ *   (filter[industries]=Energy&filter[industries]=Banking); different facets are ANDed.
+ * - maxValuesPerFacet: Number of values returned per facet (max 100)
+ *
+ * Dates and sorting:
+ * - from, to: Published date range, YYYY-MM-DD or ISO 8601 (a bare `to` date is inclusive)
+ * - year: Published year
+ * - upcoming: Set to 'true' for events that have not started yet
+ * - sort: 'relevance' (default) or 'newest' - newest-first uses a sort replica index
+ *
+ * Analytics:
+ * - The response includes the Algolia queryID. Send it with click and conversion
+ *   events to /api/search/events to attribute them to this search.
  */
 export default async function handler(req, res) {
   const requestLogger = logger.setContext('SearchAPI');
@@ -33,37 +70,113 @@ export default async function handler(req, res) {
       ).body);
     }
 
-    const { q: query, page, region, hitsPerPage, type } = validation.data;
+    const facetFilterValidation = validateFacetFilters(req.query);
+
+    if (!facetFilterValidation.success) {
+      return res.status(400).json(createApiResponse(
+        false,
+        {},
+        facetFilterValidation.message,
+        400
+      ).body);
+    }
+
+    const {
+      q: query,
+      page,
+      region,
+      includeSubRegions,
+      country,
+      hitsPerPage,
+      type,
+      locale,
+      facets,
+      maxValuesPerFacet,
+      from,
+      to,
+      year,
+      upcoming,
+      sort
+    } = validation.data;
+    const facetFilters = facetFilterValidation.data;
 
     requestLogger.info(`Search request: "${query}"`, {
       query,
       page,
       region,
+      includeSubRegions,
+      country,
       type,
-      hitsPerPage
+      locale,
+      hitsPerPage,
+      facets,
+      facetFilters,
+      from,
+      to,
+      year,
+      upcoming,
+      sort
     });
 
+    const { language, params: languageParams } = algoliaClient.getLanguageSearchParams(query, locale);
+
     // Build search options with safe filters
     const searchOptions = {
+      ...languageParams,
       page,
       hitsPerPage,
       attributesToHighlight: ['title', 'summary', 'content'],
       highlightPreTag: '<mark>',
       highlightPostTag: '</mark>',
-      attributesToSnippet: ['content:50', 'summary:30']
+      attributesToSnippet: ['content:50', 'summary:30'],
+      // Makes Algolia return a queryID for click and conversion events
+      clickAnalytics: true,
+      sort
     };
 
     // SECURITY: Use safe filter building to prevent injection
-    const filters = buildSafeFilters({ region, type });
+    const filters = buildSafeFilters({ region, includeSubRegions, country, type, locale });
     if (filters) {
       searchOptions.filters = filters;
     }
 
+    const numericFilters = buildSafeNumericFilters({ from, to, year, upcoming });
+    if (numericFilters.length > 0) {
+      searchOptions.numericFilters = numericFilters;
+    }
+
+    const safeFacetFilters = buildSafeFacetFilters(facetFilters);
+    if (safeFacetFilters.length > 0) {
+      searchOptions.facetFilters = safeFacetFilters;
+    }
+
+    if (facets.length > 0) {
+      searchOptions.facets = facets;
+      if (maxValuesPerFacet) {
+        searchOptions.maxValuesPerFacet = maxValuesPerFacet;
+      }
+    }
+
     // Perform search
-    const response = await algoliaClient.search(query, searchOptions);
+    const response = await algoliaClient.searchWithFacets(query, searchOptions);
+
+    // Awaited so the record is written before the response ends the function; it never throws.
+    // Each record is an Algolia write, so recording is throttled per client IP like /api/search/events
+    if (searchAnalytics.isEnabled() && page === 0 && canRecordSearch(req)) {
+      await searchAnalytics.recordSearch({
+        queryID: response.queryID,
+        query,
+        region,
+        type,
+        locale,
+        nbHits: response.nbHits,
+        page
+      });
+    }
 
     const responseData = {
       query,
+      queryID: response.queryID || null,
       hits: response.hits,
       nbHits: response.nbHits,
       page: response.page,
@@ -72,9 +185,20 @@ export default async function handler(req, res) {
       processingTimeMS: response.processingTimeMS,
       filters: {
         region,
-        type
+        includeSubRegions,
+        country: country || null,
+        type,
+        locale: locale || null,
+        from: from || null,
+        to: to || null,
+        year: year || null,
+        upcoming,
+        facets: facetFilters
       },
+      sort,
+      language,
       facets: response.facets || {},
+      facets_stats: response.facets_stats || {},
       params: response.params || ''
     };
 
@@ -109,4 +233,8 @@ export default async function handler(req, res) {
 
     res.status(500).json(response.body);
   }
-}
\ No newline at end of file
+}
+function canRecordSearch(req) {
+  const clientIp = req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+  return authService.checkRateLimit(`search-analytics:${clientIp}`, config.getAnalyticsConfig().searchesPerMinute).allowed;
+}
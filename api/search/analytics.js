@@ -0,0 +1,64 @@
+import searchAnalytics from '../../lib/algolia/search-analytics.js';
+import { createApiResponse } from '../../lib/core/helpers.js';
+import logger from '../../lib/core/logger.js';
+import { requireAuth } from '../../lib/security/auth.js';
+import { validateSearchAnalyticsRequest } from '../../lib/security/input-validator.js';
+
+/**
+ * Search analytics report: zero-result queries and top queries per region
+ * GET /api/search/analytics?since=2025-01-01&region=americas&limit=20
+ *
+ * Query parameters:
+ * - since / until: Period to report on, YYYY-MM-DD or ISO 8601 (default: the last 30 days)
+ * - region: Only searches filtered to this region ('all' for searches without a region)
+ * - limit: Queries per list (default: 20, max 200)
+ */
+export default async function handler(req, res) {
+  const requestLogger = logger.setContext('SearchAnalyticsReport');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json(createApiResponse(
+      false,
+      {},
+      'Method not allowed - Use GET',
+      405
+    ).body);
+  }
+
+  // SECURITY: Require authentication - the report shows what visitors search for
+  const authCheck = requireAuth(req, res);
+  if (!authCheck.authenticated) {
+    return authCheck.response;
+  }
+
+  try {
+    const validation = validateSearchAnalyticsRequest(req.query);
+    if (!validation.success) {
+      return res.status(400).json(createApiResponse(
+        false,
+        {},
+        validation.message,
+        400
+      ).body);
+    }
+
+    const report = await searchAnalytics.getReport(validation.data);
+
+    requestLogger.info('Search analytics report generated', report.totals);
+
+    return res.status(200).json(createApiResponse(true, report).body);
+  } catch (error) {
+    requestLogger.error('Failed to generate search analytics report', { error: error.message });
+
+    const errorMessage = process.env.NODE_ENV === 'production'
+      ? 'An error occurred while generating the search analytics report. Please check server logs.'
+      : error.message;
+
+    return res.status(500).json(createApiResponse(
+      false,
+      {},
+      errorMessage,
+      500
+    ).body);
+  }
+}
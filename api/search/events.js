@@ -0,0 +1,91 @@
+import searchAnalytics from '../../lib/algolia/search-analytics.js';
+import config from '../../lib/core/config.js';
+import { createApiResponse } from '../../lib/core/helpers.js';
+import logger from '../../lib/core/logger.js';
+import authService from '../../lib/security/auth.js';
+import { validateSearchEvents } from '../../lib/security/input-validator.js';
+
+/**
+ * Record click and conversion events on search results
+ * POST /api/search/events
+ *
+ * JSON body: a single event, or { events: [...] } with up to 20 events
+ * - type: 'click' or 'conversion'
+ * - queryID: queryID returned by /api/search
+ * - objectID: objectID of the hit
+ * - position: 1-based position of the hit in the results (required for clicks)
+ *
+ * A text/plain body is accepted too, so navigator.sendBeacon() can report a
+ * click as the visitor leaves the page without a CORS preflight.
+ *
+ * Requests are throttled per client IP, and events whose queryID matches no
+ * recorded search are dropped.
+ */
+export default async function handler(req, res) {
+  const requestLogger = logger.setContext('SearchEvents');
+
+  if (req.method !== 'POST') {
+    return res.status(405).json(createApiResponse(
+      false,
+      {},
+      'Method not allowed - Use POST',
+      405
+    ).body);
+  }
+
+  const clientIp = req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+  const rateLimit = authService.checkRateLimit(`search-events:${clientIp}`, config.getAnalyticsConfig().eventsPerMinute);
+  if (!rateLimit.allowed) {
+    return res.status(429).json(createApiResponse(
+      false,
+      {},
+      'Too many requests',
+      429
+    ).body);
+  }
+
+  try {
+    let body = req.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (parseError) {
+        return res.status(400).json(createApiResponse(
+          false,
+          {},
+          'Invalid JSON body',
+          400
+        ).body);
+      }
+    }
+
+    const validation = validateSearchEvents(body);
+    if (!validation.success) {
+      return res.status(400).json(createApiResponse(
+        false,
+        {},
+        validation.message,
+        400
+      ).body);
+    }
+
+    const recorded = await searchAnalytics.recordEvents(validation.data);
+
+    requestLogger.debug('Search events recorded', { recorded });
+
+    return res.status(200).json(createApiResponse(true, { recorded }).body);
+  } catch (error) {
+    requestLogger.error('Failed to record search events', { error: error.message });
+
+    const errorMessage = process.env.NODE_ENV === 'production'
+      ? 'An error occurred while recording search events.'
+      : error.message;
+
+    return res.status(500).json(createApiResponse(
+      false,
+      {},
+      errorMessage,
+      500
+    ).body);
+  }
+}
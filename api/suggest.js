@@ -0,0 +1,97 @@
+import algoliaClient from '../lib/algolia/client.js';
+import { createApiResponse } from '../lib/core/helpers.js';
+import logger from '../lib/core/logger.js';
+import { validateSuggestQuery, buildSafeFilters } from '../lib/security/input-validator.js';
+
+/**
+ * API endpoint for type-ahead suggestions
+ * GET /api/suggest?q=sustain&region=americas&hitsPerGroup=3&suggestions=true
+ *
+ * Returns title matches grouped by content type with only title, url and type,
+ * so it is cheap enough to call on every keystroke. Use /api/search for full results.
+ *
+ * Query parameters:
+ * - q, region, country, type, locale: Same rules as /api/search
+ * - hitsPerGroup: Title matches per content type (default 3, max 10)
+ * - suggestions: Set to 'true' to include popular queries from the suggestions index
+ */
+export default async function handler(req, res) {
+  const requestLogger = logger.setContext('SuggestAPI');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json(createApiResponse(
+      false,
+      {},
+      'Method not allowed',
+      405
+    ).body);
+  }
+
+  try {
+    // SECURITY: Validate and sanitize all inputs
+    const validation = validateSuggestQuery(req.query);
+
+    if (!validation.success) {
+      return res.status(400).json(createApiResponse(
+        false,
+        {},
+        validation.message,
+        400
+      ).body);
+    }
+
+    const { q: query, region, country, type, locale, hitsPerGroup, suggestions } = validation.data;
+    const { params: languageParams } = algoliaClient.getLanguageSearchParams(query, locale);
+
+    // SECURITY: Use safe filter building to prevent injection
+    // Suggestion records only carry a region, so country, type and locale apply to title matches only
+    const response = await algoliaClient.suggest(query, {
+      filters: buildSafeFilters({ region, country, type, locale }),
+      suggestionFilters: buildSafeFilters({ region }),
+      languageParams,
+      hitsPerGroup,
+      includeSuggestions: suggestions
+    });
+
+    requestLogger.debug(`Suggest request: "${query}"`, {
+      region,
+      country,
+      type,
+      locale,
+      groups: response.groups.length,
+      suggestions: response.suggestions.length
+    });
+
+    return res.status(200).json(createApiResponse(true, {
+      query,
+      groups: response.groups,
+      suggestions: response.suggestions,
+      nbHits: response.nbHits,
+      processingTimeMS: response.processingTimeMS,
+      filters: {
+        region,
+        country: country || null,
+        type,
+        locale
+      }
+    }).body);
+
+  } catch (error) {
+    requestLogger.error('Suggest request failed', {
+      error: error.message,
+      query: req.query.q
+    });
+
+    // SECURITY: Don't expose internal error details in production
+    const errorMessage = process.env.NODE_ENV === 'production'
+      ? 'An error occurred while fetching suggestions. Please try again.'
+      : error.message;
+
+    return res.status(500).json(createApiResponse(
+      false,
+      { query: req.query.q },
+      errorMessage,
+      500
+    ).body);
+  }
+}
@@ -1,5 +1,5 @@
 import algoliaIndexer from '../lib/algolia/indexer.js';
-import { createApiResponse, validateRequiredEnvVars } from '../lib/core/helpers.js';
+import { createApiResponse, getSyncTrigger, validateRequiredEnvVars } from '../lib/core/helpers.js';
 import logger from '../lib/core/logger.js';
 import { requireAuth } from '../lib/security/auth.js';
 import { validateSyncRequest } from '../lib/security/input-validator.js';
@@ -62,7 +62,12 @@ export default async function handler(req, res) {
 
     let result;
     if (collectionId) {
-      result = await algoliaIndexer.syncSpecificCollection(collectionId, { region, dryRun, cronId });
+      result = await algoliaIndexer.syncSpecificCollection(collectionId, {
+        region,
+        dryRun,
+        cronId,
+        trigger: getSyncTrigger(req)
+      });
     } else {
       result = await algoliaIndexer.syncCMSCollections(region);
     }
@@ -1,8 +1,5 @@
-import staticPagesFetcher from '../lib/webflow/static-fetcher.js';
-import algoliaClient from '../lib/algolia/client.js';
-import pageTransformer from '../lib/transformers/page-transformer.js';
-import syncStateManager from '../lib/algolia/sync-state.js';
-import { createApiResponse, validateRequiredEnvVars } from '../lib/core/helpers.js';
+import algoliaIndexer from '../lib/algolia/indexer.js';
+import { createApiResponse, getSyncTrigger, validateRequiredEnvVars } from '../lib/core/helpers.js';
 import logger from '../lib/core/logger.js';
 import { requireAuth } from '../lib/security/auth.js';
 
@@ -43,104 +40,27 @@ export default async function handler(req, res) {
   }
 
   try {
-    const forceFullSync = req.query.forceFullSync === 'true';
-    const syncStartTime = new Date();
-
-    // Single start message with key info
-    requestLogger.info('Static pages sync started', {
-      mode: forceFullSync ? 'full' : 'incremental',
-      timestamp: syncStartTime.toISOString()
-    });
-
-    // Step 1: Get last sync time
-    const lastSyncTime = forceFullSync ? null : await syncStateManager.getLastSyncTime('static-pages');
-
-    // Step 2: Fetch all page metadata (fast, lightweight)
-    const allPages = await staticPagesFetcher.fetchAllPages({
-      batchSize: 15,
-      maxConcurrent: 8,
-      fetchAllLocales: false
+    const result = await algoliaIndexer.syncStaticPagesIncremental({
+      forceFullSync: req.query.forceFullSync === 'true',
+      trigger: getSyncTrigger(req)
     });
 
-    // Step 3: Deletion sync - remove pages that no longer exist in Webflow
-    try {
-      const webflowPageIDs = allPages.map(page =>
-        `page_${page.id}${page.locale ? `_${page.locale.tag}` : ''}`
-      );
-      const algoliaPageIDs = await algoliaClient.getAllObjectIDsByType('static-page');
-
-      const deletionResult = await algoliaClient.safeDeleteOrphaned(
-        webflowPageIDs,
-        algoliaPageIDs,
-        {
-          safetyThreshold: 0.6,
-          dryRun: false,
-          entityType: 'static pages'
-        }
-      );
-
-      // Only log if items were deleted
-      if (deletionResult.deleted > 0) {
-        requestLogger.warn(`Deleted ${deletionResult.deleted} orphaned pages`);
-      }
-    } catch (error) {
-      requestLogger.error('Deletion sync failed', { error: error.message });
-    }
-
-    // Step 4: Filter to only changed pages
-    let pagesToSync;
-    if (!lastSyncTime) {
-      pagesToSync = allPages;
-    } else {
-      pagesToSync = allPages.filter(page => {
-        const pageLastModified = new Date(page.lastUpdated || page.lastModified || page.createdOn);
-        return pageLastModified > lastSyncTime;
-      });
+    // The lock is shared with the full static sync and site_publish webhooks
+    if (result.inProgress) {
+      return res.status(409).json(createApiResponse(
+        false,
+        { syncType: 'static-pages-incremental' },
+        result.message,
+        409
+      ).body);
     }
 
-    // Step 5: If no changes, return early
-    if (pagesToSync.length === 0) {
-      requestLogger.info('No changes detected');
-      return res.status(200).json(createApiResponse(true, {
-        syncType: 'static-pages-incremental',
-        syncMode: 'incremental',
-        totalPages: allPages.length,
-        changedPages: 0,
-        indexed: 0,
-        lastSyncTime: lastSyncTime?.toISOString(),
-        message: 'No changes detected since last sync'
-      }).body);
-    }
-
-    // Step 6: Transform for Algolia
-    const transformedPages = pageTransformer.transformForAlgolia(pagesToSync);
-
-    // Step 7: Index to Algolia
-    const preparedObjects = await algoliaClient.prepareObjectsForIndexing(transformedPages);
-    const indexResult = await algoliaClient.indexObjects(preparedObjects, {
-      clearIndex: false
-    });
-
-    // Step 8: Update last sync time
-    await syncStateManager.setLastSyncTime('static-pages', syncStartTime);
-
-    const syncDuration = Math.round((new Date() - syncStartTime) / 1000);
-
-    // Single completion message with all key stats
-    requestLogger.success(`Sync complete: ${indexResult.indexed} pages indexed (${syncDuration}s)`);
+    const { errors, ...data } = result;
 
     return res.status(200).json(createApiResponse(true, {
       syncType: 'static-pages-incremental',
-      syncMode: lastSyncTime ? 'incremental' : 'full',
-      totalPages: allPages.length,
-      changedPages: pagesToSync.length,
-      indexed: indexResult.indexed,
-      previousSyncTime: lastSyncTime?.toISOString(),
-      currentSyncTime: syncStartTime.toISOString(),
-      durationSeconds: syncDuration,
-      efficiency: lastSyncTime
-        ? `Synced ${Math.round((pagesToSync.length / allPages.length) * 100)}% of pages`
-        : 'Full sync performed'
+      ...data,
+      ...(errors.length > 0 && { warnings: errors.map(error => error.message) })
     }).body);
 
   } catch (error) {
@@ -0,0 +1,59 @@
+import collectionDiscovery from '../../lib/webflow/collection-discovery.js';
+import { createApiResponse } from '../../lib/core/helpers.js';
+import logger from '../../lib/core/logger.js';
+import { requireAuth } from '../../lib/security/auth.js';
+import { validateCollectionDiscoveryRequest } from '../../lib/security/input-validator.js';
+
+/**
+ * Compare the Webflow site's collections with the collection registry
+ *
+ * Query parameters:
+ * - draft: Set to 'true' to include a draft registry entry for each unconfigured collection
+ */
+export default async function handler(req, res) {
+  const requestLogger = logger.setContext('CollectionDiscovery');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json(createApiResponse(
+      false,
+      {},
+      'Method not allowed - Use GET',
+      405
+    ).body);
+  }
+
+  // SECURITY: Require authentication - the report exposes collection IDs and schemas
+  const authCheck = requireAuth(req, res);
+  if (!authCheck.authenticated) {
+    return authCheck.response;
+  }
+
+  try {
+    const validation = validateCollectionDiscoveryRequest(req.query);
+    if (!validation.success) {
+      return res.status(400).json(createApiResponse(
+        false,
+        {},
+        validation.message,
+        400
+      ).body);
+    }
+
+    const report = await collectionDiscovery.discover({ draft: validation.data.draft });
+
+    return res.status(200).json(createApiResponse(true, report).body);
+  } catch (error) {
+    requestLogger.error('Failed to discover collections', { error: error.message });
+
+    const errorMessage = process.env.NODE_ENV === 'production'
+      ? 'An error occurred while discovering collections. Please check server logs.'
+      : error.message;
+
+    return res.status(500).json(createApiResponse(
+      false,
+      {},
+      errorMessage,
+      500
+    ).body);
+  }
+}
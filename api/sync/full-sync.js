@@ -1,5 +1,5 @@
 import algoliaIndexer from '../../lib/algolia/indexer.js';
-import { createApiResponse, validateRequiredEnvVars } from '../../lib/core/helpers.js';
+import { createApiResponse, getSyncTrigger, validateRequiredEnvVars } from '../../lib/core/helpers.js';
 import logger from '../../lib/core/logger.js';
 import { requireAuth } from '../../lib/security/auth.js';
 import { validateSyncRequest } from '../../lib/security/input-validator.js';
@@ -45,36 +45,58 @@ export default async function handler(req, res) {
       ).body);
     }
 
-    const { region, dryRun, includeStatic, includeCMS, clearIndex } = validation.data;
+    const { region, dryRun, includeStatic, includeCMS, clearIndex, incremental } = validation.data;
 
-    // SECURITY: Extra warning for clearIndex operation
+    // SECURITY: Extra warning for clearIndex operation - records not in this sync are dropped
     if (clearIndex) {
-      requestLogger.warn('DANGEROUS: clearIndex requested');
+      requestLogger.warn('DANGEROUS: clearIndex requested - rebuilding index via temporary index');
     }
 
-    // Single start message
-    requestLogger.info(`CMS sync started: ${region || 'all regions'}`);
+    // Incremental mode only covers CMS collections - static pages have their own incremental endpoint
+    const useIncremental = incremental && includeCMS && !clearIndex;
 
-    const result = await algoliaIndexer.performFullSync({
-      region,
-      dryRun,
-      includeStatic,
-      includeCMS,
-      clearIndex
+    // Single start message
+    requestLogger.info(`CMS sync started: ${region || 'all regions'}`, {
+      mode: useIncremental ? 'incremental' : 'full'
     });
 
+    const trigger = getSyncTrigger(req);
+    const result = useIncremental
+      ? await algoliaIndexer.performIncrementalSync({ region, dryRun, trigger })
+      : await algoliaIndexer.performFullSync({
+        region,
+        dryRun,
+        includeStatic,
+        includeCMS,
+        clearIndex,
+        trigger
+      });
+
     const responseData = {
-      syncType: 'full-sync',
+      syncType: useIncremental ? 'incremental-sync' : 'full-sync',
       region: region || 'all',
       dryRun,
-      includeStatic,
+      includeStatic: useIncremental ? false : includeStatic,
       includeCMS,
       clearIndex,
       totalPrepared: result.prepared || 0,
       staticPages: result.staticPages || 0,
       cmsItems: result.cmsItems || 0,
+      indexed: result.indexed || 0,
+      writes: result.writes,
+      ...(clearIndex && !dryRun && {
+        previousCount: result.algoliaResponse?.previousCount,
+        newCount: result.algoliaResponse?.newCount
+      }),
+      ...(useIncremental && {
+        changed: result.changed,
+        unchanged: result.unchanged,
+        failed: result.failed,
+        deleted: result.deleted,
+        collections: result.collections
+      }),
       timestamp: new Date().toISOString(),
-      message: result.message || 'Full sync completed'
+      message: result.message || (useIncremental ? 'Incremental sync completed' : 'Full sync completed')
     };
 
     // Single completion message with key stats
@@ -0,0 +1,77 @@
+import indexSettings from '../../lib/algolia/index-settings.js';
+import syncLockManager from '../../lib/algolia/sync-lock.js';
+import syncStatusReporter from '../../lib/algolia/sync-status.js';
+import { createApiResponse } from '../../lib/core/helpers.js';
+import logger from '../../lib/core/logger.js';
+import { requireAuth } from '../../lib/security/auth.js';
+import { validateSyncStatusRequest } from '../../lib/security/input-validator.js';
+
+/**
+ * Sync freshness report for dashboards and alerting
+ * Also lists the sync leases and which index settings drift from the intended settings.
+ *
+ * Query parameters:
+ * - counts: Set to 'false' to skip the Webflow vs Algolia count comparison (default: true)
+ * - slaHours: Override the freshness SLA in hours (default: SYNC_FRESHNESS_SLA_HOURS)
+ */
+export default async function handler(req, res) {
+  const requestLogger = logger.setContext('SyncStatus');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json(createApiResponse(
+      false,
+      {},
+      'Method not allowed - Use GET',
+      405
+    ).body);
+  }
+
+  // SECURITY: Require authentication - the report exposes internal error messages
+  const authCheck = requireAuth(req, res);
+  if (!authCheck.authenticated) {
+    return authCheck.response;
+  }
+
+  try {
+    const validation = validateSyncStatusRequest(req.query);
+    if (!validation.success) {
+      return res.status(400).json(createApiResponse(
+        false,
+        {},
+        validation.message,
+        400
+      ).body);
+    }
+
+    const { counts, slaHours } = validation.data;
+
+    const [report, locks, settings] = await Promise.all([
+      syncStatusReporter.getStatus({
+        includeCounts: counts,
+        ...(slaHours && { slaHours })
+      }),
+      syncLockManager.getStatus().catch(error => ({ error: error.message })),
+      indexSettings.getDriftStatus().catch(error => ({ error: error.message }))
+    ]);
+
+    requestLogger.info('Sync status generated', {
+      overall: report.overall,
+      summary: report.summary
+    });
+
+    return res.status(200).json(createApiResponse(true, { ...report, locks, settings }).body);
+  } catch (error) {
+    requestLogger.error('Failed to generate sync status', { error: error.message });
+
+    const errorMessage = process.env.NODE_ENV === 'production'
+      ? 'An error occurred while generating sync status. Please check server logs.'
+      : error.message;
+
+    return res.status(500).json(createApiResponse(
+      false,
+      {},
+      errorMessage,
+      500
+    ).body);
+  }
+}
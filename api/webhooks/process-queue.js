@@ -0,0 +1,61 @@
+import syncLockManager from '../../lib/algolia/sync-lock.js';
+import webhookEventQueue from '../../lib/webhooks/event-queue.js';
+import { createApiResponse } from '../../lib/core/helpers.js';
+import logger from '../../lib/core/logger.js';
+import { requireAuth } from '../../lib/security/auth.js';
+
+/**
+ * Webhook queue worker
+ * Processes queued webhook events whose (next) attempt is due. Called every
+ * minute by Vercel cron; POST runs it on demand.
+ */
+export default async function handler(req, res) {
+  const requestLogger = logger.setContext('WebhookQueueWorker');
+
+  // Allow GET for cron jobs, POST for manual triggers
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json(createApiResponse(
+      false,
+      {},
+      'Method not allowed - Use POST or GET',
+      405
+    ).body);
+  }
+
+  // SECURITY: Require authentication - processing writes to the index
+  const authCheck = requireAuth(req, res);
+  if (!authCheck.authenticated) {
+    return authCheck.response;
+  }
+
+  try {
+    const result = await webhookEventQueue.processQueue();
+
+    // This cron runs every minute, so it also clears expired sync locks (hourly)
+    await syncLockManager.pruneIfDue();
+
+    // The previous run is still draining the queue
+    if (result.inProgress) {
+      return res.status(200).json(createApiResponse(true, {
+        processed: 0,
+        message: result.message
+      }).body);
+    }
+
+    const { success, ...summary } = result;
+    return res.status(200).json(createApiResponse(success, summary).body);
+  } catch (error) {
+    requestLogger.error('Webhook queue processing failed', { error: error.message });
+
+    const errorMessage = process.env.NODE_ENV === 'production'
+      ? 'An error occurred processing the webhook queue. Please check server logs.'
+      : error.message;
+
+    return res.status(500).json(createApiResponse(
+      false,
+      {},
+      errorMessage,
+      500
+    ).body);
+  }
+}
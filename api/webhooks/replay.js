@@ -0,0 +1,79 @@
+import webhookEventQueue from '../../lib/webhooks/event-queue.js';
+import { createApiResponse } from '../../lib/core/helpers.js';
+import logger from '../../lib/core/logger.js';
+import { requireAuth } from '../../lib/security/auth.js';
+import { validateWebhookReplayRequest } from '../../lib/security/input-validator.js';
+
+/**
+ * Replay queued webhook events, typically from the dead-letter store
+ *
+ * JSON body:
+ * - eventIds: Event IDs to replay (max 100), whatever their status
+ * - since / until: Replay events received in this range (YYYY-MM-DD or ISO 8601)
+ * - status: Status of the events to replay by range (default: dead)
+ *
+ * The events are reset to pending with a fresh set of attempts and processed
+ * right away, unless the queue worker is running - then it picks them up.
+ */
+export default async function handler(req, res) {
+  const requestLogger = logger.setContext('WebhookReplay');
+
+  if (req.method !== 'POST') {
+    return res.status(405).json(createApiResponse(
+      false,
+      {},
+      'Method not allowed - Use POST',
+      405
+    ).body);
+  }
+
+  // SECURITY: Require authentication - replaying writes to the index
+  const authCheck = requireAuth(req, res);
+  if (!authCheck.authenticated) {
+    return authCheck.response;
+  }
+
+  try {
+    const validation = validateWebhookReplayRequest(req.body);
+    if (!validation.success) {
+      return res.status(400).json(createApiResponse(
+        false,
+        {},
+        validation.message,
+        400
+      ).body);
+    }
+
+    const replay = await webhookEventQueue.replay(validation.data);
+
+    const result = replay.queued.length > 0
+      ? await webhookEventQueue.processQueue({ eventIds: replay.queued })
+      : { events: [] };
+
+    requestLogger.info('Webhook events replayed', {
+      queued: replay.queued.length,
+      processed: result.processed || 0,
+      skipped: replay.skipped.length,
+      notFound: replay.notFound.length
+    });
+
+    return res.status(200).json(createApiResponse(true, {
+      ...replay,
+      processedNow: !result.inProgress,
+      events: result.events || []
+    }).body);
+  } catch (error) {
+    requestLogger.error('Webhook replay failed', { error: error.message });
+
+    const errorMessage = process.env.NODE_ENV === 'production'
+      ? 'An error occurred replaying webhook events. Please check server logs.'
+      : error.message;
+
+    return res.status(500).json(createApiResponse(
+      false,
+      {},
+      errorMessage,
+      500
+    ).body);
+  }
+}
@@ -1,7 +1,7 @@
 import { createApiResponse } from '../../lib/core/helpers.js';
 import logger from '../../lib/core/logger.js';
 import { validateWebhookSignature, validateWebhookPayload } from '../../lib/webhooks/validator.js';
-import webhookProcessor from '../../lib/webhooks/processor.js';
+import webhookEventQueue from '../../lib/webhooks/event-queue.js';
 
 export const config = {
   api: {
@@ -65,7 +65,11 @@ export default async function handler(req, res) {
       'collection_item_changed': process.env.WEBFLOW_WEBHOOK_SECRET_CHANGE,
       'collection_item_published': process.env.WEBFLOW_WEBHOOK_SECRET_PUBLISH,
       'collection_item_deleted': process.env.WEBFLOW_WEBHOOK_SECRET_DELETE,
-      'collection_item_unpublished': process.env.WEBFLOW_WEBHOOK_SECRET_UNPUBLISH
+      'collection_item_unpublished': process.env.WEBFLOW_WEBHOOK_SECRET_UNPUBLISH,
+      'site_publish': process.env.WEBFLOW_WEBHOOK_SECRET_SITE_PUBLISH,
+      'page_created': process.env.WEBFLOW_WEBHOOK_SECRET_PAGE_CREATED,
+      'page_metadata_updated': process.env.WEBFLOW_WEBHOOK_SECRET_PAGE_METADATA_UPDATED,
+      'page_deleted': process.env.WEBFLOW_WEBHOOK_SECRET_PAGE_DELETED
     };
 
     const webhookSecret = secretMap[triggerType] || process.env.WEBFLOW_WEBHOOK_SECRET;
@@ -120,45 +124,36 @@ export default async function handler(req, res) {
       triggerType: validation.triggerType,
       itemId: validation.itemId,
       collectionId: validation.collectionId,
+      pageId: validation.pageId,
       isDraft: validation.isDraft,
       isArchived: validation.isArchived
     });
 
-    // Process the webhook event
-    const result = await webhookProcessor.processWebhookEvent(
-      validation.triggerType,
-      validation
-    );
-
-    requestLogger.success('Webhook processed successfully', {
-      triggerType: validation.triggerType,
-      itemId: validation.itemId,
-      processed: result.processed,
-      action: result.action
-    });
+    // Persist the event and acknowledge; the queue worker processes it with retries
+    const event = await webhookEventQueue.enqueue(validation);
 
-    // Return success response
     const response = createApiResponse(true, {
+      eventId: event.eventId,
       triggerType: validation.triggerType,
       itemId: validation.itemId,
       collectionId: validation.collectionId,
-      processed: result.processed,
-      action: result.action,
-      reason: result.reason,
+      pageId: validation.pageId,
+      queued: true,
       timestamp: new Date().toISOString()
-    });
+    }, null, 202);
 
-    return res.status(200).json(response.body);
+    return res.status(202).json(response.body);
 
   } catch (error) {
-    requestLogger.error('Webhook processing failed', {
+    // Webflow retries a failed delivery, so an event that could not be queued is not lost
+    requestLogger.error('Failed to queue webhook event', {
       error: error.message,
       stack: error.stack
     });
 
     // Return error response
     const errorMessage = process.env.NODE_ENV === 'production'
-      ? 'An error occurred processing the webhook'
+      ? 'An error occurred queueing the webhook'
       : error.message;
 
     const response = createApiResponse(
@@ -0,0 +1,84 @@
+import algoliaClient from './client.js';
+import logger from '../core/logger.js';
+
+/**
+ * Attachment Text Cache
+ *
+ * Stores the text extracted from each attachment in a `<index>_attachment_text`
+ * Algolia index, keyed by Webflow fileId. Webflow gives a replaced file a new
+ * fileId, so an entry never goes stale and an unchanged PDF is parsed only once.
+ *
+ * Lookups also go through an in-memory map, since localized collections reference
+ * the same file from every locale version of an item. A cache failure is logged
+ * and treated as a miss - it costs a re-parse, never the sync.
+ */
+class AttachmentTextCache {
+  constructor() {
+    this.logger = logger.setContext('AttachmentCache');
+    this.entries = new Map();
+    // Algolia's record limit is 10KB; leave room for the other attributes
+    this.maxTextBytes = 9000;
+  }
+
+  async getIndex() {
+    await algoliaClient.init();
+    return algoliaClient.getClient().initIndex(`${algoliaClient.indexName}_attachment_text`);
+  }
+
+  /**
+   * @param {string} fileId - Webflow file ID
+   * @returns {Promise<Object|null>} - { text, pages, truncated, skipped } or null on a miss
+   */
+  async get(fileId) {
+    if (this.entries.has(fileId)) {
+      return this.entries.get(fileId);
+    }
+
+    try {
+      const index = await this.getIndex();
+      const { objectID, ...entry } = await index.getObject(fileId);
+      this.entries.set(fileId, entry);
+      return entry;
+    } catch (error) {
+      if (error.status !== 404) {
+        this.logger.warn(`Failed to read cached text for file ${fileId}`, { error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} fileId - Webflow file ID
+   * @param {Object} entry - { text, pages, truncated, skipped, url, fileName }
+   * @returns {Promise<Object>} - The entry as stored, with its text fitted to the record limit
+   */
+  async set(fileId, entry) {
+    const text = this.fitText(entry.text || '');
+    const stored = {
+      ...entry,
+      text,
+      truncated: Boolean(entry.truncated) || text.length < (entry.text || '').length,
+      extractedAt: new Date().toISOString()
+    };
+    this.entries.set(fileId, stored);
+
+    try {
+      const index = await this.getIndex();
+      await index.saveObject({ objectID: fileId, ...stored });
+    } catch (error) {
+      this.logger.warn(`Failed to cache text for file ${fileId}`, { error: error.message });
+    }
+
+    return stored;
+  }
+
+  fitText(text) {
+    let fitted = text;
+    while (Buffer.byteLength(fitted, 'utf8') > this.maxTextBytes) {
+      fitted = fitted.substring(0, Math.floor(fitted.length * 0.9));
+    }
+    return fitted;
+  }
+}
+
+export default new AttachmentTextCache();
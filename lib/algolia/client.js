@@ -1,6 +1,9 @@
+import crypto from 'crypto';
 import logger from '../core/logger.js';
 import config from '../core/config.js';
 import helpers from '../core/helpers.js';
+import recordSplitter from './record-splitter.js';
+import { getSearchLocaleTags, getLanguageForLocale } from '../constants/locale-folders.js';
 
 class AlgoliaClient {
   constructor() {
@@ -40,30 +43,64 @@ class AlgoliaClient {
 
   async indexObjects(objects, options = {}) {
     await this.init();
-    const { batchSize = 1000, clearIndex = false } = options;
+    const { batchSize = 1000, clearIndex = false, skipUnchanged = true, keepExisting } = options;
+
+    // Rebuilding from scratch goes through a temporary index so search never sees an empty index
+    if (clearIndex) {
+      return this.atomicReindex(objects, { batchSize, ...(keepExisting && { keepExisting }) });
+    }
     
     this.logger.step(`Preparing to index ${objects.length} objects to Algolia`);
     
     try {
-      if (clearIndex) {
-        await this.clearIndex();
+      const hashedObjects = objects.map(obj => this.withContentHash(obj));
+
+      const changes = skipUnchanged
+        ? await this.classifyObjectChanges(hashedObjects)
+        : { created: hashedObjects, updated: [], unchanged: [] };
+
+      const objectsToWrite = [...changes.created, ...changes.updated];
+      const staleChunkIDs = changes.staleChunkIDs || [];
+
+      if (changes.unchanged.length > 0) {
+        this.logger.info(`Skipping ${changes.unchanged.length} unchanged objects`, {
+          created: changes.created.length,
+          updated: changes.updated.length
+        });
       }
 
-      const batches = helpers.chunk(objects, batchSize);
+      const batches = helpers.chunk(objectsToWrite, batchSize);
       let totalIndexed = 0;
 
       for (const batch of batches) {
         await this.indexBatch(batch);
         totalIndexed += batch.length;
-        this.logger.info(`Indexed batch: ${totalIndexed}/${objects.length}`);
+        this.logger.info(`Indexed batch: ${totalIndexed}/${objectsToWrite.length}`);
         
         if (batches.indexOf(batch) < batches.length - 1) {
           await helpers.sleep(config.getSyncConfig().rateLimitDelay);
         }
       }
 
-      this.logger.success(`Successfully indexed ${totalIndexed} objects to Algolia`);
-      return { success: true, indexed: totalIndexed };
+      // Content that shrank leaves chunks from the previous, longer version behind
+      if (staleChunkIDs.length > 0) {
+        await this.index.deleteObjects(staleChunkIDs);
+        this.logger.info(`Deleted ${staleChunkIDs.length} stale content chunks`);
+      }
+
+      this.logger.success(`Successfully indexed ${totalIndexed} objects to Algolia`, {
+        created: changes.created.length,
+        updated: changes.updated.length,
+        unchanged: changes.unchanged.length
+      });
+      return {
+        success: true,
+        indexed: totalIndexed,
+        created: changes.created.length,
+        updated: changes.updated.length,
+        unchanged: changes.unchanged.length,
+        staleChunksDeleted: staleChunkIDs.length
+      };
     } catch (error) {
       this.logger.error('Failed to index objects to Algolia', { 
         error: error.message 
@@ -72,10 +109,85 @@ class AlgoliaClient {
     }
   }
 
-  async indexBatch(batch, retries = 3) {
+  /**
+   * Compute a hash of an object's indexable content
+   * Fields that change on every run (index timestamps) are left out so an
+   * unchanged record always produces the same hash.
+   * @param {Object} obj - Object prepared for Algolia
+   * @returns {string} - Hex content hash
+   */
+  computeContentHash(obj) {
+    const { contentHash, metadata, searchMetadata, ...rest } = obj;
+    const stable = { ...rest };
+
+    if (metadata && typeof metadata === 'object') {
+      const { lastIndexed, ...stableMetadata } = metadata;
+      stable.metadata = stableMetadata;
+    }
+
+    if (searchMetadata && typeof searchMetadata === 'object') {
+      const { indexedAt, ...stableSearchMetadata } = searchMetadata;
+      stable.searchMetadata = stableSearchMetadata;
+    }
+
+    return crypto.createHash('sha1').update(JSON.stringify(stable)).digest('hex');
+  }
+
+  withContentHash(obj) {
+    return {
+      ...obj,
+      contentHash: this.computeContentHash(obj)
+    };
+  }
+
+  /**
+   * Compare objects against the hashes stored in the index
+   * Also finds the continuation chunks a split record no longer has.
+   * @param {Object[]} objects - Objects carrying a contentHash
+   * @returns {Promise<Object>} - { created, updated, unchanged } arrays of objects, plus staleChunkIDs
+   */
+  async classifyObjectChanges(objects) {
+    const created = [];
+    const updated = [];
+    const unchanged = [];
+    const staleChunkIDs = [];
+
+    for (const batch of helpers.chunk(objects, 1000)) {
+      const response = await this.index.getObjects(
+        batch.map(obj => obj.objectID),
+        { attributesToRetrieve: ['contentHash', 'chunkCount'] }
+      );
+      const existing = response.results || [];
+
+      batch.forEach((obj, i) => {
+        const stored = existing[i];
+
+        if (stored && !obj.isContentChunk) {
+          for (let chunkIndex = obj.chunkCount || 1; chunkIndex < (stored.chunkCount || 1); chunkIndex++) {
+            staleChunkIDs.push(recordSplitter.getChunkObjectID(obj.objectID, chunkIndex));
+          }
+        }
+
+        if (!stored) {
+          created.push(obj);
+        } else if (stored.contentHash !== obj.contentHash) {
+          updated.push(obj);
+        } else {
+          unchanged.push(obj);
+        }
+      });
+    }
+
+    return { created, updated, unchanged, staleChunkIDs };
+  }
+
+  async indexBatch(batch, retries = 3, options = {}) {
+    const { index = this.index, waitForTask = false } = options;
+
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
-        const response = await this.index.saveObjects(batch);
+        const request = index.saveObjects(batch);
+        const response = waitForTask ? await request.wait() : await request;
         this.logger.debug(`Batch indexed successfully`, { 
           objectCount: batch.length,
           taskID: response.taskID,
@@ -92,7 +204,7 @@ class AlgoliaClient {
           
           const filteredBatch = this.filterOversizedObjects(batch);
           if (filteredBatch.length < batch.length) {
-            return await this.indexBatch(filteredBatch, 1); // Single retry for filtered batch
+            return await this.indexBatch(filteredBatch, 1, options); // Single retry for filtered batch
           }
         }
         
@@ -118,9 +230,17 @@ class AlgoliaClient {
     }
   }
 
+  /**
+   * Size of an object as Algolia counts it: UTF-8 bytes of its JSON
+   * Character counts undercount non-Latin text (a Japanese character is 3 bytes).
+   */
+  getObjectSize(obj) {
+    return Buffer.byteLength(JSON.stringify(obj), 'utf8');
+  }
+
   filterOversizedObjects(batch) {
     return batch.filter(obj => {
-      const size = JSON.stringify(obj).length;
+      const size = this.getObjectSize(obj);
       if (size > 9500) {
         this.logger.warn(`Skipping oversized object`, {
           objectID: obj.objectID,
@@ -148,11 +268,164 @@ class AlgoliaClient {
     }
   }
 
-  async updateSettings(settings) {
+  /**
+   * Rebuild the whole index without downtime
+   *
+   * Settings, synonyms and rules are copied from the live index to a temporary
+   * index, the objects are written there, and the temporary index is moved over
+   * the live one once its record count passes the safety check. Until the move,
+   * search keeps serving the old records. On failure the temporary index is
+   * deleted and the live index is left untouched.
+   *
+   * @param {Object[]} objects - Objects prepared for Algolia
+   * @param {Object} options - Rebuild options
+   * @param {number} options.batchSize - Objects per saveObjects call
+   * @param {number} options.safetyThreshold - Abort if the rebuild would drop more than this fraction of live records (0.6 = 60%)
+   * @param {Function} options.keepExisting - Predicate selecting live records to carry over (defaults to metadata records such as sync state)
+   * @returns {Promise<Object>} - Indexing result with record counts
+   */
+  async atomicReindex(objects, options = {}) {
+    await this.init();
+    const {
+      batchSize = 1000,
+      safetyThreshold = 0.6,
+      keepExisting = (obj) => obj.type === 'metadata'
+    } = options;
+
+    const tmpIndexName = `${this.indexName}_tmp`;
+    const tmpIndex = this.client.initIndex(tmpIndexName);
+
+    this.logger.step(`Rebuilding index via ${tmpIndexName}`, {
+      objects: objects.length
+    });
+
+    try {
+      // Remove leftovers from an earlier run that failed before cleanup
+      await this.deleteIndexIfExists(tmpIndex);
+
+      const liveCount = await this.countRecords(this.index);
+
+      if (liveCount !== null) {
+        await this.client.copyIndex(this.indexName, tmpIndexName, {
+          scope: ['settings', 'synonyms', 'rules']
+        }).wait();
+        this.logger.info('Copied settings, synonyms and rules to temporary index');
+      }
+
+      const carriedOver = [];
+      if (liveCount) {
+        await this.index.browseObjects({
+          batch: (batch) => {
+            carriedOver.push(...batch.filter(keepExisting));
+          }
+        });
+      }
+
+      const newObjectIDs = new Set(objects.map(obj => obj.objectID));
+      const objectsToWrite = [
+        ...objects.map(obj => this.withContentHash(obj)),
+        ...carriedOver.filter(obj => !newObjectIDs.has(obj.objectID))
+      ];
+
+      let totalIndexed = 0;
+      for (const batch of helpers.chunk(objectsToWrite, batchSize)) {
+        await this.indexBatch(batch, 3, { index: tmpIndex, waitForTask: true });
+        totalIndexed += batch.length;
+        this.logger.info(`Indexed batch into temporary index: ${totalIndexed}/${objectsToWrite.length}`);
+      }
+
+      const newCount = await this.countRecords(tmpIndex) || 0;
+      const minimumCount = Math.ceil((liveCount || 0) * (1 - safetyThreshold));
+
+      if (newCount < minimumCount) {
+        const dropPercentage = Math.round((1 - newCount / liveCount) * 100);
+        this.logger.error('SAFETY CHECK FAILED: Rebuilt index is missing too many records', {
+          liveCount,
+          newCount,
+          dropPercentage: `${dropPercentage}%`,
+          threshold: `${safetyThreshold * 100}%`
+        });
+        throw new Error(`Safety check failed: rebuilt index has ${newCount} records vs ${liveCount} live (${dropPercentage}% drop exceeds ${safetyThreshold * 100}% threshold)`);
+      }
+
+      await this.client.moveIndex(tmpIndexName, this.indexName).wait();
+
+      this.logger.success(`Index rebuilt atomically with ${newCount} records`, {
+        previousCount: liveCount || 0,
+        carriedOver: objectsToWrite.length - objects.length
+      });
+
+      return {
+        success: true,
+        atomic: true,
+        indexed: objects.length,
+        created: objects.length,
+        updated: 0,
+        unchanged: 0,
+        previousCount: liveCount || 0,
+        newCount
+      };
+    } catch (error) {
+      this.logger.error('Atomic reindex failed - live index left untouched', {
+        error: error.message
+      });
+
+      try {
+        await this.deleteIndexIfExists(tmpIndex);
+      } catch (cleanupError) {
+        this.logger.warn(`Failed to delete temporary index ${tmpIndexName}`, {
+          error: cleanupError.message
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Count the records in an index
+   * @param {Object} index - Algolia index
+   * @param {string} filters - Optional Algolia filter expression
+   * @returns {Promise<number|null>} - Record count, or null if the index does not exist
+   */
+  async countRecords(index, filters = undefined) {
+    try {
+      const response = await index.search('', {
+        hitsPerPage: 0,
+        analytics: false,
+        ...(filters && { filters })
+      });
+      return response.nbHits;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async deleteIndexIfExists(index) {
+    try {
+      await index.delete().wait();
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  async getSettings() {
+    await this.init();
+    return await this.index.getSettings();
+  }
+
+  async updateSettings(settings, options = {}) {
+    const { waitForTask = false } = options;
     await this.init();
     this.logger.step('Updating Algolia index settings');
     try {
-      const response = await this.index.setSettings(settings);
+      const request = this.index.setSettings(settings);
+      const response = waitForTask ? await request.wait() : await request;
       this.logger.success('Index settings updated', { 
         taskID: response.taskID 
       });
@@ -165,26 +438,40 @@ class AlgoliaClient {
     }
   }
 
+  /**
+   * Search the index, or one of its sort replicas
+   * @param {string} query - Search query
+   * @param {Object} options - Search parameters, plus sort ('relevance' or a replica key from getReplicaIndexNames())
+   * @returns {Promise<Object>} - Search response
+   */
   async search(query, options = {}) {
     await this.init();
-    
+
+    const { sort, ...params } = options;
+
     try {
       const searchOptions = {
-        hitsPerPage: options.hitsPerPage || 20,
-        page: options.page || 0,
-        attributesToRetrieve: ['*'],
+        hitsPerPage: params.hitsPerPage || 20,
+        page: params.page || 0,
+        // PDF text is only searched; its snippet shows where a query matched
+        attributesToRetrieve: ['*', '-attachmentText'],
         attributesToHighlight: ['title', 'summary', 'content'],
         highlightPreTag: '<mark>',
         highlightPostTag: '</mark>',
-        ...options
+        // Count a split record once in facet counts, as in the hits
+        facetingAfterDistinct: true,
+        ...params
       };
 
-      const response = await this.index.search(query, searchOptions);
+      const indexName = this.getSortIndexName(sort);
+      const index = indexName === this.indexName ? this.index : this.client.initIndex(indexName);
+      const response = await index.search(query, searchOptions);
       
       this.logger.info(`Search completed for query: "${query}"`, {
         hits: response.hits.length,
         totalHits: response.nbHits,
-        processingTime: response.processingTimeMS
+        processingTime: response.processingTimeMS,
+        sort: sort || 'relevance'
       });
 
       return response;
@@ -197,8 +484,212 @@ class AlgoliaClient {
     }
   }
 
+  /**
+   * Search with disjunctive facet counts
+   * options.facetFilters holds one OR group per attribute. For every filtered attribute
+   * that is also requested as a facet, an extra query without that attribute's own
+   * filter supplies its counts, so a filter sidebar keeps showing the values that can
+   * still be added. All queries go out in a single multipleQueries call.
+   * @param {string} query - Search query
+   * @param {Object} options - Search options, including facets and facetFilters
+   * @returns {Promise<Object>} - Search response with merged facets and facets_stats
+   */
+  async searchWithFacets(query, options = {}) {
+    await this.init();
+
+    const { sort, ...params } = options;
+    const { facets = [], facetFilters = [] } = params;
+    const attributeOf = (group) => group[0].slice(0, group[0].indexOf(':'));
+    const disjunctiveGroups = facetFilters.filter(group => facets.includes(attributeOf(group)));
+
+    if (disjunctiveGroups.length === 0) {
+      return this.search(query, options);
+    }
+
+    const baseParams = {
+      hitsPerPage: params.hitsPerPage || 20,
+      page: params.page || 0,
+      attributesToRetrieve: ['*', '-attachmentText'],
+      attributesToHighlight: ['title', 'summary', 'content'],
+      highlightPreTag: '<mark>',
+      highlightPostTag: '</mark>',
+      facetingAfterDistinct: true,
+      ...params
+    };
+
+    // Replicas hold the same records, so the facet count queries can run against it too
+    const indexName = this.getSortIndexName(sort);
+
+    const queries = [
+      { indexName, query, params: baseParams },
+      ...disjunctiveGroups.map(group => ({
+        indexName,
+        query,
+        params: {
+          // Same query processing as the main query, or counts and hits disagree for non-English queries
+          ...(params.queryLanguages && { queryLanguages: params.queryLanguages }),
+          ...(params.ignorePlurals !== undefined && { ignorePlurals: params.ignorePlurals }),
+          ...(params.filters && { filters: params.filters }),
+          ...(params.numericFilters && { numericFilters: params.numericFilters }),
+          facetFilters: facetFilters.filter(other => other !== group),
+          facets: [attributeOf(group)],
+          facetingAfterDistinct: true,
+          ...(params.maxValuesPerFacet && { maxValuesPerFacet: params.maxValuesPerFacet }),
+          hitsPerPage: 0,
+          attributesToRetrieve: [],
+          analytics: false
+        }
+      }))
+    ];
+
+    try {
+      const { results } = await this.client.multipleQueries(queries);
+      const [response, ...disjunctiveResults] = results;
+
+      response.facets = { ...(response.facets || {}) };
+      response.facets_stats = { ...(response.facets_stats || {}) };
+
+      disjunctiveResults.forEach((result, i) => {
+        const attribute = attributeOf(disjunctiveGroups[i]);
+        response.facets[attribute] = result.facets?.[attribute] || {};
+        if (result.facets_stats?.[attribute]) {
+          response.facets_stats[attribute] = result.facets_stats[attribute];
+        }
+      });
+
+      this.logger.info(`Faceted search completed for query: "${query}"`, {
+        hits: response.hits.length,
+        totalHits: response.nbHits,
+        disjunctiveFacets: disjunctiveGroups.length
+      });
+
+      return response;
+    } catch (error) {
+      this.logger.error('Faceted search failed', {
+        query,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Type-ahead suggestions
+   * Fetches the top title matches in one lightweight query and groups them by content
+   * type, keeping the best hitsPerGroup of each group. Popular-query suggestions, when
+   * requested, come from the suggestions index in the same multipleQueries call.
+   * @param {string} query - Partial query typed so far
+   * @param {Object} options - { filters, suggestionFilters, languageParams, hitsPerGroup, includeSuggestions, suggestionsLimit }
+   * @returns {Promise<Object>} - { groups: [{ type, hits }], suggestions, nbHits, processingTimeMS }
+   */
+  async suggest(query, options = {}) {
+    await this.init();
+
+    const {
+      filters,
+      suggestionFilters,
+      languageParams = {},
+      hitsPerGroup = 3,
+      includeSuggestions = false,
+      suggestionsLimit = 5
+    } = options;
+
+    const queries = [{
+      indexName: this.indexName,
+      query,
+      params: {
+        // Over-fetch so that a few strong matches of one type do not crowd out the others
+        hitsPerPage: Math.min(hitsPerGroup * 10, 50),
+        restrictSearchableAttributes: ['title'],
+        attributesToRetrieve: ['title', 'url', 'type'],
+        attributesToHighlight: ['title'],
+        attributesToSnippet: [],
+        highlightPreTag: '<mark>',
+        highlightPostTag: '</mark>',
+        ...(filters && { filters }),
+        ...languageParams,
+        // Keystrokes are not searches - keep them out of analytics
+        analytics: false,
+        clickAnalytics: false
+      }
+    }];
+
+    if (includeSuggestions) {
+      queries.push({
+        indexName: this.getQuerySuggestionsIndexName(),
+        query,
+        params: {
+          hitsPerPage: suggestionsLimit,
+          attributesToRetrieve: ['query', 'popularity'],
+          attributesToHighlight: ['query'],
+          highlightPreTag: '<mark>',
+          highlightPostTag: '</mark>',
+          ...(suggestionFilters && { filters: suggestionFilters }),
+          ...languageParams,
+          analytics: false
+        }
+      });
+    }
+
+    try {
+      const { results } = await this.client.multipleQueries(queries);
+      const [response, suggestionsResponse] = results;
+
+      const groups = [];
+      for (const hit of response.hits) {
+        let group = groups.find(entry => entry.type === hit.type);
+        if (!group) {
+          group = { type: hit.type, hits: [] };
+          groups.push(group);
+        }
+        if (group.hits.length < hitsPerGroup) {
+          group.hits.push({
+            objectID: hit.objectID,
+            title: hit.title,
+            url: hit.url,
+            type: hit.type,
+            highlightedTitle: hit._highlightResult?.title?.value || hit.title
+          });
+        }
+      }
+
+      const suggestions = suggestionsResponse
+        ? suggestionsResponse.hits.map(hit => ({
+          query: hit.query,
+          popularity: hit.popularity,
+          highlightedQuery: hit._highlightResult?.query?.value || hit.query
+        }))
+        : [];
+
+      this.logger.debug(`Suggest completed for query: "${query}"`, {
+        groups: groups.length,
+        suggestions: suggestions.length
+      });
+
+      return {
+        groups,
+        suggestions,
+        nbHits: response.nbHits,
+        processingTimeMS: response.processingTimeMS
+      };
+    } catch (error) {
+      // The suggestions index only exists once the build script has run
+      if (includeSuggestions && error.status === 404) {
+        this.logger.warn('Query suggestions index not found - run npm run build-suggestions');
+        return this.suggest(query, { ...options, includeSuggestions: false });
+      }
+
+      this.logger.error('Suggest failed', {
+        query,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Browse all objectIDs of a specific type
+   * Continuation chunks are left out - deleteObjects() removes them with their parent.
    * @param {string} type - The type to filter by (e.g., 'static-page', 'cms-item')
    * @returns {Promise<string[]>} - Array of objectIDs
    */
@@ -210,7 +701,7 @@ class AlgoliaClient {
       const objectIDs = [];
 
       await this.index.browseObjects({
-        filters: `type:${type}`,
+        filters: `type:${type} AND NOT isContentChunk:true`,
         attributesToRetrieve: ['objectID'],
         batch: (batch) => {
           objectIDs.push(...batch.map(obj => obj.objectID));
@@ -230,6 +721,7 @@ class AlgoliaClient {
 
   /**
    * Browse all objectIDs of a specific collection
+   * Continuation chunks are left out - deleteObjects() removes them with their parent.
    * @param {string} collectionSlug - The collection slug to filter by
    * @returns {Promise<string[]>} - Array of objectIDs
    */
@@ -241,7 +733,7 @@ class AlgoliaClient {
       const objectIDs = [];
 
       await this.index.browseObjects({
-        filters: `collectionSlug:${collectionSlug}`,
+        filters: `collectionSlug:${collectionSlug} AND NOT isContentChunk:true`,
         attributesToRetrieve: ['objectID'],
         batch: (batch) => {
           objectIDs.push(...batch.map(obj => obj.objectID));
@@ -261,6 +753,7 @@ class AlgoliaClient {
 
   /**
    * Delete objects from Algolia by objectID
+   * Deleting a split record's objectID also deletes its continuation chunks.
    * @param {string[]} objectIDs - Array of objectIDs to delete
    * @param {Object} options - Options for deletion
    * @returns {Promise<Object>} - Deletion result
@@ -286,9 +779,11 @@ class AlgoliaClient {
     this.logger.step(`Deleting ${objectIDs.length} objects from Algolia`);
 
     try {
-      const response = await this.index.deleteObjects(objectIDs);
+      const chunkIDs = await this.getChunkObjectIDs(objectIDs);
+      const response = await this.index.deleteObjects([...objectIDs, ...chunkIDs]);
       this.logger.success(`Deleted ${objectIDs.length} objects`, {
-        taskID: response.taskID
+        taskID: response.taskID,
+        ...(chunkIDs.length > 0 && { contentChunks: chunkIDs.length })
       });
       return { deleted: objectIDs.length, taskID: response.taskID };
     } catch (error) {
@@ -300,6 +795,30 @@ class AlgoliaClient {
     }
   }
 
+  /**
+   * Find the continuation chunks of split records
+   * @param {string[]} parentObjectIDs - objectIDs of the parent records
+   * @returns {Promise<string[]>} - objectIDs of their continuation chunks
+   */
+  async getChunkObjectIDs(parentObjectIDs) {
+    const chunkIDs = [];
+
+    // Keep the OR groups short enough for Algolia's filter length limit
+    for (const batch of helpers.chunk(parentObjectIDs, 100)) {
+      const parents = batch.map(id => `parentObjectID:"${id}"`).join(' OR ');
+
+      await this.index.browseObjects({
+        filters: `isContentChunk:true AND (${parents})`,
+        attributesToRetrieve: ['objectID'],
+        batch: (objects) => {
+          chunkIDs.push(...objects.map(obj => obj.objectID));
+        }
+      });
+    }
+
+    return chunkIDs;
+  }
+
   /**
    * Safely delete orphaned objects with safety threshold
    * @param {string[]} webflowIDs - Array of current Webflow objectIDs (source of truth)
@@ -369,13 +888,23 @@ class AlgoliaClient {
   async prepareObjectsForIndexing(objects) {
     this.logger.step(`Preparing ${objects.length} objects for Algolia indexing`);
 
-    const prepared = objects.map(obj => this.prepareObject(obj));
+    const { splitRecords } = config.getAlgoliaConfig();
+    const records = splitRecords
+      ? objects.flatMap(obj => recordSplitter.splitRecord({ ...obj, objectID: this.getObjectID(obj) }))
+      : objects;
+
+    if (records.length > objects.length) {
+      this.logger.info(`Split long content into ${records.length - objects.length} extra records`);
+    }
+
+    const prepared = records.map(obj => this.prepareObject(obj));
     const validated = this.validateObjects(prepared);
 
     const objectsWithAttachments = validated.filter(obj => obj.attachments && obj.attachments.length > 0);
     const objectsWithExternalLinks = validated.filter(obj => obj.externalLink);
 
-    this.logger.success(`Prepared ${validated.length}/${objects.length} objects for indexing`, {
+    this.logger.success(`Prepared ${objects.length} objects as ${validated.length} records for indexing`, {
+      invalidRecords: records.length - validated.length,
       objectsWithAttachments: objectsWithAttachments.length,
       objectsWithExternalLinks: objectsWithExternalLinks.length
     });
@@ -383,9 +912,13 @@ class AlgoliaClient {
     return validated;
   }
 
+  getObjectID(obj) {
+    return obj.objectID || `${obj.type}_${obj.id}`;
+  }
+
   prepareObject(obj) {
     const prepared = {
-      objectID: obj.objectID || `${obj.type}_${obj.id}`,
+      objectID: this.getObjectID(obj),
       ...obj
     };
 
@@ -406,7 +939,7 @@ class AlgoliaClient {
     }
 
     // Ensure total object size is under 10KB (aggressive checking)
-    let objectSize = JSON.stringify(prepared).length;
+    let objectSize = this.getObjectSize(prepared);
     let attempts = 0;
     const maxAttempts = 10;
     
@@ -424,6 +957,13 @@ class AlgoliaClient {
         prepared.searchText = prepared.searchText.substring(0, newLength) + '...';
         prepared.searchTextTruncated = true;
       }
+
+      // Attachment text goes first - it matters less than the item's own content
+      if (prepared.attachmentText && prepared.attachmentText.length > 500) {
+        const newLength = Math.max(500, Math.floor(prepared.attachmentText.length * 0.5));
+        prepared.attachmentText = prepared.attachmentText.substring(0, newLength);
+        prepared.attachmentTextTruncated = true;
+      }
       
       // Remove large metadata if needed
       if (prepared.metadata && JSON.stringify(prepared.metadata).length > 2000) {
@@ -432,7 +972,7 @@ class AlgoliaClient {
         }
       }
       
-      objectSize = JSON.stringify(prepared).length;
+      objectSize = this.getObjectSize(prepared);
       
       // If still too big, remove more fields
       if (objectSize > 9000) {
@@ -455,6 +995,7 @@ class AlgoliaClient {
       // Last resort - remove content entirely and other large fields
       delete prepared.content;
       delete prepared.searchText;
+      delete prepared.attachmentText;
       delete prepared.metadata;
       delete prepared.hierarchicalCategories;
       delete prepared.searchableAttributes;
@@ -475,6 +1016,13 @@ class AlgoliaClient {
         url: prepared.url,
         status: prepared.status,
         publishedDate: prepared.publishedDate,
+        publishedTimestamp: prepared.publishedTimestamp,
+        ...(prepared.parentObjectID && {
+          parentObjectID: prepared.parentObjectID,
+          chunkIndex: prepared.chunkIndex,
+          chunkCount: prepared.chunkCount,
+          isContentChunk: prepared.isContentChunk
+        }),
         contentRemoved: true
       };
       
@@ -557,11 +1105,13 @@ class AlgoliaClient {
         'searchTags',
         'fullName',
         'position',
-        'department'
+        'department',
+        'attachmentText'
       ],
       attributesForFaceting: [
         'searchable(type)',
         'searchable(region)',
+        'searchable(country)',
         'searchable(collectionSlug)',
         'searchable(collectionName)',
         'searchable(category)',
@@ -578,6 +1128,9 @@ class AlgoliaClient {
         'isUpcoming',
         'isPast',
         'includeInSearch',
+        // Split records - see record-splitter.js
+        'filterOnly(parentObjectID)',
+        'filterOnly(isContentChunk)',
         // Beyond The Obvious specific facets
         'searchable(categories)',
         'searchable(industries)',
@@ -610,16 +1163,23 @@ class AlgoliaClient {
       ],
       attributesToSnippet: [
         'content:50',
-        'summary:30'
+        'summary:30',
+        'attachmentText:30'
       ],
       hitsPerPage: 20,
       maxValuesPerFacet: 100,
+      // Chunks of a split record share a parentObjectID; records without one are always distinct
+      attributeForDistinct: 'parentObjectID',
+      distinct: true,
       // STRICT MATCHING: Only show exact or close matches
       typoTolerance: 'min', // Minimize typo tolerance - prioritize exact matches
       minWordSizefor1Typo: 6, // Increased from 4 - only allow 1 typo for words 6+ chars
       minWordSizefor2Typos: 10, // Increased from 8 - only allow 2 typos for words 10+ chars
       separatorsToIndex: '+#',
       removeWordsIfNoResults: 'none', // Changed from 'lastWords' - don't show far-fetched results
+      // Index-time processing (e.g. Japanese word segmentation) for every site language
+      indexLanguages: [...new Set(getSearchLocaleTags().map(getLanguageForLocale))],
+      // Default for unscoped English queries - see getLanguageSearchParams() for other languages
       queryLanguages: ['en'],
       // Additional strict matching settings
       advancedSyntax: true, // Enable exact phrase matching with quotes
@@ -627,12 +1187,113 @@ class AlgoliaClient {
     };
   }
 
+  /**
+   * Sort replica index names, keyed by the search API's sort value
+   * Relevance is the primary index itself.
+   * @returns {Object} - { newest }
+   */
+  getReplicaIndexNames() {
+    return {
+      newest: `${this.indexName}_newest`
+    };
+  }
+
+  /**
+   * Resolve the index to search for a sort option
+   * @param {string} sort - 'relevance' (default) or a key of getReplicaIndexNames()
+   * @returns {string} - Index name
+   */
+  getSortIndexName(sort = 'relevance') {
+    return this.getReplicaIndexNames()[sort] || this.indexName;
+  }
+
+  /**
+   * Per-query language settings
+   * queryLanguages controls plurals, stop words and segmentation of the query itself.
+   * The requested locale decides the language; without one it is guessed from the
+   * script, so an unscoped Japanese or Russian query is still processed correctly.
+   * English keeps the index defaults.
+   * @param {string} query - Search query
+   * @param {string|null} locale - Validated locale tag
+   * @returns {Object} - Search parameters to merge into the query, and the language used
+   */
+  getLanguageSearchParams(query, locale = null) {
+    const language = locale ? getLanguageForLocale(locale) : this.detectQueryLanguage(query);
+
+    if (!language || language === 'en') {
+      return { language: 'en', params: {} };
+    }
+
+    return {
+      language,
+      params: {
+        queryLanguages: [language],
+        ignorePlurals: true
+      }
+    };
+  }
+
+  /**
+   * Guess a query's language from its script
+   * @returns {string|null} - Language code, or null for Latin script
+   */
+  detectQueryLanguage(query) {
+    if (/[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u.test(query)) return 'ja';
+    if (/\p{Script=Cyrillic}/u.test(query)) return 'ru';
+    if (/\p{Script=Arabic}/u.test(query)) return 'ar';
+    return null;
+  }
+
+  /**
+   * Name of the popular-query suggestions index built by scripts/build-query-suggestions.js
+   * @returns {string} - Index name
+   */
+  getQuerySuggestionsIndexName() {
+    return `${this.indexName}_query_suggestions`;
+  }
+
+  /**
+   * Settings for a sort replica
+   * Standard replicas apply their ranking before the textual criteria, so results
+   * are ordered by the sort attribute first and relevance only breaks ties.
+   * Records without the attribute (e.g. undated pages) come last.
+   * @param {string} sort - Key of getReplicaIndexNames()
+   * @returns {Object} - Algolia settings
+   */
+  getReplicaSettings(sort) {
+    const { ranking, ...settings } = this.getOptimalIndexSettings();
+    const sortRanking = {
+      newest: ['desc(publishedTimestamp)']
+    }[sort];
+
+    if (!sortRanking) {
+      throw new Error(`Unknown sort replica: ${sort}`);
+    }
+
+    return {
+      ...settings,
+      ranking: [...sortRanking, ...ranking]
+    };
+  }
+
   async configureIndex() {
     await this.init();
     this.logger.step('Configuring Algolia index with optimal settings');
     try {
-      const settings = this.getOptimalIndexSettings();
-      await this.updateSettings(settings);
+      const replicaIndexNames = this.getReplicaIndexNames();
+      const settings = {
+        ...this.getOptimalIndexSettings(),
+        replicas: Object.values(replicaIndexNames)
+      };
+
+      // Wait so the replicas exist before their own settings are applied
+      await this.updateSettings(settings, { waitForTask: true });
+
+      for (const [sort, replicaIndexName] of Object.entries(replicaIndexNames)) {
+        await this.client.initIndex(replicaIndexName).setSettings(this.getReplicaSettings(sort));
+        this.logger.info(`Sort replica configured: ${replicaIndexName}`, { sort });
+      }
+
       this.logger.success('Index configured successfully');
     } catch (error) {
       this.logger.error('Failed to configure index', { error: error.message });
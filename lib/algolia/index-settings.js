@@ -0,0 +1,309 @@
+import os from 'os';
+import algoliaClient from './client.js';
+import logger from '../core/logger.js';
+
+// Attributes whose order Algolia ignores; reordering them is not drift
+const UNORDERED_ATTRIBUTES = new Set([
+  'attributesForFaceting',
+  'attributesToHighlight',
+  'attributesToSnippet',
+  'indexLanguages',
+  'queryLanguages',
+  'replicas'
+]);
+
+/**
+ * Index Settings
+ *
+ * Compares the live settings of the index and its sort replicas with the ones
+ * the code intends (getOptimalIndexSettings() and getReplicaSettings()),
+ * attribute by attribute. Only attributes the code sets are compared, so
+ * Algolia's defaults never show as drift.
+ *
+ * Every apply writes a numbered version to a `<index>_settings_versions` index
+ * with the before and after value of each changed attribute. A rollback
+ * restores the values from before the versions it undoes, and is recorded as a
+ * version itself.
+ */
+class IndexSettings {
+  constructor() {
+    this.logger = logger.setContext('IndexSettings');
+    this.versionsSettingsApplied = false;
+    this.driftCache = null;
+  }
+
+  async getVersionsIndex() {
+    await algoliaClient.init();
+    const index = algoliaClient.getClient().initIndex(`${algoliaClient.indexName}_settings_versions`);
+
+    if (!this.versionsSettingsApplied) {
+      await index.setSettings({
+        searchableAttributes: ['changes.attribute', 'changes.indexName'],
+        attributesForFaceting: ['filterOnly(action)'],
+        customRanking: ['desc(version)']
+      });
+      this.versionsSettingsApplied = true;
+    }
+
+    return index;
+  }
+
+  /**
+   * Intended settings of each index, keyed by index name
+   * @returns {Promise<Object>} - { [indexName]: settings }; the primary index comes first
+   */
+  async getDesiredSettings() {
+    await algoliaClient.init();
+    const replicaIndexNames = algoliaClient.getReplicaIndexNames();
+
+    return {
+      [algoliaClient.indexName]: {
+        ...algoliaClient.getOptimalIndexSettings(),
+        replicas: Object.values(replicaIndexNames)
+      },
+      ...Object.fromEntries(Object.entries(replicaIndexNames).map(([sort, indexName]) => [
+        indexName,
+        algoliaClient.getReplicaSettings(sort)
+      ]))
+    };
+  }
+
+  /**
+   * @returns {Promise<Object>} - Live settings, or {} for an index that does not exist yet
+   */
+  async getLiveSettings(indexName) {
+    try {
+      return await algoliaClient.getClient().initIndex(indexName).getSettings();
+    } catch (error) {
+      if (error.status === 404) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the live settings with the intended ones
+   * @returns {Promise<Object>} - { inSync, changes: [{ indexName, attribute, live, desired, added, removed }] }
+   */
+  async plan() {
+    const desiredByIndex = await this.getDesiredSettings();
+    const targets = {};
+
+    for (const [indexName, desired] of Object.entries(desiredByIndex)) {
+      const live = await this.getLiveSettings(indexName);
+      targets[indexName] = Object.fromEntries(Object.keys(desired).map(attribute => [
+        attribute,
+        { live: live[attribute] ?? null, desired: desired[attribute] }
+      ]));
+    }
+
+    return this.buildPlan(targets);
+  }
+
+  /**
+   * @param {Object} targets - { [indexName]: { [attribute]: { live, desired } } }
+   */
+  buildPlan(targets) {
+    const changes = [];
+
+    for (const [indexName, attributes] of Object.entries(targets)) {
+      for (const [attribute, { live, desired }] of Object.entries(attributes)) {
+        if (this.isEqual(attribute, live, desired)) {
+          continue;
+        }
+
+        const change = { indexName, attribute, live, desired };
+        if (Array.isArray(desired)) {
+          const liveValues = Array.isArray(live) ? live : [];
+          change.added = desired.filter(value => !liveValues.includes(value));
+          change.removed = liveValues.filter(value => !desired.includes(value));
+        }
+        changes.push(change);
+      }
+    }
+
+    return { inSync: changes.length === 0, changes };
+  }
+
+  isEqual(attribute, live, desired) {
+    return JSON.stringify(this.normalize(attribute, live)) === JSON.stringify(this.normalize(attribute, desired));
+  }
+
+  normalize(attribute, value) {
+    // Algolia accepts distinct as a boolean or a number of hits
+    if (attribute === 'distinct' && typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (Array.isArray(value) && UNORDERED_ATTRIBUTES.has(attribute)) {
+      return [...value].sort();
+    }
+    return value;
+  }
+
+  /**
+   * Write a plan's changes and record them as a new version
+   * The primary index goes first and is waited on, so new replicas exist
+   * before their own settings are written.
+   * @param {Object} plan - Result of plan() or planRollback()
+   * @param {Object} options - { action: 'apply'|'rollback', rolledBackTo }
+   * @returns {Promise<Object|null>} - The version record, or null if there was nothing to apply
+   */
+  async apply(plan, options = {}) {
+    const { action = 'apply', rolledBackTo = null } = options;
+
+    if (plan.changes.length === 0) {
+      return null;
+    }
+
+    await algoliaClient.init();
+    const byIndex = new Map();
+    for (const change of plan.changes) {
+      const settings = byIndex.get(change.indexName) || {};
+      settings[change.attribute] = change.desired;
+      byIndex.set(change.indexName, settings);
+    }
+
+    const indexNames = [...byIndex.keys()].sort((a, b) =>
+      (b === algoliaClient.indexName) - (a === algoliaClient.indexName)
+    );
+
+    const applied = [];
+    let version = null;
+    try {
+      for (const indexName of indexNames) {
+        await algoliaClient.getClient().initIndex(indexName).setSettings(byIndex.get(indexName)).wait();
+        applied.push(...plan.changes.filter(change => change.indexName === indexName));
+        this.logger.info(`Settings applied: ${indexName}`, { attributes: Object.keys(byIndex.get(indexName)) });
+      }
+    } finally {
+      // Record whatever reached Algolia, so a partial apply can still be rolled back
+      if (applied.length > 0) {
+        version = await this.recordVersion(applied, { action, rolledBackTo });
+      }
+    }
+
+    this.driftCache = null;
+    this.logger.success(`Settings version ${version.version} applied`, {
+      action,
+      changes: applied.length
+    });
+    return version;
+  }
+
+  async recordVersion(changes, { action, rolledBackTo }) {
+    const index = await this.getVersionsIndex();
+    const [latest] = await this.listVersions({ limit: 1 });
+    const version = (latest?.version || 0) + 1;
+    const appliedAt = new Date();
+
+    const record = {
+      objectID: `v${version}`,
+      version,
+      action,
+      rolledBackTo,
+      appliedAt: appliedAt.toISOString(),
+      appliedAtTimestamp: Math.floor(appliedAt.getTime() / 1000),
+      appliedBy: this.getOperator(),
+      changes: changes.map(({ indexName, attribute, live, desired }) => ({
+        indexName,
+        attribute,
+        before: live,
+        after: desired
+      }))
+    };
+
+    await index.saveObject(record).wait();
+    return record;
+  }
+
+  getOperator() {
+    try {
+      return process.env.VERCEL ? 'vercel' : os.userInfo().username;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List recorded versions, newest first
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object[]>} - Version records
+   */
+  async listVersions(options = {}) {
+    const { limit = 50 } = options;
+    const index = await this.getVersionsIndex();
+    const response = await index.search('', {
+      hitsPerPage: Math.min(limit, 1000),
+      attributesToHighlight: [],
+      analytics: false
+    });
+
+    return response.hits.map(({ _highlightResult, ...record }) => record);
+  }
+
+  /**
+   * Plan a return to the settings as they were right after a version
+   * Each attribute a later version changed gets back the value it had before
+   * the earliest of those versions.
+   * @param {number|null} toVersion - Version to return to (default: the one before the latest; 0 undoes every version)
+   * @returns {Promise<Object>} - Plan for apply(), plus toVersion
+   */
+  async planRollback(toVersion = null) {
+    const versions = await this.listVersions({ limit: 1000 });
+    if (versions.length === 0) {
+      throw new Error('No settings versions recorded yet');
+    }
+
+    const target = toVersion ?? versions[0].version - 1;
+    if (target < 0 || target >= versions[0].version) {
+      throw new Error(`Cannot roll back to version ${target}: the latest version is ${versions[0].version}`);
+    }
+
+    // Newest first, so the last write for an attribute is the earliest "before"
+    const restore = new Map();
+    for (const version of versions.filter(entry => entry.version > target)) {
+      for (const change of version.changes) {
+        restore.set(`${change.indexName}\u0000${change.attribute}`, change);
+      }
+    }
+
+    await algoliaClient.init();
+    const liveByIndex = {};
+    const targets = {};
+    for (const { indexName, attribute, before } of restore.values()) {
+      liveByIndex[indexName] = liveByIndex[indexName] || await this.getLiveSettings(indexName);
+      targets[indexName] = targets[indexName] || {};
+      targets[indexName][attribute] = { live: liveByIndex[indexName][attribute] ?? null, desired: before };
+    }
+
+    return { ...this.buildPlan(targets), toVersion: target };
+  }
+
+  /**
+   * Drift between the live and intended settings for the health check
+   * Cached per instance, since it costs a settings read per index.
+   * @param {Object} options - { maxAgeMs }
+   * @returns {Promise<Object>} - { inSync, drift: [{ indexName, attribute }], checkedAt }
+   */
+  async getDriftStatus(options = {}) {
+    const { maxAgeMs = 5 * 60 * 1000 } = options;
+
+    if (this.driftCache && Date.now() - this.driftCache.checkedAtMs < maxAgeMs) {
+      return this.driftCache.status;
+    }
+
+    const plan = await this.plan();
+    const checkedAt = new Date();
+    const status = {
+      inSync: plan.inSync,
+      drift: plan.changes.map(({ indexName, attribute }) => ({ indexName, attribute })),
+      checkedAt: checkedAt.toISOString()
+    };
+
+    this.driftCache = { status, checkedAtMs: checkedAt.getTime() };
+    return status;
+  }
+}
+
+export default new IndexSettings();
@@ -7,6 +7,10 @@ import cmsFetcher from '../webflow/cms-fetcher.js';
 import pageTransformer from '../transformers/page-transformer.js';
 import cmsTransformer from '../transformers/cms-transformer.js';
 import regionalFilter from '../transformers/regional-filter.js';
+import syncStateManager from './sync-state.js';
+import syncLockManager from './sync-lock.js';
+import syncHistory from './sync-history.js';
+import { getConfiguredCollections, getCollectionById, getCronExcludedCollectionIds } from '../constants/collections.js';
 
 class AlgoliaIndexer {
   constructor() {
@@ -20,69 +24,88 @@ class AlgoliaIndexer {
       errors: []
     };
 
-    // IDEMPOTENCY: Track cron execution IDs to prevent duplicate runs
-    this.cronExecutions = new Map(); // cronId -> timestamp
-
-    // IN-FLIGHT LOCK: Track currently running syncs to prevent concurrent runs
+    // IN-FLIGHT LOCK: Syncs running in this instance (the shared leases live in syncLockManager)
     // Supports concurrent syncs for different regions/collections
     this.activeSyncs = new Set(); // Set of syncId (e.g., 'full-sync-americas', 'collection-xyz', 'static-pages')
   }
 
   /**
    * Check if a cron execution has already been processed (deduplication)
+   * Execution IDs are recorded in the shared lock store so a retry delivered to
+   * another instance is still caught.
    * @param {string} cronId - Vercel cron execution ID from x-vercel-cron-id header
-   * @returns {boolean} - true if this is a duplicate execution
+   * @returns {Promise<boolean>} - true if this is a duplicate execution
    */
-  isDuplicateCronExecution(cronId) {
+  async isDuplicateCronExecution(cronId) {
     if (!cronId) {
       return false; // No cronId means not a cron job, allow execution
     }
 
-    // Clean up old entries (older than 2 hours)
-    const twoHoursAgo = Date.now() - (2 * 60 * 60 * 1000);
-    for (const [id, timestamp] of this.cronExecutions.entries()) {
-      if (timestamp < twoHoursAgo) {
-        this.cronExecutions.delete(id);
-      }
-    }
-
-    // Check if we've seen this cronId before
-    if (this.cronExecutions.has(cronId)) {
+    const duplicate = await syncLockManager.isDuplicateCronExecution(cronId);
+    if (duplicate) {
       this.logger.warn('Duplicate cron execution detected', { cronId });
-      return true;
     }
-
-    // Record this execution
-    this.cronExecutions.set(cronId, Date.now());
-    return false;
+    return duplicate;
   }
 
   /**
-   * Check if a sync is already in progress for a given identifier
+   * Acquire the lease for a sync
    * @param {string} syncId - Identifier for the sync (collectionId or 'static-pages')
-   * @returns {boolean} - true if sync is already in progress
+   * @returns {Promise<boolean>} - false if the sync is already running anywhere
    */
-  isSyncInProgress(syncId) {
-    return this.activeSyncs.has(syncId);
+  async startSync(syncId) {
+    const { acquired } = await syncLockManager.acquire(syncId);
+    if (acquired) {
+      this.activeSyncs.add(syncId);
+    }
+    return acquired;
   }
 
   /**
-   * Mark a sync as started
+   * Release the lease for a sync
    * @param {string} syncId - Identifier for the sync
    */
-  startSync(syncId) {
-    this.activeSyncs.add(syncId);
+  async endSync(syncId) {
+    this.activeSyncs.delete(syncId);
+    await syncLockManager.release(syncId);
   }
 
   /**
-   * Mark a sync as completed
-   * @param {string} syncId - Identifier for the sync
+   * Which static page locales a default page fetch covers
    */
-  endSync(syncId) {
-    this.activeSyncs.delete(syncId);
+  getStaticLocalesScope() {
+    return config.getSyncConfig().fetchAllLocales ? 'all' : 'primary';
+  }
+
+  /**
+   * Run a sync and write its run record to the sync history
+   * @param {Object} runOptions - { runType, trigger, region, collectionSlug, dryRun }
+   * @param {Function} syncFn - Performs the sync and returns its result
+   */
+  async withRunRecord(runOptions, syncFn) {
+    const run = syncHistory.startRun(runOptions);
+
+    try {
+      const result = await syncFn();
+      await syncHistory.finishRun(run, result);
+      return result;
+    } catch (error) {
+      await syncHistory.finishRun(run, { error });
+      throw error;
+    }
   }
 
   async performFullSync(options = {}) {
+    return this.withRunRecord({
+      runType: options.clearIndex ? 'full-rebuild' : 'full-sync',
+      trigger: options.trigger,
+      region: options.region,
+      staticLocales: options.includeStatic === false ? null : this.getStaticLocalesScope(),
+      dryRun: options.dryRun
+    }, () => this.executeFullSync(options));
+  }
+
+  async executeFullSync(options = {}) {
     const {
       region = null,
       includeStatic = true,
@@ -94,12 +117,11 @@ class AlgoliaIndexer {
     // Use region-specific lock instead of global lock to allow concurrent regional syncs
     const syncId = `full-sync-${region || 'all'}`;
 
-    if (this.isSyncInProgress(syncId)) {
+    if (!(await this.startSync(syncId))) {
       this.logger.warn(`Full sync already in progress for: ${region || 'all regions'}`);
       throw new Error(`Full sync already in progress for region: ${region || 'all'}`);
     }
 
-    this.startSync(syncId);
     this.resetStats();
     this.indexingStats.startTime = new Date().toISOString();
 
@@ -111,8 +133,10 @@ class AlgoliaIndexer {
         allObjects.push(...staticObjects);
       }
 
+      const excludeCollections = getCronExcludedCollectionIds();
+
       if (includeCMS) {
-        const cmsObjects = await this.syncCMSCollections(region);
+        const cmsObjects = await this.syncCMSCollections(region, { excludeCollections });
         allObjects.push(...cmsObjects);
       }
 
@@ -135,7 +159,10 @@ class AlgoliaIndexer {
 
       // Actual Algolia indexing - now enabled
       const preparedObjects = await algoliaClient.prepareObjectsForIndexing(allObjects);
-      const indexResult = await algoliaClient.indexObjects(preparedObjects, { clearIndex });
+      const indexResult = await algoliaClient.indexObjects(preparedObjects, {
+        clearIndex,
+        keepExisting: this.getOutOfScopeFilter({ region, includeStatic, includeCMS, excludeCollections })
+      });
 
       this.indexingStats.totalIndexed = indexResult.indexed;
 
@@ -145,6 +172,7 @@ class AlgoliaIndexer {
         prepared: allObjects.length,
         staticPages: this.indexingStats.staticPages,
         cmsItems: this.indexingStats.cmsItems,
+        writes: this.summarizeWrites(indexResult),
         algoliaResponse: indexResult
       };
 
@@ -162,10 +190,40 @@ class AlgoliaIndexer {
       throw error;
     } finally {
       // Always release the region-specific lock
-      this.endSync(syncId);
+      await this.endSync(syncId);
     }
   }
 
+  /**
+   * Predicate selecting the live records a full rebuild does not fetch again
+   * An atomic rebuild replaces the whole index, so records of other regions, of
+   * collections kept up to date by webhooks, and of static page locales outside the
+   * fetch are carried over instead of being dropped until their items change.
+   * @param {Object} scope - { region, includeStatic, includeCMS, excludeCollections }
+   * @returns {Function} - Returns true for records to carry over
+   */
+  getOutOfScopeFilter({ region, includeStatic, includeCMS, excludeCollections = [] }) {
+    const primaryPagesOnly = this.getStaticLocalesScope() === 'primary';
+    const excludedSlugs = new Set(excludeCollections
+      .map(id => getCollectionById(id)?.endpoint)
+      .filter(Boolean));
+
+    return (obj) => {
+      if (obj.type === 'metadata') return true;
+      if (!regionalFilter.matchesSyncRegion(obj, region)) return true;
+
+      if (obj.type === 'static-page') {
+        return !includeStatic || (primaryPagesOnly && Boolean(obj.locale) && !obj.locale.isPrimary);
+      }
+
+      if (obj.collectionSlug) {
+        return !includeCMS || excludedSlugs.has(obj.collectionSlug);
+      }
+
+      return false;
+    };
+  }
+
   async syncStaticPages(region = null) {
     try {
       const pages = await staticPagesFetcher.fetchAllPages();
@@ -185,10 +243,17 @@ class AlgoliaIndexer {
 
   async syncCMSCollections(region = null, options = {}) {
     try {
-      const { excludeCollections = ['beyond-the-obvious'] } = options;
+      const { excludeCollections = getCronExcludedCollectionIds() } = options;
 
-      // Exclude Beyond the Obvious collection from cron syncs (managed via webhooks)
-      const cmsItems = await cmsFetcher.fetchAllCollections({ excludeCollections });
+      // Items take their collection's region, so collections outside the region need no fetch
+      const outOfRegion = getConfiguredCollections()
+        .filter(collection => !regionalFilter.matchesSyncRegion({ region: collection.region }, region))
+        .map(collection => collection.id);
+
+      // Collections marked excludeFromCron are kept up to date by webhooks instead
+      const cmsItems = await cmsFetcher.fetchAllCollections({
+        excludeCollections: [...excludeCollections, ...outOfRegion]
+      });
       const transformedItems = cmsTransformer.transformForSearch(cmsItems, {
         region,
         includeContent: true
@@ -204,10 +269,19 @@ class AlgoliaIndexer {
   }
 
   async syncSpecificCollection(collectionSlug, options = {}) {
+    return this.withRunRecord({
+      runType: 'collection-sync',
+      trigger: options.trigger || (options.cronId ? 'cron' : 'manual'),
+      collectionSlug,
+      dryRun: options.dryRun
+    }, () => this.executeCollectionSync(collectionSlug, options));
+  }
+
+  async executeCollectionSync(collectionSlug, options = {}) {
     const { dryRun = false, clearExisting = false, cronId = null } = options;
 
     // IDEMPOTENCY: Check for duplicate cron execution
-    if (this.isDuplicateCronExecution(cronId)) {
+    if (await this.isDuplicateCronExecution(cronId)) {
       this.logger.warn(`Skipping duplicate cron execution for collection: ${collectionSlug}`);
       return {
         success: false,
@@ -218,7 +292,7 @@ class AlgoliaIndexer {
     }
 
     // IN-FLIGHT LOCK: Check if sync already in progress
-    if (this.isSyncInProgress(collectionSlug)) {
+    if (!(await this.startSync(collectionSlug))) {
       this.logger.warn(`Sync already in progress for collection: ${collectionSlug}`);
       return {
         success: false,
@@ -228,8 +302,6 @@ class AlgoliaIndexer {
       };
     }
 
-    this.startSync(collectionSlug);
-
     try {
       const items = await cmsFetcher.fetchSpecificCollection(collectionSlug);
 
@@ -245,7 +317,8 @@ class AlgoliaIndexer {
 
       // Deletion sync - remove items that no longer exist in Webflow
       try {
-        const webflowItemIDs = items.map(item => `cms_${item.id}`);
+        // Every locale version of an item is its own record
+        const webflowItemIDs = items.map(item => cmsTransformer.getObjectID(item));
         const algoliaItemIDs = await algoliaClient.getAllObjectIDsByCollection(collectionSlug);
 
         const deletionResult = await algoliaClient.safeDeleteOrphaned(
@@ -298,6 +371,7 @@ class AlgoliaIndexer {
         collectionSlug,
         indexed: indexResult.indexed,
         prepared: transformedItems.length,
+        writes: this.summarizeWrites(indexResult),
         algoliaResponse: indexResult
       };
 
@@ -308,16 +382,25 @@ class AlgoliaIndexer {
       throw error;
     } finally {
       // Always release the lock
-      this.endSync(collectionSlug);
+      await this.endSync(collectionSlug);
     }
   }
 
   async syncStaticPagesOnly(options = {}) {
+    return this.withRunRecord({
+      runType: 'static-pages-sync',
+      trigger: options.trigger || (options.cronId ? 'cron' : 'manual'),
+      staticLocales: this.getStaticLocalesScope(),
+      dryRun: options.dryRun
+    }, () => this.executeStaticPagesSync(options));
+  }
+
+  async executeStaticPagesSync(options = {}) {
     const { dryRun = false, cronId = null } = options;
     const syncId = 'static-pages';
 
     // IDEMPOTENCY: Check for duplicate cron execution
-    if (this.isDuplicateCronExecution(cronId)) {
+    if (await this.isDuplicateCronExecution(cronId)) {
       this.logger.warn(`Skipping duplicate cron execution for static pages`);
       return {
         success: false,
@@ -327,7 +410,7 @@ class AlgoliaIndexer {
     }
 
     // IN-FLIGHT LOCK: Check if sync already in progress
-    if (this.isSyncInProgress(syncId)) {
+    if (!(await this.startSync(syncId))) {
       this.logger.warn(`Sync already in progress for static pages`);
       return {
         success: false,
@@ -337,7 +420,6 @@ class AlgoliaIndexer {
     }
 
     this.logger.step('Syncing static pages only');
-    this.startSync(syncId);
 
     try {
       const staticPages = await staticPagesFetcher.fetchAllPages();
@@ -383,8 +465,10 @@ class AlgoliaIndexer {
       const algoliaObjectIDs = await algoliaClient.getAllObjectIDsByType('static-page');
       this.logger.info(`Found ${algoliaObjectIDs.length} static pages in Algolia`);
 
-      // Get objectIDs of pages we just indexed
-      const webflowObjectIDs = preparedObjects.map(obj => obj.objectID);
+      // Get objectIDs of pages we just indexed (chunks are deleted with their page)
+      const webflowObjectIDs = preparedObjects
+        .filter(obj => !obj.isContentChunk)
+        .map(obj => obj.objectID);
       this.logger.info(`Just indexed ${webflowObjectIDs.length} pages from Webflow`);
 
       // Delete orphaned pages with safety check
@@ -405,6 +489,7 @@ class AlgoliaIndexer {
         indexed: indexResult.indexed,
         prepared: transformedPages.length,
         orphanedDeleted: deleteResult.deleted,
+        writes: this.summarizeWrites(indexResult),
         algoliaResponse: indexResult,
         deleteResponse: deleteResult
       };
@@ -416,25 +501,316 @@ class AlgoliaIndexer {
       throw error;
     } finally {
       // Always release the lock
-      this.endSync(syncId);
+      await this.endSync(syncId);
+    }
+  }
+
+  /**
+   * Sync static pages changed since the last static pages sync
+   * Fetches the primary locale only. Shares the 'static-pages' lock with
+   * syncStaticPagesOnly, so a cron run and a site_publish webhook never overlap.
+   * @param {Object} options - { forceFullSync, trigger }
+   */
+  async syncStaticPagesIncremental(options = {}) {
+    return this.withRunRecord({
+      runType: 'static-pages-incremental',
+      trigger: options.trigger,
+      staticLocales: 'primary'
+    }, () => this.executeStaticPagesIncrementalSync(options));
+  }
+
+  async executeStaticPagesIncrementalSync(options = {}) {
+    const { forceFullSync = false } = options;
+    const syncId = 'static-pages';
+
+    if (!(await this.startSync(syncId))) {
+      this.logger.warn('Sync already in progress for static pages');
+      return {
+        success: false,
+        message: 'Sync already in progress - skipped',
+        inProgress: true
+      };
+    }
+
+    const syncStartTime = new Date();
+    let deletedCount = 0;
+    let deletionError = null;
+
+    this.logger.info('Static pages sync started', {
+      mode: forceFullSync ? 'full' : 'incremental',
+      timestamp: syncStartTime.toISOString()
+    });
+
+    try {
+      const lastSyncTime = forceFullSync ? null : await syncStateManager.getLastSyncTime('static-pages');
+
+      // Page metadata only - fast and lightweight
+      const allPages = await staticPagesFetcher.fetchAllPages({
+        batchSize: 15,
+        maxConcurrent: 8,
+        fetchAllLocales: false
+      });
+
+      // Deletion sync - remove pages that no longer exist in Webflow
+      try {
+        const webflowPageIDs = allPages.map(page =>
+          `page_${page.id}${page.locale ? `_${page.locale.tag}` : ''}`
+        );
+        const algoliaPageIDs = await algoliaClient.getAllObjectIDsByType('static-page');
+
+        const deletionResult = await algoliaClient.safeDeleteOrphaned(
+          webflowPageIDs,
+          algoliaPageIDs,
+          {
+            safetyThreshold: 0.6,
+            dryRun: false,
+            entityType: 'static pages'
+          }
+        );
+
+        deletedCount = deletionResult.deleted;
+
+        if (deletionResult.deleted > 0) {
+          this.logger.warn(`Deleted ${deletionResult.deleted} orphaned pages`);
+        }
+      } catch (error) {
+        this.logger.error('Deletion sync failed', { error: error.message });
+        deletionError = error;
+      }
+
+      const pagesToSync = lastSyncTime
+        ? allPages.filter(page => {
+          const pageLastModified = new Date(page.lastUpdated || page.lastModified || page.createdOn);
+          return pageLastModified > lastSyncTime;
+        })
+        : allPages;
+
+      const errors = deletionError ? [deletionError] : [];
+
+      if (pagesToSync.length === 0) {
+        this.logger.info('No changes detected');
+        return {
+          success: true,
+          syncMode: 'incremental',
+          totalPages: allPages.length,
+          changedPages: 0,
+          indexed: 0,
+          deleted: deletedCount,
+          lastSyncTime: lastSyncTime?.toISOString(),
+          message: 'No changes detected since last sync',
+          errors
+        };
+      }
+
+      const transformedPages = pageTransformer.transformForAlgolia(pagesToSync);
+      const preparedObjects = await algoliaClient.prepareObjectsForIndexing(transformedPages);
+      const indexResult = await algoliaClient.indexObjects(preparedObjects, {
+        clearIndex: false
+      });
+
+      await syncStateManager.setLastSyncTime('static-pages', syncStartTime);
+
+      const durationSeconds = Math.round((new Date() - syncStartTime) / 1000);
+      this.logger.success(`Sync complete: ${indexResult.indexed} pages indexed (${durationSeconds}s)`);
+
+      return {
+        success: true,
+        syncMode: lastSyncTime ? 'incremental' : 'full',
+        totalPages: allPages.length,
+        changedPages: pagesToSync.length,
+        indexed: indexResult.indexed,
+        deleted: deletedCount,
+        writes: this.summarizeWrites(indexResult),
+        previousSyncTime: lastSyncTime?.toISOString(),
+        currentSyncTime: syncStartTime.toISOString(),
+        durationSeconds,
+        efficiency: lastSyncTime
+          ? `Synced ${Math.round((pagesToSync.length / allPages.length) * 100)}% of pages`
+          : 'Full sync performed',
+        errors
+      };
+    } catch (error) {
+      this.logger.error('Incremental static pages sync failed', { error: error.message });
+      throw error;
+    } finally {
+      await this.endSync(syncId);
     }
   }
 
   async performIncrementalSync(options = {}) {
-    const { region = null, since = null, dryRun = false } = options;
+    return this.withRunRecord({
+      runType: 'incremental-sync',
+      trigger: options.trigger,
+      region: options.region,
+      dryRun: options.dryRun
+    }, () => this.executeIncrementalSync(options));
+  }
+
+  async executeIncrementalSync(options = {}) {
+    const {
+      region = null,
+      since = null,
+      dryRun = false,
+      excludeCollections = getCronExcludedCollectionIds()
+    } = options;
 
-    this.logger.step('Starting incremental synchronization', { since, region });
+    const syncId = `incremental-sync-${region || 'all'}`;
+
+    if (!(await this.startSync(syncId))) {
+      this.logger.warn(`Incremental sync already in progress for: ${region || 'all regions'}`);
+      throw new Error(`Incremental sync already in progress for region: ${region || 'all'}`);
+    }
+
+    this.resetStats();
+    this.indexingStats.startTime = new Date().toISOString();
+
+    this.logger.step('Starting incremental synchronization', {
+      since: since ? new Date(since).toISOString() : 'per-collection watermark',
+      region
+    });
 
     try {
-      // This would be implemented to sync only changed items since a specific date
-      // For now, we'll just log the intent
+      // Exclude webhook-managed collections and collections outside the requested region
+      const collections = getConfiguredCollections()
+        .filter(collection => !excludeCollections.includes(collection.id))
+        .filter(collection => regionalFilter.matchesSyncRegion({ region: collection.region }, region));
+
+      const watermarks = since ? {} : await syncStateManager.getLastSyncTimes();
+      const newWatermarks = {};
+      const collectionResults = [];
+      const changedObjects = [];
+
+      for (const collection of collections) {
+        const syncType = syncStateManager.getCollectionSyncType(collection.id);
+        const watermark = since ? new Date(since) : (watermarks[syncType] || null);
+        // Capture the start time before fetching so edits made during the sync are picked up next run
+        const collectionSyncStart = new Date();
+
+        try {
+          const { changedItems, failedItems, liveItems, totalItems } = await cmsFetcher.fetchCollectionChanges(collection, watermark);
+
+          // Deletion sync - remove items that were deleted, unpublished, drafted or archived
+          const algoliaItemIDs = await algoliaClient.getAllObjectIDsByCollection(collection.endpoint);
+          const deletionResult = await algoliaClient.safeDeleteOrphaned(
+            liveItems.map(item => cmsTransformer.getObjectID(item)),
+            algoliaItemIDs,
+            {
+              safetyThreshold: 0.6,
+              dryRun,
+              entityType: `collection items (${collection.id})`
+            }
+          );
+
+          const transformedItems = changedItems.length > 0
+            ? cmsTransformer.transformForSearch(changedItems, { includeContent: true })
+            : [];
+          changedObjects.push(...transformedItems);
+
+          collectionResults.push({
+            collectionSlug: collection.id,
+            watermark: watermark ? watermark.toISOString() : null,
+            total: totalItems,
+            live: liveItems.length,
+            changed: transformedItems.length,
+            unchanged: liveItems.length - changedItems.length - failedItems.length,
+            failed: failedItems.length,
+            deleted: deletionResult.deleted
+          });
+
+          if (failedItems.length > 0) {
+            // Keep the old watermark so the failed items are picked up again next run
+            this.logger.warn(`${collection.id}: ${failedItems.length} items failed - watermark not advanced`);
+            this.indexingStats.errors.push({
+              collectionSlug: collection.id,
+              message: `${failedItems.length} items failed to process`,
+              items: failedItems,
+              timestamp: new Date().toISOString()
+            });
+          } else {
+            newWatermarks[syncType] = collectionSyncStart;
+          }
+        } catch (error) {
+          // Keep the old watermark so the next run retries this collection
+          this.logger.error(`${collection.id}: incremental sync failed`, { error: error.message });
+          this.indexingStats.errors.push({
+            collectionSlug: collection.id,
+            message: error.message,
+            timestamp: new Date().toISOString()
+          });
+          collectionResults.push({
+            collectionSlug: collection.id,
+            error: error.message
+          });
+        }
+      }
+
+      this.indexingStats.cmsItems = changedObjects.length;
+
+      const totals = collectionResults.reduce((acc, entry) => ({
+        changed: acc.changed + (entry.changed || 0),
+        unchanged: acc.unchanged + (entry.unchanged || 0),
+        failed: acc.failed + (entry.failed || 0),
+        deleted: acc.deleted + (entry.deleted || 0)
+      }), { changed: 0, unchanged: 0, failed: 0, deleted: 0 });
 
-      this.logger.info('Incremental sync not implemented yet - performing full sync instead');
-      return await this.performFullSync({ region, dryRun });
+      if (dryRun) {
+        this.logger.warn('DRY RUN MODE - Objects prepared but not sent to Algolia');
+        algoliaClient.logIndexingPreview(changedObjects);
+
+        const result = {
+          success: true,
+          dryRun: true,
+          incremental: true,
+          prepared: changedObjects.length,
+          cmsItems: changedObjects.length,
+          ...totals,
+          collections: collectionResults,
+          message: 'Dry run completed - no data sent to Algolia'
+        };
+
+        this.completeIndexing(result);
+        return result;
+      }
+
+      let indexResult = { indexed: 0 };
+      if (changedObjects.length > 0) {
+        const preparedObjects = await algoliaClient.prepareObjectsForIndexing(changedObjects);
+        indexResult = await algoliaClient.indexObjects(preparedObjects, { clearIndex: false });
+      } else {
+        this.logger.info('No changed CMS items - nothing to index');
+      }
+
+      // Only advance watermarks once the changed items are safely in Algolia
+      await syncStateManager.setLastSyncTimes(newWatermarks);
+
+      this.indexingStats.totalIndexed = indexResult.indexed;
+
+      const result = {
+        success: this.indexingStats.errors.length === 0,
+        incremental: true,
+        indexed: indexResult.indexed,
+        prepared: changedObjects.length,
+        cmsItems: changedObjects.length,
+        ...totals,
+        collections: collectionResults,
+        writes: this.summarizeWrites(indexResult),
+        algoliaResponse: indexResult
+      };
+
+      this.completeIndexing(result);
+      return result;
 
     } catch (error) {
+      this.indexingStats.errors.push({
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+
       this.logger.error('Incremental sync failed', { error: error.message });
+      this.completeIndexing({ success: false, error: error.message });
       throw error;
+    } finally {
+      await this.endSync(syncId);
     }
   }
 
@@ -594,6 +970,17 @@ class AlgoliaIndexer {
     });
   }
 
+  /**
+   * Pick the created/updated/unchanged write counts out of an indexObjects result
+   */
+  summarizeWrites(indexResult = {}) {
+    return {
+      created: indexResult.created || 0,
+      updated: indexResult.updated || 0,
+      unchanged: indexResult.unchanged || 0
+    };
+  }
+
   getIndexingStatus() {
     const isIndexing = this.activeSyncs.size > 0;
     return {
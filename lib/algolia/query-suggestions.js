@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import algoliaClient from './client.js';
+import inputValidator from '../security/input-validator.js';
+import logger from '../core/logger.js';
+import { CONTENT_TYPES, getAllCollections } from '../constants/collections.js';
+import { VALID_REGIONS } from '../constants/regions.js';
+
+// Tags added by the transformers for filtering rather than describing content
+const SYSTEM_TAGS = ['featured', 'published', 'draft', 'archived', 'homepage', 'recent', 'upcoming', 'past'];
+
+/**
+ * Query Suggestions Builder
+ *
+ * Builds the `<index>_query_suggestions` index used by /api/suggest from the titles
+ * and searchTags of every indexed record. A phrase's popularity is the number of
+ * records that carry it, so shared tags rank above one-off titles.
+ */
+class QuerySuggestions {
+  constructor() {
+    this.logger = logger.setContext('QuerySuggestions');
+    this.minLength = 3;
+    this.maxLength = 80;
+  }
+
+  getIndexSettings() {
+    return {
+      searchableAttributes: ['query'],
+      attributesForFaceting: ['filterOnly(region)'],
+      customRanking: ['desc(popularity)'],
+      attributesToHighlight: ['query'],
+      typoTolerance: 'min',
+      indexLanguages: algoliaClient.getOptimalIndexSettings().indexLanguages,
+      queryLanguages: ['en']
+    };
+  }
+
+  /**
+   * Build suggestions from the main index and replace the suggestions index
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} - { records, suggestions, indexName, sample }
+   */
+  async rebuild(options = {}) {
+    const { dryRun = false } = options;
+    await algoliaClient.init();
+
+    const indexName = algoliaClient.getQuerySuggestionsIndexName();
+    this.logger.step(`Building query suggestions for ${indexName}`);
+
+    const records = [];
+    await algoliaClient.getIndex().browseObjects({
+      // Continuation chunks repeat their parent's title and tags
+      filters: 'NOT type:metadata AND NOT isContentChunk:true',
+      attributesToRetrieve: ['title', 'searchTags', 'region'],
+      batch: (batch) => {
+        records.push(...batch);
+      }
+    });
+
+    const suggestions = this.buildSuggestions(records);
+
+    this.logger.info(`Built ${suggestions.length} suggestions from ${records.length} records`);
+
+    if (!dryRun) {
+      const index = algoliaClient.getClient().initIndex(indexName);
+      // replaceAllObjects writes to a temporary index and moves it, so readers never see it half-built
+      await index.replaceAllObjects(suggestions, { safe: true });
+      await index.setSettings(this.getIndexSettings()).wait();
+      this.logger.success(`Query suggestions index replaced: ${indexName}`);
+    }
+
+    return {
+      records: records.length,
+      suggestions: suggestions.length,
+      indexName,
+      sample: suggestions.slice(0, 10).map(({ query, popularity }) => ({ query, popularity }))
+    };
+  }
+
+  /**
+   * Turn indexed records into suggestion records, merging duplicate phrases
+   * @param {Object[]} records - Records with title, searchTags and region
+   * @returns {Object[]} - Suggestion records sorted by popularity
+   */
+  buildSuggestions(records) {
+    const phrases = new Map();
+    const excludedTags = this.getExcludedTags();
+
+    for (const record of records) {
+      const candidates = new Set();
+
+      if (record.title) {
+        candidates.add(record.title);
+      }
+
+      for (const tag of record.searchTags || []) {
+        if (!excludedTags.has(tag.toLowerCase()) && !tag.includes('_')) {
+          candidates.add(tag);
+        }
+      }
+
+      for (const candidate of candidates) {
+        const phrase = candidate.replace(/\s+/g, ' ').trim();
+        if (!this.isUsablePhrase(phrase)) {
+          continue;
+        }
+
+        const key = phrase.toLowerCase();
+        const entry = phrases.get(key) || { query: phrase, popularity: 0, regions: new Set() };
+        entry.popularity++;
+        if (record.region) {
+          entry.regions.add(record.region);
+        }
+        phrases.set(key, entry);
+      }
+    }
+
+    return [...phrases.entries()]
+      .map(([key, entry]) => ({
+        objectID: crypto.createHash('sha1').update(key).digest('hex'),
+        query: entry.query,
+        popularity: entry.popularity,
+        region: [...entry.regions]
+      }))
+      .sort((a, b) => b.popularity - a.popularity);
+  }
+
+  /**
+   * A suggestion is only useful if /api/search accepts it as a query
+   */
+  isUsablePhrase(phrase) {
+    if (phrase.length < this.minLength || phrase.length > this.maxLength) {
+      return false;
+    }
+    return inputValidator.schemas.searchQuery.safeParse({ q: phrase }).success;
+  }
+
+  getExcludedTags() {
+    const collectionTags = getAllCollections().flatMap(collection => [collection.id, collection.endpoint]);
+
+    return new Set([
+      ...SYSTEM_TAGS,
+      ...Object.values(CONTENT_TYPES),
+      ...VALID_REGIONS,
+      ...collectionTags
+    ].filter(Boolean).map(tag => tag.toLowerCase()));
+  }
+}
+
+export default new QuerySuggestions();
@@ -0,0 +1,186 @@
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+
+// Boundaries tried in order: paragraphs and headings, lines, sentences, then words
+const BOUNDARIES = [
+  { pattern: /\n\s*\n/, joiner: '\n\n' },
+  { pattern: /\n/, joiner: '\n' },
+  { pattern: /(?<=[.!?])\s+|(?<=[。！？])/u, joiner: ' ' },
+  { pattern: /\s+/, joiner: ' ' }
+];
+
+// Below this, chunks would be too small to be useful and prepareObject() truncates instead
+const MIN_CHUNK_BYTES = 1000;
+
+/**
+ * Record Splitter
+ *
+ * Splits a record whose content does not fit Algolia's record size limit into
+ * several records, one per chunk of content. Every chunk carries the parent's
+ * attributes and a shared parentObjectID, the index's attributeForDistinct, so
+ * search still returns the item once, represented by its best matching chunk.
+ *
+ * The first chunk keeps the parent objectID, so lookups, change detection and
+ * deletes by objectID keep working. Continuation chunks are marked with
+ * isContentChunk and get objectIDs derived from the parent.
+ */
+class RecordSplitter {
+  constructor() {
+    this.logger = logger.setContext('RecordSplitter');
+    this.maxRecordBytes = 9000;
+    // prepareObject() truncates content longer than this many characters
+    this.maxChunkChars = 8000;
+  }
+
+  getChunkObjectID(parentObjectID, chunkIndex) {
+    return `${parentObjectID}_chunk${chunkIndex}`;
+  }
+
+  /**
+   * Split a record into chunk records if its content makes it too large
+   * @param {Object} record - Record with an objectID
+   * @param {Object} options - { maxChunks }
+   * @returns {Object[]} - [record] if it fits or cannot be split, otherwise one record per chunk
+   */
+  splitRecord(record, options = {}) {
+    const { maxChunks = config.getAlgoliaConfig().maxRecordChunks } = options;
+
+    if (!(record.content || record.attachmentText) || this.getByteLength(record) <= this.maxRecordBytes) {
+      return [record];
+    }
+
+    // Attachment text is split along with the content, after it. searchableContent
+    // repeats the whole content, so chunks carry the rest of searchMetadata without it
+    const { content, attachmentText, searchText, searchMetadata, ...rest } = record;
+    const base = { ...rest, ...(searchMetadata && { searchMetadata: this.trimSearchMetadata(searchMetadata) }) };
+    const text = [content, attachmentText].filter(Boolean).join('\n\n');
+
+    // The first chunk is the largest without content: it alone keeps searchText
+    const overhead = this.getByteLength({
+      ...base,
+      ...(searchText !== undefined && { searchText }),
+      objectID: this.getChunkObjectID(record.objectID, maxChunks),
+      parentObjectID: record.objectID,
+      chunkIndex: maxChunks,
+      chunkCount: maxChunks,
+      isContentChunk: true,
+      content: ''
+    });
+    const chunkBytes = Math.min(this.maxRecordBytes - overhead, this.maxChunkChars);
+
+    if (chunkBytes < MIN_CHUNK_BYTES) {
+      this.logger.debug(`Not splitting ${record.objectID}: attributes leave no room for content`, {
+        overhead
+      });
+      return [record];
+    }
+
+    let chunks = this.splitText(text.trim(), chunkBytes);
+
+    if (chunks.length > maxChunks) {
+      this.logger.warn(`Content of ${record.objectID} needs ${chunks.length} chunks, keeping the first ${maxChunks}`, {
+        title: record.title?.substring(0, 50)
+      });
+      chunks = chunks.slice(0, maxChunks);
+    }
+
+    return chunks.map((chunk, chunkIndex) => ({
+      ...base,
+      ...(chunkIndex === 0 && searchText !== undefined && { searchText }),
+      objectID: chunkIndex === 0 ? record.objectID : this.getChunkObjectID(record.objectID, chunkIndex),
+      parentObjectID: record.objectID,
+      chunkIndex,
+      chunkCount: chunks.length,
+      ...(chunkIndex > 0 && { isContentChunk: true }),
+      content: chunk
+    }));
+  }
+
+  trimSearchMetadata(searchMetadata) {
+    const { searchableContent, ...trimmed } = searchMetadata;
+    return trimmed;
+  }
+
+  /**
+   * Split text into chunks of at most maxBytes, breaking at the coarsest boundary that fits
+   * @param {string} text - Text to split
+   * @param {number} maxBytes - Maximum size of a chunk once JSON encoded
+   * @param {number} level - Index into BOUNDARIES
+   * @returns {string[]} - Chunks
+   */
+  splitText(text, maxBytes, level = 0) {
+    if (this.getTextByteLength(text) <= maxBytes) {
+      return [text];
+    }
+
+    if (level >= BOUNDARIES.length) {
+      return this.hardSplit(text, maxBytes);
+    }
+
+    const { pattern, joiner } = BOUNDARIES[level];
+    const chunks = [];
+    let current = '';
+
+    for (const part of text.split(pattern)) {
+      const trimmed = part.trim();
+      if (!trimmed) continue;
+
+      for (const piece of this.splitText(trimmed, maxBytes, level + 1)) {
+        const candidate = current ? `${current}${joiner}${piece}` : piece;
+
+        if (current && this.getTextByteLength(candidate) > maxBytes) {
+          chunks.push(current);
+          current = piece;
+        } else {
+          current = candidate;
+        }
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Last resort for text without any whitespace (e.g. long Japanese paragraphs without punctuation)
+   */
+  hardSplit(text, maxBytes) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+
+    // Iterate by code point so multibyte characters are never cut in half
+    for (const char of text) {
+      const charBytes = this.getTextByteLength(char);
+
+      if (currentBytes + charBytes > maxBytes) {
+        chunks.push(current);
+        current = char;
+        currentBytes = charBytes;
+      } else {
+        current += char;
+        currentBytes += charBytes;
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  getByteLength(obj) {
+    return Buffer.byteLength(JSON.stringify(obj), 'utf8');
+  }
+
+  getTextByteLength(text) {
+    // Escaping (quotes, newlines) counts towards the record size, the surrounding quotes do not
+    return this.getByteLength(text) - 2;
+  }
+}
+
+export default new RecordSplitter();
@@ -0,0 +1,312 @@
+import fs from 'fs';
+import algoliaClient from './client.js';
+import logger from '../core/logger.js';
+import { loadSynonyms, loadRules, SYNONYMS_PATH, RULES_PATH } from '../constants/search-relevance.js';
+
+/**
+ * Search Relevance
+ *
+ * Keeps the index's synonyms and query rules in line with config/synonyms.json
+ * and config/rules.json. plan() compares the files with the live index entry
+ * by entry, apply() writes only the difference (forwarded to the sort
+ * replicas), and exportToFiles() writes the live state back to the files, e.g.
+ * to pick up a change made in the Algolia dashboard.
+ */
+class SearchRelevance {
+  constructor() {
+    this.logger = logger.setContext('SearchRelevance');
+  }
+
+  async getIndex() {
+    await algoliaClient.init();
+    return algoliaClient.getIndex();
+  }
+
+  async getLiveSynonyms(index) {
+    const synonyms = [];
+    await index.browseSynonyms({
+      batch: (batch) => {
+        synonyms.push(...batch.map(synonym => this.stripMetadata(synonym)));
+      }
+    });
+    return synonyms;
+  }
+
+  async getLiveRules(index) {
+    const rules = [];
+    await index.browseRules({
+      batch: (batch) => {
+        rules.push(...batch.map(rule => this.stripMetadata(rule)));
+      }
+    });
+    return rules;
+  }
+
+  stripMetadata({ _highlightResult, _metadata, ...entry }) {
+    return entry;
+  }
+
+  /**
+   * Compare the files with the live index
+   * @param {Object} options - { synonymsPath, rulesPath }
+   * @returns {Promise<Object>} - { valid, errors, synonyms, rules }, where synonyms and rules
+   *   are { create, update: [{ objectID, live, desired }], remove, unchanged }; rules also
+   *   list promotes whose URL matches no record under unresolved
+   */
+  async plan(options = {}) {
+    const { synonymsPath = SYNONYMS_PATH, rulesPath = RULES_PATH } = options;
+
+    const synonymsFile = loadSynonyms(synonymsPath);
+    const rulesFile = loadRules(rulesPath);
+    const errors = [
+      ...synonymsFile.errors.map(error => `synonyms: ${error}`),
+      ...rulesFile.errors.map(error => `rules: ${error}`)
+    ];
+
+    if (errors.length > 0) {
+      return { valid: false, errors, synonyms: null, rules: null };
+    }
+
+    const index = await this.getIndex();
+    const [liveSynonyms, liveRules] = await Promise.all([
+      this.getLiveSynonyms(index),
+      this.getLiveRules(index)
+    ]);
+
+    const desiredSynonyms = synonymsFile.entries.map(({ note, ...synonym }) => synonym);
+
+    const desiredRules = [];
+    const unresolved = [];
+    for (const rule of rulesFile.entries) {
+      const { rule: resolved, unresolvedUrls } = await this.resolveRule(rule, index);
+      if (unresolvedUrls.length > 0) {
+        unresolved.push({ objectID: rule.objectID, urls: unresolvedUrls });
+      } else {
+        desiredRules.push(resolved);
+      }
+    }
+
+    const rules = this.diff(desiredRules, liveRules, rule => ({ enabled: true, ...rule }));
+    // Leave the live version of a rule that cannot be resolved alone rather than deleting it
+    const unresolvedIds = new Set(unresolved.map(entry => entry.objectID));
+    rules.remove = rules.remove.filter(objectID => !unresolvedIds.has(objectID));
+    rules.unresolved = unresolved;
+
+    return {
+      valid: true,
+      errors: [],
+      synonyms: this.diff(desiredSynonyms, liveSynonyms),
+      rules
+    };
+  }
+
+  /**
+   * Replace url promotes with the objectID of the record at that URL
+   * @returns {Promise<Object>} - { rule, unresolvedUrls }
+   */
+  async resolveRule(rule, index) {
+    const promotes = rule.consequence.promote || [];
+    if (!promotes.some(promote => promote.url)) {
+      return { rule, unresolvedUrls: [] };
+    }
+
+    const unresolvedUrls = [];
+    const resolvedPromotes = [];
+    const query = rule.conditions?.find(condition => condition.pattern)?.pattern || '';
+
+    for (const promote of promotes) {
+      if (!promote.url) {
+        resolvedPromotes.push(promote);
+        continue;
+      }
+
+      const objectID = await this.findObjectIdByUrl(promote.url, query, index);
+      if (objectID) {
+        resolvedPromotes.push({ objectID, position: promote.position });
+      } else {
+        unresolvedUrls.push(promote.url);
+      }
+    }
+
+    return {
+      rule: { ...rule, consequence: { ...rule.consequence, promote: resolvedPromotes } },
+      unresolvedUrls
+    };
+  }
+
+  /**
+   * Find a record by URL among the results for the rule's own query
+   * A split record is promoted by its parent objectID, which its first chunk keeps.
+   */
+  async findObjectIdByUrl(url, query, index) {
+    const path = this.toPath(url);
+
+    try {
+      const { object } = await index.findObject(hit => Boolean(hit.url) && this.toPath(hit.url) === path, {
+        query,
+        paginate: true,
+        attributesToRetrieve: ['url', 'parentObjectID'],
+        attributesToHighlight: [],
+        analytics: false
+      });
+      return object.parentObjectID || object.objectID;
+    } catch (error) {
+      if (error.name === 'ObjectNotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Site path of a URL, decoded and without a trailing slash
+   * Static page records store absolute URLs, while rules name pages by path.
+   */
+  toPath(url) {
+    try {
+      const pathname = decodeURI(new URL(url, 'https://site.invalid').pathname);
+      return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * @param {Function} normalize - Fills in defaults Algolia adds, so they do not show as changes
+   */
+  diff(desired, live, normalize = entry => entry) {
+    const liveById = new Map(live.map(entry => [entry.objectID, entry]));
+    const desiredIds = new Set(desired.map(entry => entry.objectID));
+    const result = { create: [], update: [], remove: [], unchanged: 0 };
+
+    for (const entry of desired) {
+      const liveEntry = liveById.get(entry.objectID);
+      if (!liveEntry) {
+        result.create.push(entry);
+      } else if (this.canonical(normalize(entry)) !== this.canonical(normalize(liveEntry))) {
+        result.update.push({ objectID: entry.objectID, live: liveEntry, desired: entry });
+      } else {
+        result.unchanged++;
+      }
+    }
+
+    result.remove = live.filter(entry => !desiredIds.has(entry.objectID)).map(entry => entry.objectID);
+    return result;
+  }
+
+  /**
+   * JSON with sorted object keys, so key order never counts as a change
+   */
+  canonical(value) {
+    return JSON.stringify(value, (key, val) => (
+      val && typeof val === 'object' && !Array.isArray(val)
+        ? Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]))
+        : val
+    ));
+  }
+
+  /**
+   * Write a plan's changes to the index and its replicas
+   * @param {Object} plan - Result of plan()
+   * @returns {Promise<Object>} - Counts of saved and deleted synonyms and rules
+   */
+  async apply(plan) {
+    if (!plan.valid) {
+      throw new Error(`Cannot apply an invalid plan: ${plan.errors.join('; ')}`);
+    }
+
+    const index = await this.getIndex();
+    const requestOptions = { forwardToReplicas: true };
+
+    const synonymsToSave = [...plan.synonyms.create, ...plan.synonyms.update.map(change => change.desired)];
+    if (synonymsToSave.length > 0) {
+      await index.saveSynonyms(synonymsToSave, requestOptions).wait();
+    }
+    for (const objectID of plan.synonyms.remove) {
+      await index.deleteSynonym(objectID, requestOptions).wait();
+    }
+
+    const rulesToSave = [...plan.rules.create, ...plan.rules.update.map(change => change.desired)];
+    if (rulesToSave.length > 0) {
+      await index.saveRules(rulesToSave, requestOptions).wait();
+    }
+    for (const objectID of plan.rules.remove) {
+      await index.deleteRule(objectID, requestOptions).wait();
+    }
+
+    const result = {
+      synonymsSaved: synonymsToSave.length,
+      synonymsDeleted: plan.synonyms.remove.length,
+      rulesSaved: rulesToSave.length,
+      rulesDeleted: plan.rules.remove.length
+    };
+
+    this.logger.success('Synonyms and rules applied', result);
+    return result;
+  }
+
+  /**
+   * Write the live synonyms and rules to the files
+   * Notes are carried over from the current synonyms file, and promoted
+   * objectIDs are written as the record's URL where the record has one.
+   * @param {Object} options - { synonymsPath, rulesPath }
+   * @returns {Promise<Object>} - { synonyms, rules } counts
+   */
+  async exportToFiles(options = {}) {
+    const { synonymsPath = SYNONYMS_PATH, rulesPath = RULES_PATH } = options;
+
+    const index = await this.getIndex();
+    const [liveSynonyms, liveRules] = await Promise.all([
+      this.getLiveSynonyms(index),
+      this.getLiveRules(index)
+    ]);
+
+    const notes = new Map(loadSynonyms(synonymsPath).entries
+      .filter(synonym => synonym.note)
+      .map(synonym => [synonym.objectID, synonym.note]));
+
+    const synonyms = liveSynonyms.map(synonym => ({
+      ...synonym,
+      ...(notes.has(synonym.objectID) && { note: notes.get(synonym.objectID) })
+    }));
+
+    const promotedIds = [...new Set(liveRules.flatMap(rule => (rule.consequence?.promote || [])
+      .flatMap(promote => promote.objectIDs || [promote.objectID])
+      .filter(Boolean)))];
+    const urls = new Map();
+    if (promotedIds.length > 0) {
+      const { results } = await index.getObjects(promotedIds, { attributesToRetrieve: ['url'] });
+      results.filter(record => record?.url).forEach(record => urls.set(record.objectID, record.url));
+    }
+
+    const rules = liveRules.map(rule => {
+      if (!rule.consequence?.promote) {
+        return rule;
+      }
+      return {
+        ...rule,
+        consequence: {
+          ...rule.consequence,
+          // An objectIDs group fills consecutive positions
+          promote: rule.consequence.promote.flatMap(promote => (promote.objectIDs || [promote.objectID]).map((objectID, i) => (
+            urls.has(objectID)
+              ? { url: this.toPath(urls.get(objectID)), position: promote.position + i }
+              : { objectID, position: promote.position + i }
+          )))
+        }
+      };
+    });
+
+    fs.writeFileSync(synonymsPath, `${JSON.stringify({ synonyms }, null, 2)}\n`);
+    fs.writeFileSync(rulesPath, `${JSON.stringify({ rules }, null, 2)}\n`);
+
+    this.logger.success('Live synonyms and rules exported', {
+      synonyms: synonyms.length,
+      rules: rules.length
+    });
+
+    return { synonyms: synonyms.length, rules: rules.length };
+  }
+}
+
+export default new SearchRelevance();
@@ -0,0 +1,407 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import algoliaClient from './client.js';
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+
+/**
+ * Algolia analytics backend
+ *
+ * Stores searches, clicks and conversions in a dedicated
+ * `<index>_search_analytics` index, like the sync run history.
+ */
+class AlgoliaAnalyticsBackend {
+  constructor() {
+    this.name = 'algolia';
+    this.settingsApplied = false;
+  }
+
+  async getIndex() {
+    await algoliaClient.init();
+    return algoliaClient.getClient().initIndex(`${algoliaClient.indexName}_search_analytics`);
+  }
+
+  /**
+   * Apply the index settings once per instance
+   * Called when a report is built, never on the search path. Recording, queryID
+   * lookups and pruning work without them; only the report's searches need them.
+   */
+  async applySettings() {
+    if (!this.settingsApplied) {
+      const index = await this.getIndex();
+      await index.setSettings({
+        searchableAttributes: ['query'],
+        attributesForFaceting: [
+          'filterOnly(type)',
+          'filterOnly(region)',
+          'filterOnly(queryID)'
+        ],
+        customRanking: ['desc(timestamp)']
+      });
+      this.settingsApplied = true;
+    }
+  }
+
+  async add(records) {
+    const index = await this.getIndex();
+    await index.saveObjects(records);
+  }
+
+  async findSearchQueryIDs(queryIDs) {
+    const index = await this.getIndex();
+    const { results } = await index.getObjects(queryIDs.map(queryID => `search_${queryID}`), {
+      attributesToRetrieve: ['queryID']
+    });
+    return new Set(results.filter(Boolean).map(record => record.queryID));
+  }
+
+  async list({ since, until }) {
+    const index = await this.getIndex();
+    const records = [];
+
+    await index.browseObjects({
+      numericFilters: [`timestamp >= ${since}`, `timestamp <= ${until}`],
+      batch: (batch) => {
+        records.push(...batch);
+      }
+    });
+
+    return records;
+  }
+
+  async prune(cutoff) {
+    const index = await this.getIndex();
+    await index.deleteBy({ numericFilters: [`timestamp < ${cutoff}`] });
+  }
+}
+
+/**
+ * Local analytics backend for scripts and `vercel dev`
+ *
+ * Keeps records in memory, or appends them to a JSON Lines file when a path is
+ * given so separate local processes share them.
+ */
+class LocalAnalyticsBackend {
+  constructor(filePath = null) {
+    this.name = filePath ? 'file' : 'memory';
+    this.filePath = filePath;
+    this.records = [];
+  }
+
+  async applySettings() {}
+
+  load() {
+    if (!this.filePath) {
+      return this.records;
+    }
+
+    try {
+      return fs.readFileSync(this.filePath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async add(records) {
+    if (!this.filePath) {
+      this.records.push(...records);
+      return;
+    }
+    fs.appendFileSync(this.filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+  }
+
+  async findSearchQueryIDs(queryIDs) {
+    return new Set(this.load()
+      .filter(record => record.type === 'search' && queryIDs.includes(record.queryID))
+      .map(record => record.queryID));
+  }
+
+  async list({ since, until }) {
+    return this.load().filter(record => record.timestamp >= since && record.timestamp <= until);
+  }
+
+  async prune(cutoff) {
+    const kept = this.load().filter(record => record.timestamp >= cutoff);
+    if (!this.filePath) {
+      this.records = kept;
+      return;
+    }
+    fs.writeFileSync(this.filePath, kept.map(record => `${JSON.stringify(record)}\n`).join(''));
+  }
+}
+
+/**
+ * Search Analytics
+ *
+ * Records every new search (page 0) with the queryID Algolia returns when
+ * clickAnalytics is on, plus the click and conversion events the front end
+ * reports for that queryID. Reports aggregate them into zero-result queries
+ * and top queries per region, so editors can see which searches fail.
+ *
+ * Recording a search is best-effort: a failure is logged and never fails the search.
+ */
+class SearchAnalytics {
+  constructor() {
+    this.logger = logger.setContext('SearchAnalytics');
+    this.backend = null;
+    this.lastPrunedAt = 0;
+    this.pruneInterval = 60 * 60 * 1000; // 1 hour
+  }
+
+  getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const analyticsConfig = config.getAnalyticsConfig();
+    switch (analyticsConfig.backend) {
+      case 'file':
+        this.backend = new LocalAnalyticsBackend(analyticsConfig.filePath);
+        break;
+      case 'memory':
+        this.backend = new LocalAnalyticsBackend();
+        break;
+      default:
+        this.backend = new AlgoliaAnalyticsBackend();
+    }
+
+    return this.backend;
+  }
+
+  isEnabled() {
+    return config.getAnalyticsConfig().enabled;
+  }
+
+  /**
+   * Lower-case and collapse whitespace so "ESG  Report" and "esg report" count as one query
+   * NFKC also folds fullwidth Latin letters and digits typed with a Japanese IME.
+   */
+  normalizeQuery(query) {
+    return query.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Record a search
+   * @param {Object} search - { queryID, query, region, type, locale, nbHits, page }
+   */
+  async recordSearch(search) {
+    // Paging through results is the same search
+    if (!this.isEnabled() || search.page > 0) {
+      return;
+    }
+
+    const now = new Date();
+    const record = {
+      objectID: `search_${search.queryID || `${now.getTime()}_${crypto.randomBytes(4).toString('hex')}`}`,
+      type: 'search',
+      queryID: search.queryID || null,
+      query: this.normalizeQuery(search.query),
+      region: search.region?.toLowerCase() || 'all',
+      contentType: search.type || null,
+      locale: search.locale || null,
+      nbHits: search.nbHits,
+      timestamp: this.toTimestamp(now)
+    };
+
+    try {
+      await this.getBackend().add([record]);
+    } catch (error) {
+      this.logger.warn('Failed to record search', {
+        query: record.query,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record click and conversion events
+   * The endpoint is public, so only events for a queryID of a recorded search
+   * are kept, and each hit counts once per search and event type.
+   * @param {Object[]} events - [{ type: 'click'|'conversion', queryID, objectID, position }]
+   * @returns {Promise<number>} - Number of events recorded
+   */
+  async recordEvents(events) {
+    if (!this.isEnabled() || events.length === 0) {
+      return 0;
+    }
+
+    const backend = this.getBackend();
+    const knownQueryIDs = await backend.findSearchQueryIDs([...new Set(events.map(event => event.queryID))]);
+    const validEvents = events.filter(event => knownQueryIDs.has(event.queryID));
+
+    if (validEvents.length < events.length) {
+      this.logger.debug(`Ignored ${events.length - validEvents.length} search event(s) with an unknown queryID`);
+    }
+    if (validEvents.length === 0) {
+      return 0;
+    }
+
+    const now = new Date();
+    const records = validEvents.map(event => ({
+      objectID: `${event.type}_${event.queryID}_${event.objectID}`,
+      type: event.type,
+      queryID: event.queryID,
+      hitObjectID: event.objectID,
+      position: event.position ?? null,
+      timestamp: this.toTimestamp(now)
+    }));
+
+    await backend.add(records);
+    this.logger.debug(`Recorded ${records.length} search event(s)`);
+    return records.length;
+  }
+
+  /**
+   * Aggregate the recorded searches and events of a period
+   * @param {Object} options - { since, until, region, limit }
+   * @returns {Promise<Object>} - { since, until, backend, totals, zeroResultQueries, topQueriesByRegion }
+   */
+  async getReport(options = {}) {
+    const {
+      since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      until = new Date(),
+      region = null,
+      limit = 20
+    } = options;
+
+    // Settings and pruning run here rather than on the search path
+    await this.getBackend().applySettings();
+    await this.pruneIfDue();
+
+    const records = await this.getBackend().list({
+      since: this.toTimestamp(since),
+      until: this.toTimestamp(until)
+    });
+
+    const searches = records.filter(record =>
+      record.type === 'search' && (!region || record.region === region)
+    );
+    const searchesById = new Map(searches.filter(search => search.queryID).map(search => [search.queryID, search]));
+
+    // Events count towards the search they came from; events of other regions' searches drop out here
+    const clickedIds = new Set();
+    const convertedIds = new Set();
+    let clicks = 0;
+    let conversions = 0;
+    for (const record of records) {
+      if (!searchesById.has(record.queryID)) continue;
+      if (record.type === 'click') {
+        clicks++;
+        clickedIds.add(record.queryID);
+      } else if (record.type === 'conversion') {
+        conversions++;
+        convertedIds.add(record.queryID);
+      }
+    }
+
+    const zeroResults = searches.filter(search => search.nbHits === 0);
+
+    return {
+      since: since.toISOString(),
+      until: until.toISOString(),
+      backend: this.getBackend().name,
+      totals: {
+        searches: searches.length,
+        zeroResultSearches: zeroResults.length,
+        zeroResultRate: this.rate(zeroResults.length, searches.length),
+        clicks,
+        conversions,
+        clickThroughRate: this.rate(clickedIds.size, searches.length),
+        conversionRate: this.rate(convertedIds.size, searches.length)
+      },
+      zeroResultQueries: this.groupByQuery(zeroResults, clickedIds).slice(0, limit)
+        .map(({ query, count, lastSearchedAt, regions }) => ({ query, count, lastSearchedAt, regions })),
+      topQueriesByRegion: this.groupByRegion(searches, clickedIds, limit)
+    };
+  }
+
+  /**
+   * @returns {Object[]} - [{ query, count, zeroResults, clickThroughRate, lastSearchedAt, regions }], most searched first
+   */
+  groupByQuery(searches, clickedIds) {
+    const groups = new Map();
+
+    for (const search of searches) {
+      const group = groups.get(search.query) || {
+        query: search.query,
+        count: 0,
+        zeroResults: 0,
+        clicked: 0,
+        lastTimestamp: 0,
+        regions: new Set()
+      };
+
+      group.count++;
+      if (search.nbHits === 0) group.zeroResults++;
+      if (clickedIds.has(search.queryID)) group.clicked++;
+      group.lastTimestamp = Math.max(group.lastTimestamp, search.timestamp);
+      group.regions.add(search.region);
+      groups.set(search.query, group);
+    }
+
+    return [...groups.values()]
+      .sort((a, b) => b.count - a.count || b.lastTimestamp - a.lastTimestamp)
+      .map(group => ({
+        query: group.query,
+        count: group.count,
+        zeroResults: group.zeroResults,
+        clickThroughRate: this.rate(group.clicked, group.count),
+        lastSearchedAt: new Date(group.lastTimestamp * 1000).toISOString(),
+        regions: [...group.regions].sort()
+      }));
+  }
+
+  /**
+   * @returns {Object} - Map of region -> top queries; 'all' holds searches made without a region filter
+   */
+  groupByRegion(searches, clickedIds, limit) {
+    const byRegion = {};
+
+    for (const search of searches) {
+      (byRegion[search.region] = byRegion[search.region] || []).push(search);
+    }
+
+    return Object.fromEntries(Object.keys(byRegion).sort().map(region => [
+      region,
+      this.groupByQuery(byRegion[region], clickedIds).slice(0, limit)
+        .map(({ regions, ...query }) => query)
+    ]));
+  }
+
+  rate(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+  }
+
+  /**
+   * Delete records older than the retention period, at most once an hour per instance
+   * A failed prune is logged and retried with the next report.
+   */
+  async pruneIfDue() {
+    if (Date.now() - this.lastPrunedAt < this.pruneInterval) {
+      return;
+    }
+
+    const { retentionDays } = config.getAnalyticsConfig();
+    const cutoff = this.toTimestamp(new Date()) - retentionDays * 24 * 60 * 60;
+
+    try {
+      await this.getBackend().prune(cutoff);
+      this.lastPrunedAt = Date.now();
+      this.logger.debug(`Pruned search analytics older than ${retentionDays} days`);
+    } catch (error) {
+      this.logger.warn('Failed to prune search analytics', { error: error.message });
+    }
+  }
+
+  toTimestamp(date) {
+    return Math.floor(date.getTime() / 1000);
+  }
+}
+
+export default new SearchAnalytics();
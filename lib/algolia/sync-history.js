@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import algoliaClient from './client.js';
+import webflowClient from '../webflow/client.js';
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+
+/**
+ * Sync History
+ *
+ * Writes one structured record per sync run (cron, manual or webhook) to a
+ * dedicated `<index>_sync_runs` Algolia index, so runs can be filtered by type,
+ * trigger, region and status without going through Vercel logs. Records older
+ * than the retention period are deleted.
+ *
+ * Recording is best-effort: a failure here is logged and never fails the sync.
+ */
+class SyncHistory {
+  constructor() {
+    this.logger = logger.setContext('SyncHistory');
+    this.settingsApplied = false;
+    this.lastPrunedAt = 0;
+    this.pruneInterval = 60 * 60 * 1000; // 1 hour
+  }
+
+  async getIndex() {
+    await algoliaClient.init();
+    const index = algoliaClient.getClient().initIndex(`${algoliaClient.indexName}_sync_runs`);
+
+    if (!this.settingsApplied) {
+      await index.setSettings({
+        searchableAttributes: ['runType', 'collectionSlug', 'errors.message'],
+        attributesForFaceting: [
+          'filterOnly(runType)',
+          'filterOnly(trigger)',
+          'filterOnly(region)',
+          'filterOnly(collectionSlug)',
+          'filterOnly(status)'
+        ],
+        customRanking: ['desc(startedAtTimestamp)']
+      });
+      this.settingsApplied = true;
+    }
+
+    return index;
+  }
+
+  /**
+   * Start tracking a run
+   * @param {Object} options - { runType, trigger, region, collectionSlug, staticLocales, dryRun }
+   * @param {string|null} options.staticLocales - Static page locales the run covers ('all', 'primary' or null)
+   * @returns {Object} - Run handle to pass to finishRun()
+   */
+  startRun(options = {}) {
+    const {
+      runType,
+      trigger = 'manual',
+      region = null,
+      collectionSlug = null,
+      staticLocales = null,
+      dryRun = false
+    } = options;
+
+    return {
+      runId: `${runType}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      runType,
+      trigger,
+      region: region || 'all',
+      collectionSlug,
+      staticLocales,
+      dryRun,
+      startedAt: new Date(),
+      webflowUsage: webflowClient.getUsageSnapshot()
+    };
+  }
+
+  /**
+   * Finish a run and persist its record
+   * @param {Object} run - Handle returned by startRun()
+   * @param {Object} result - Sync result, or { error } for a failed run
+   * @returns {Promise<Object|null>} - The stored record, or null if it could not be written
+   */
+  async finishRun(run, result = {}) {
+    const finishedAt = new Date();
+    const usage = webflowClient.getUsageSnapshot();
+
+    const record = {
+      objectID: run.runId,
+      runId: run.runId,
+      runType: run.runType,
+      trigger: run.trigger,
+      region: run.region,
+      collectionSlug: run.collectionSlug,
+      staticLocales: run.staticLocales,
+      dryRun: run.dryRun,
+      status: this.getStatus(result),
+      message: result.message || result.error?.message || null,
+      startedAt: run.startedAt.toISOString(),
+      startedAtTimestamp: Math.floor(run.startedAt.getTime() / 1000),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - run.startedAt,
+      counts: this.getCounts(result),
+      errors: this.getErrors(result),
+      webflow: {
+        requests: usage.totalRequests - run.webflowUsage.totalRequests,
+        rateLimited: usage.rateLimitedResponses - run.webflowUsage.rateLimitedResponses,
+        remaining: usage.remaining,
+        limit: usage.limit
+      }
+    };
+
+    try {
+      const index = await this.getIndex();
+      await index.saveObject(record);
+      await this.pruneIfDue(index);
+
+      this.logger.debug(`Sync run recorded: ${record.runId}`, {
+        status: record.status,
+        durationMs: record.durationMs
+      });
+      return record;
+    } catch (error) {
+      this.logger.warn('Failed to record sync run', {
+        runId: record.runId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  getStatus(result) {
+    if (result.error) return 'failed';
+    // processed: false is a webhook event that was ignored or superseded
+    if (result.duplicate || result.inProgress || result.processed === false) return 'skipped';
+    return result.success === false ? 'failed' : 'success';
+  }
+
+  getCounts(result) {
+    const writes = result.writes || {};
+    return {
+      indexed: result.indexed || 0,
+      created: writes.created || 0,
+      updated: writes.updated || 0,
+      deleted: result.deleted || result.orphanedDeleted || result.itemsDeleted || 0,
+      skipped: writes.unchanged || 0
+    };
+  }
+
+  getErrors(result) {
+    const errors = [];
+
+    if (result.error) {
+      errors.push({ message: result.error.message || String(result.error) });
+    }
+
+    // Incremental syncs report failures per collection
+    for (const entry of result.collections || []) {
+      if (entry.error) {
+        errors.push({ message: entry.error, collectionSlug: entry.collectionSlug });
+      }
+    }
+
+    for (const error of result.errors || []) {
+      errors.push({
+        message: error.message,
+        ...(error.collectionSlug && { collectionSlug: error.collectionSlug })
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Delete records older than the retention period, at most once an hour per instance
+   */
+  async pruneIfDue(index) {
+    if (Date.now() - this.lastPrunedAt < this.pruneInterval) {
+      return;
+    }
+
+    const { historyRetentionDays } = config.getSyncConfig();
+    const cutoff = Math.floor(Date.now() / 1000) - historyRetentionDays * 24 * 60 * 60;
+
+    await index.deleteBy({ numericFilters: [`startedAtTimestamp < ${cutoff}`] });
+    this.lastPrunedAt = Date.now();
+    this.logger.debug(`Pruned sync runs older than ${historyRetentionDays} days`);
+  }
+
+  /**
+   * List recorded runs, newest first
+   * @param {Object} filters - { runType, trigger, region, collectionSlug, status, since, until, limit }
+   * @returns {Promise<Object[]>} - Run records
+   */
+  async listRuns(filters = {}) {
+    const { runType, trigger, region, collectionSlug, status, since, until, limit = 50 } = filters;
+
+    const facetFilters = [];
+    if (runType) facetFilters.push(`runType:${runType}`);
+    if (trigger) facetFilters.push(`trigger:${trigger}`);
+    if (region) facetFilters.push(`region:${region}`);
+    if (collectionSlug) facetFilters.push(`collectionSlug:${collectionSlug}`);
+    if (status) facetFilters.push(`status:${status}`);
+
+    const numericFilters = [];
+    if (since) numericFilters.push(`startedAtTimestamp >= ${Math.floor(new Date(since).getTime() / 1000)}`);
+    if (until) numericFilters.push(`startedAtTimestamp <= ${Math.floor(new Date(until).getTime() / 1000)}`);
+
+    const index = await this.getIndex();
+    const response = await index.search('', {
+      facetFilters,
+      numericFilters,
+      hitsPerPage: Math.min(limit, 1000),
+      attributesToHighlight: [],
+      analytics: false
+    });
+
+    return response.hits.map(({ _highlightResult, ...record }) => record);
+  }
+}
+
+export default new SyncHistory();
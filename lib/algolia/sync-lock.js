@@ -0,0 +1,367 @@
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import algoliaClient from './client.js';
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+
+/**
+ * Algolia lease backend
+ *
+ * Keeps leases in a `<index>_locks` index, apart from the search index, so an
+ * atomic reindex never copies or drops them. Algolia has no compare-and-set,
+ * so every acquire writes its own claim object and the lock manager decides
+ * between the live claims for a key.
+ */
+class AlgoliaLeaseBackend {
+  constructor() {
+    this.name = 'algolia';
+    // Time for a racing instance's claim to finish indexing before claims are compared
+    this.settleMs = 1500;
+  }
+
+  async getIndex() {
+    await algoliaClient.init();
+    return algoliaClient.getClient().initIndex(`${algoliaClient.indexName}_locks`);
+  }
+
+  /**
+   * Every write is preceded by a read, so the index is created here - with the
+   * key facet get() filters on - before any lease is saved to it
+   */
+  async browse(options = {}) {
+    const index = await this.getIndex();
+    const leases = [];
+
+    try {
+      await index.browseObjects({
+        ...options,
+        batch: (batch) => {
+          leases.push(...batch.map(({ objectID, ...lease }) => lease));
+        }
+      });
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      await index.setSettings({
+        attributesForFaceting: ['filterOnly(key)']
+      }).wait();
+    }
+
+    return leases;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - Every claim for the key, live or stale
+   */
+  async get(key) {
+    return this.browse({ filters: `key:${JSON.stringify(key)}` });
+  }
+
+  async put(lease) {
+    const index = await this.getIndex();
+    await index.saveObject({ objectID: lease.claimId, ...lease }).wait();
+  }
+
+  async remove(lease) {
+    const index = await this.getIndex();
+    await index.deleteObject(lease.claimId);
+  }
+
+  async list() {
+    return this.browse();
+  }
+}
+
+/**
+ * Local lease backend for scripts and `vercel dev`
+ *
+ * Keeps leases in memory, and mirrors them to a JSON file when a path is given
+ * so separate local processes still see each other's locks. Writes are
+ * synchronous, so there is one lease per key and no settle delay.
+ */
+class LocalLeaseBackend {
+  constructor(filePath = null) {
+    this.name = filePath ? 'file' : 'memory';
+    this.filePath = filePath;
+    this.settleMs = 0;
+    this.leases = {};
+  }
+
+  load() {
+    if (!this.filePath) {
+      return this.leases;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  save(leases) {
+    this.leases = leases;
+    if (this.filePath) {
+      fs.writeFileSync(this.filePath, JSON.stringify(leases, null, 2));
+    }
+  }
+
+  async get(key) {
+    const lease = this.load()[key];
+    return lease ? [lease] : [];
+  }
+
+  async put(lease) {
+    const leases = this.load();
+    leases[lease.key] = lease;
+    this.save(leases);
+  }
+
+  async remove(lease) {
+    const leases = this.load();
+    if (leases[lease.key]?.claimId === lease.claimId) {
+      delete leases[lease.key];
+      this.save(leases);
+    }
+  }
+
+  async list() {
+    return Object.values(this.load());
+  }
+}
+
+/**
+ * Sync Lock Manager
+ *
+ * Lease-based locks shared across instances. A lease has an owner and an expiry;
+ * once expired it is stale and another owner may take it over, so a crashed
+ * invocation can never block a sync for longer than the TTL.
+ */
+class SyncLockManager {
+  constructor() {
+    this.logger = logger.setContext('SyncLockManager');
+    this.ownerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.backend = null;
+    this.lastPrunedAt = 0;
+    this.pruneInterval = 60 * 60 * 1000; // 1 hour
+  }
+
+  getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const lockConfig = config.getLockConfig();
+    switch (lockConfig.backend) {
+      case 'file':
+        this.backend = new LocalLeaseBackend(lockConfig.filePath);
+        break;
+      case 'memory':
+        this.backend = new LocalLeaseBackend();
+        break;
+      default:
+        this.backend = new AlgoliaLeaseBackend();
+    }
+
+    return this.backend;
+  }
+
+  isStale(lease, now = Date.now()) {
+    return new Date(lease.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Current lease for a key: the earliest live claim, or else the most recent stale one
+   * @param {string} key - Lock key
+   * @returns {Promise<Object|null>}
+   */
+  async getLease(key, now = Date.now()) {
+    const claims = await this.getBackend().get(key);
+    const live = claims.filter(claim => !this.isStale(claim, now));
+
+    if (live.length > 0) {
+      // Earliest acquiredAt wins; the claim ID breaks an exact tie
+      return live.sort((a, b) =>
+        a.acquiredAt.localeCompare(b.acquiredAt) || String(a.claimId).localeCompare(String(b.claimId))
+      )[0];
+    }
+
+    return claims.sort((a, b) => b.expiresAt.localeCompare(a.expiresAt))[0] || null;
+  }
+
+  /**
+   * Try to acquire a lease
+   * @param {string} key - Lock key (e.g., 'static-pages', 'full-sync-americas')
+   * @param {Object} options - { ttlSeconds }
+   * @returns {Promise<Object>} - { acquired, lease } or { acquired: false, heldBy }
+   */
+  async acquire(key, options = {}) {
+    const { ttlSeconds = config.getLockConfig().ttlSeconds } = options;
+    const backend = this.getBackend();
+
+    const existing = await this.getLease(key);
+    // A live lease blocks everyone, including this owner - two requests can share an instance
+    if (existing && !this.isStale(existing)) {
+      this.logger.warn(`Lock already held: ${key}`, {
+        owner: existing.owner,
+        expiresAt: existing.expiresAt
+      });
+      return { acquired: false, heldBy: existing };
+    }
+
+    if (existing && this.isStale(existing)) {
+      this.logger.warn(`Taking over stale lock: ${key}`, {
+        previousOwner: existing.owner,
+        expiredAt: existing.expiresAt
+      });
+    }
+
+    const now = new Date();
+    const lease = {
+      key,
+      owner: this.ownerId,
+      claimId: `${key}::${crypto.randomUUID()}`,
+      acquiredAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString()
+    };
+
+    await backend.put(lease);
+
+    // Claims never overwrite each other. After the settle delay, every instance
+    // that raced for the key sees the same earliest claim, and the others back
+    // off. This is not a true compare-and-set: if a claim takes longer than the
+    // settle delay to index, or clocks between instances disagree, two runs can
+    // still both win, so syncs must stay safe to repeat.
+    if (backend.settleMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, backend.settleMs));
+    }
+
+    const current = await this.getLease(key);
+    if (!current || current.claimId !== lease.claimId) {
+      this.logger.warn(`Lost lock race: ${key}`, { owner: current?.owner });
+      await backend.remove(lease);
+      return { acquired: false, heldBy: current };
+    }
+
+    this.logger.debug(`Lock acquired: ${key}`, { expiresAt: lease.expiresAt });
+    return { acquired: true, lease };
+  }
+
+  /**
+   * Check for a live lease without trying to acquire it
+   * @param {string} key - Lock key
+   * @returns {Promise<boolean>}
+   */
+  async isHeld(key) {
+    const existing = await this.getLease(key);
+    return Boolean(existing && !this.isStale(existing));
+  }
+
+  /**
+   * Release a lease held by this owner
+   * @param {string} key - Lock key
+   */
+  async release(key) {
+    const backend = this.getBackend();
+
+    try {
+      const existing = await this.getLease(key);
+      if (!existing || existing.owner !== this.ownerId) {
+        this.logger.warn(`Not releasing lock owned by someone else: ${key}`, {
+          owner: existing?.owner
+        });
+        return;
+      }
+
+      await backend.remove(existing);
+      this.logger.debug(`Lock released: ${key}`);
+    } catch (error) {
+      // The lease expires on its own - never fail a finished sync over this
+      this.logger.error(`Failed to release lock: ${key}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Record a cron execution ID, returning true if it was already recorded
+   * @param {string} cronId - Vercel cron execution ID
+   * @returns {Promise<boolean>} - true if this execution is a duplicate
+   */
+  async isDuplicateCronExecution(cronId) {
+    // Cron leases are never released - they expire after two hours
+    const result = await this.acquire(`cron-${cronId}`, { ttlSeconds: 2 * 60 * 60 });
+    return !result.acquired;
+  }
+
+  /**
+   * Delete expired leases
+   * @returns {Promise<number>} - Number of leases removed
+   */
+  async pruneExpired() {
+    const backend = this.getBackend();
+    const now = Date.now();
+
+    try {
+      const expired = (await backend.list()).filter(lease => this.isStale(lease, now));
+      for (const lease of expired) {
+        await backend.remove(lease);
+      }
+      return expired.length;
+    } catch (error) {
+      this.logger.warn('Failed to prune expired locks', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Delete expired leases, at most once an hour per instance
+   * Called from the per-minute webhook queue cron rather than after every sync.
+   */
+  async pruneIfDue() {
+    if (Date.now() - this.lastPrunedAt < this.pruneInterval) {
+      return;
+    }
+
+    this.lastPrunedAt = Date.now();
+    const pruned = await this.pruneExpired();
+    if (pruned > 0) {
+      this.logger.debug(`Pruned ${pruned} expired lock(s)`);
+    }
+  }
+
+  /**
+   * Lease counts without owners or keys (for the public /api/health)
+   * @returns {Promise<Object>} - { backend, held, stale }
+   */
+  async getSummary() {
+    const { backend, leases } = await this.getStatus();
+    const stale = leases.filter(lease => lease.stale).length;
+
+    return { backend, held: leases.length - stale, stale };
+  }
+
+  /**
+   * List all leases with their state (for the authenticated /api/sync/status)
+   * @returns {Promise<Object>} - { backend, ownerId, leases }
+   */
+  async getStatus() {
+    const backend = this.getBackend();
+    const now = Date.now();
+    const leases = await backend.list();
+
+    return {
+      backend: backend.name,
+      ownerId: this.ownerId,
+      leases: leases.map(lease => ({
+        ...lease,
+        stale: this.isStale(lease, now)
+      }))
+    };
+  }
+}
+
+export default new SyncLockManager();
@@ -13,6 +13,15 @@ class SyncStateManager {
     this.stateObjectId = 'sync-state-metadata';
   }
 
+  /**
+   * Sync type key used for a CMS collection's watermark
+   * @param {string} collectionSlug - Collection slug (e.g., 'americas-news')
+   * @returns {string} - e.g., 'cms:americas-news'
+   */
+  getCollectionSyncType(collectionSlug) {
+    return `cms:${collectionSlug}`;
+  }
+
   /**
    * Get the last sync time for a specific sync type
    * @param {string} syncType - Type of sync (e.g., 'static-pages', 'cms-collection')
@@ -93,6 +102,68 @@ class SyncStateManager {
     }
   }
 
+  /**
+   * Update several sync times in a single read/write of the state object
+   * @param {Object} syncTimes - Map of syncType -> Date
+   */
+  async setLastSyncTimes(syncTimes = {}) {
+    const syncTypes = Object.keys(syncTimes);
+    if (syncTypes.length === 0) {
+      return;
+    }
+
+    try {
+      await algoliaClient.init();
+      const client = algoliaClient.getClient();
+      const index = client.initIndex(algoliaClient.indexName);
+
+      let stateObject;
+      try {
+        stateObject = await index.getObject(this.stateObjectId);
+      } catch (error) {
+        if (error.status === 404) {
+          stateObject = {
+            objectID: this.stateObjectId,
+            type: 'metadata',
+            lastSyncTimes: {}
+          };
+        } else {
+          throw error;
+        }
+      }
+
+      stateObject.lastSyncTimes = stateObject.lastSyncTimes || {};
+      for (const syncType of syncTypes) {
+        stateObject.lastSyncTimes[syncType] = syncTimes[syncType].toISOString();
+      }
+      stateObject.lastUpdated = new Date().toISOString();
+
+      await index.saveObject(stateObject);
+
+      this.logger.success(`Sync times updated for ${syncTypes.length} sync type(s)`, {
+        syncTypes
+      });
+    } catch (error) {
+      this.logger.error('Failed to set last sync times', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the last sync time of every sync type in one read
+   * @returns {Promise<Object>} - Map of syncType -> Date
+   */
+  async getLastSyncTimes() {
+    const stateObject = await this.getSyncState();
+    const syncTimes = {};
+
+    for (const [syncType, value] of Object.entries(stateObject.lastSyncTimes || {})) {
+      syncTimes[syncType] = new Date(value);
+    }
+
+    return syncTimes;
+  }
+
   /**
    * Get sync statistics
    * @returns {Promise<Object>} - Sync state for all types
@@ -0,0 +1,290 @@
+import algoliaClient from './client.js';
+import syncHistory from './sync-history.js';
+import syncStateManager from './sync-state.js';
+import webflowClient from '../webflow/client.js';
+import staticPagesFetcher from '../webflow/static-fetcher.js';
+import regionalFilter from '../transformers/regional-filter.js';
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+import helpers from '../core/helpers.js';
+import { getConfiguredCollections, getCronExcludedCollectionIds, getWebhookManagedCollections } from '../constants/collections.js';
+import { getAllSecondaryLocaleTags, shouldIncludePageForLocale } from '../constants/locale-folders.js';
+
+// Run types that sync every collection in their region
+const REGION_SYNC_RUN_TYPES = ['full-sync', 'full-rebuild', 'incremental-sync'];
+
+// Scheduled and manual run types; each is read on its own so that frequent
+// webhook runs cannot push them out of the history window
+const SYNC_RUN_TYPES = [
+  ...REGION_SYNC_RUN_TYPES,
+  'collection-sync',
+  'static-pages-sync',
+  'static-pages-incremental'
+];
+
+// Collections whose counts are compared at once - each sends a Webflow and an Algolia request
+const COUNT_CONCURRENCY = 4;
+
+// Counts are reused for this long, so polling the report does not repeat every request
+const COUNTS_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Sync Status Reporter
+ *
+ * Builds per-collection and per-locale freshness from the sync run history and
+ * the sync state watermarks, optionally comparing Webflow and Algolia item counts.
+ */
+class SyncStatusReporter {
+  constructor() {
+    this.logger = logger.setContext('SyncStatus');
+    this.countsCache = new Map();
+  }
+
+  /**
+   * Build the full status report
+   * @param {Object} options - { includeCounts, slaHours }
+   * @returns {Promise<Object>} - { overall, slaHours, summary, collections, staticPages }
+   */
+  async getStatus(options = {}) {
+    const {
+      includeCounts = true,
+      slaHours = config.getSyncConfig().freshnessSlaHours
+    } = options;
+
+    const now = new Date();
+    const [effectiveRuns, syncTimes] = await Promise.all([
+      this.listEffectiveRuns(),
+      syncStateManager.getLastSyncTimes()
+    ]);
+
+    if (includeCounts) {
+      await algoliaClient.init();
+    }
+
+    const collections = [];
+    for (const batch of helpers.chunk(getConfiguredCollections(), COUNT_CONCURRENCY)) {
+      collections.push(...await Promise.all(batch.map(collection =>
+        this.getCollectionStatus(collection, effectiveRuns, syncTimes, { includeCounts, slaHours, now })
+      )));
+    }
+
+    const staticPages = await this.getStaticPagesStatus(effectiveRuns, syncTimes, {
+      includeCounts,
+      slaHours,
+      now
+    });
+
+    const entries = [...collections, ...staticPages];
+    const summary = entries.reduce((acc, entry) => {
+      acc[entry.status] = (acc[entry.status] || 0) + 1;
+      return acc;
+    }, { healthy: 0, stale: 0, failing: 0, 'never-synced': 0 });
+
+    return {
+      overall: summary.healthy === entries.length ? 'healthy' : 'degraded',
+      slaHours,
+      generatedAt: now.toISOString(),
+      summary,
+      collections,
+      staticPages
+    };
+  }
+
+  /**
+   * Recent runs that changed the index
+   * Webhook runs are read per webhook-managed collection; events for other
+   * collections are ignored by the processor and say nothing about freshness.
+   */
+  async listEffectiveRuns() {
+    const queries = [
+      ...SYNC_RUN_TYPES.map(runType => ({ runType })),
+      ...getWebhookManagedCollections().map(collection => ({ runType: 'webhook', collectionSlug: collection.id }))
+    ];
+
+    const results = await Promise.all(queries.map(filters => syncHistory.listRuns({ ...filters, limit: 1000 })));
+
+    // Dry runs never touch the index and skipped runs did nothing
+    return results.flat().filter(run => !run.dryRun && run.status !== 'skipped');
+  }
+
+  async getCollectionStatus(collection, runs, syncTimes, options) {
+    const outcomes = runs
+      .map(run => this.getCollectionOutcome(run, collection))
+      .filter(Boolean);
+
+    // Incremental watermarks predate the run history, so count them as successes too
+    const watermark = syncTimes[syncStateManager.getCollectionSyncType(collection.id)];
+    if (watermark) {
+      outcomes.push({ succeeded: true, at: watermark });
+    }
+
+    const counts = options.includeCounts
+      ? await this.getCounts(
+        () => webflowClient.getLiveItemCount(collection.webflowId),
+        // Webflow counts items once; localized collections have a record per locale
+        `collectionSlug:"${collection.endpoint}" AND NOT locale.isPrimary:false`
+      )
+      : null;
+
+    return {
+      collectionSlug: collection.id,
+      name: collection.name,
+      region: collection.region,
+      ...this.buildFreshness(outcomes, counts, options)
+    };
+  }
+
+  /**
+   * Work out whether a run synced a collection, and whether that succeeded
+   * @returns {Object|null} - { succeeded, at, message } or null if the run did not cover the collection
+   */
+  getCollectionOutcome(run, collection) {
+    const covered = run.collectionSlug
+      ? run.collectionSlug === collection.id
+      : REGION_SYNC_RUN_TYPES.includes(run.runType) &&
+        !getCronExcludedCollectionIds().includes(collection.id) &&
+        this.regionCovers(run.region, collection.region);
+
+    if (!covered) {
+      return null;
+    }
+
+    const at = new Date(run.finishedAt);
+    const errors = run.errors || [];
+    const collectionError = errors.find(error => error.collectionSlug === collection.id);
+
+    if (collectionError) {
+      return { succeeded: false, at, message: collectionError.message };
+    }
+
+    // A failed run with per-collection errors failed for those collections only
+    if (run.status === 'failed' && !errors.some(error => error.collectionSlug)) {
+      return { succeeded: false, at, message: run.message };
+    }
+
+    return { succeeded: true, at };
+  }
+
+  regionCovers(runRegion, collectionRegion) {
+    if (!runRegion || runRegion === 'all') {
+      return true;
+    }
+    return regionalFilter.matchesSyncRegion({ region: collectionRegion }, runRegion);
+  }
+
+  async getStaticPagesStatus(runs, syncTimes, options) {
+    const siteLocales = await webflowClient.getSiteLocales();
+    const secondaryTags = getAllSecondaryLocaleTags();
+    const locales = siteLocales.filter(locale => locale.isPrimary || secondaryTags.includes(locale.tag));
+
+    const statuses = [];
+
+    // Sequential - each count lists every page of a locale from Webflow
+    for (const locale of locales) {
+      const outcomes = runs
+        .filter(run => run.staticLocales === 'all' || (run.staticLocales === 'primary' && locale.isPrimary))
+        .map(run => ({
+          succeeded: run.status !== 'failed',
+          at: new Date(run.finishedAt),
+          message: run.message
+        }));
+
+      if (locale.isPrimary && syncTimes['static-pages']) {
+        outcomes.push({ succeeded: true, at: syncTimes['static-pages'] });
+      }
+
+      const counts = options.includeCounts
+        ? await this.getCounts(
+          () => this.countWebflowPages(locale),
+          locale.isPrimary
+            // Primary pages indexed without locale info have no locale attributes at all
+            ? 'type:static-page AND NOT locale.isPrimary:false'
+            : `type:static-page AND locale.tag:"${locale.tag}"`
+        )
+        : null;
+
+      statuses.push({
+        locale: locale.tag,
+        displayName: locale.displayName,
+        isPrimary: locale.isPrimary,
+        ...this.buildFreshness(outcomes, counts, options)
+      });
+    }
+
+    return statuses;
+  }
+
+  async countWebflowPages(locale) {
+    const pages = await webflowClient.getStaticPages(locale.isPrimary ? {} : { localeId: locale.id });
+
+    return pages
+      .filter(page => locale.isPrimary || shouldIncludePageForLocale(page, locale.tag))
+      .filter(page => staticPagesFetcher.shouldProcessPage(page))
+      .length;
+  }
+
+  /**
+   * Compare the Webflow and Algolia counts for one entry
+   * A failing count is reported in the entry rather than failing the whole report,
+   * and is not cached.
+   */
+  async getCounts(countWebflow, algoliaFilters) {
+    const cached = this.countsCache.get(algoliaFilters);
+    if (cached && Date.now() - cached.checkedAt < COUNTS_CACHE_MS) {
+      return cached.counts;
+    }
+
+    try {
+      const [webflow, algolia] = await Promise.all([
+        countWebflow(),
+        algoliaClient.countRecords(algoliaClient.getIndex(), algoliaFilters)
+      ]);
+
+      const counts = {
+        webflow,
+        algolia: algolia || 0,
+        difference: (algolia || 0) - webflow
+      };
+      this.countsCache.set(algoliaFilters, { counts, checkedAt: Date.now() });
+      return counts;
+    } catch (error) {
+      this.logger.warn('Failed to compare counts', { filters: algoliaFilters, error: error.message });
+      return { error: error.message };
+    }
+  }
+
+  buildFreshness(outcomes, counts, { slaHours, now }) {
+    const latest = (succeeded) => outcomes
+      .filter(outcome => outcome.succeeded === succeeded)
+      .sort((a, b) => b.at - a.at)[0] || null;
+
+    const lastSuccess = latest(true);
+    const lastFailure = latest(false);
+    const ageHours = lastSuccess
+      ? Math.round(((now - lastSuccess.at) / (60 * 60 * 1000)) * 10) / 10
+      : null;
+
+    let status;
+    if (lastFailure && (!lastSuccess || lastFailure.at > lastSuccess.at)) {
+      status = 'failing';
+    } else if (!lastSuccess) {
+      status = 'never-synced';
+    } else if (ageHours > slaHours) {
+      status = 'stale';
+    } else {
+      status = 'healthy';
+    }
+
+    return {
+      status,
+      lastSuccessAt: lastSuccess ? lastSuccess.at.toISOString() : null,
+      ageHours,
+      lastFailure: lastFailure
+        ? { at: lastFailure.at.toISOString(), message: lastFailure.message || null }
+        : null,
+      counts
+    };
+  }
+}
+
+export default new SyncStatusReporter();
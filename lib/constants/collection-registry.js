@@ -0,0 +1,183 @@
+import fs from 'fs';
+import { z } from 'zod';
+import { VALID_REGIONS, VALID_COUNTRIES, getCountryById, isSubRegionOf } from './regions.js';
+import { getAllSecondaryLocaleTags } from './locale-folders.js';
+
+/**
+ * Collection registry schema
+ *
+ * Validates config/collections.json. Kept apart from collections.js, which loads
+ * the registry on import and throws when it is invalid, so that
+ * scripts/validate-collections.js can report every problem instead.
+ */
+
+export const CONTENT_TYPES = {
+  STATIC_PAGE: 'static-page',
+  CMS_ITEM: 'cms-item',
+  NEWS_ARTICLE: 'news-article',
+  INSIGHT: 'insight',
+  EVENT: 'event',
+  PERSON: 'person',
+  REPORT: 'report',
+  RESEARCH: 'research'
+};
+
+export const SEARCH_PRIORITIES = {
+  HIGH: 3,
+  MEDIUM: 2,
+  LOW: 1
+};
+
+export const COLLECTION_REGISTRY_PATH = new URL('../../config/collections.json', import.meta.url);
+
+const fieldMappingSchema = z.record(z.string().min(1));
+
+const taxonomySchema = z.object({
+  // Reference field on the item, e.g. 'industry-types'
+  field: z.string().min(1),
+  // Field the resolved names are written to (default: '<field>-resolved')
+  resolvedField: z.string().min(1).optional(),
+  // Taxonomy collection, as a Webflow ID or an environment variable holding one
+  collectionId: z.string().min(1).optional(),
+  collectionEnvVar: z.string().regex(/^[A-Z][A-Z0-9_]*$/).optional()
+}).strict().refine(
+  taxonomy => taxonomy.collectionId || taxonomy.collectionEnvVar,
+  { message: 'Either collectionId or collectionEnvVar is required' }
+);
+
+const collectionSchema = z.object({
+  id: z.string().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Must be a lowercase kebab-case slug'),
+  name: z.string().min(1),
+  // Slug stored on records as collectionSlug (default: id)
+  endpoint: z.string().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/).optional(),
+  region: z.enum(VALID_REGIONS),
+  // Country of every item in the collection (default: detected from each item's URL)
+  country: z.enum(VALID_COUNTRIES).optional(),
+  // Webflow collection ID, or the environment variable holding it (the variable wins if both are set)
+  webflowId: z.string().min(1).optional(),
+  envVar: z.string().regex(/^[A-Z][A-Z0-9_]*$/, 'Must be an UPPER_SNAKE_CASE variable name').optional(),
+  priority: z.number().int().positive(),
+  contentType: z.enum(Object.values(CONTENT_TYPES).filter(type => type !== CONTENT_TYPES.STATIC_PAGE)).default(CONTENT_TYPES.CMS_ITEM),
+  // Item URL, with {slug} and {endpoint} placeholders
+  urlTemplate: z.string()
+    .regex(/^\//, 'Must start with /')
+    .refine(template => template.includes('{slug}'), 'Must contain {slug}')
+    .refine(template => !/\{(?!slug\}|endpoint\})[^}]*\}/.test(template), 'Only {slug} and {endpoint} are supported')
+    .default('/{endpoint}/{slug}'),
+  fieldMappingPreset: z.string().optional(),
+  fieldMapping: fieldMappingSchema.default({}),
+  locales: z.array(z.string().min(1)).default([]),
+  extractAttachmentText: z.boolean().default(false),
+  // Kept up to date by Webflow webhooks
+  webhookManaged: z.boolean().default(false),
+  // Skipped by the scheduled full and incremental syncs (default: webhookManaged)
+  excludeFromCron: z.boolean().optional(),
+  taxonomies: z.array(taxonomySchema).default([])
+}).strict().refine(
+  collection => collection.webflowId || collection.envVar,
+  { message: 'Either webflowId or envVar is required' }
+);
+
+export const CollectionRegistrySchema = z.object({
+  fieldMappings: z.object({
+    // Applied to every collection
+    common: fieldMappingSchema,
+    // Named mappings a collection can extend with fieldMappingPreset
+    presets: z.record(fieldMappingSchema).default({})
+  }),
+  collections: z.array(collectionSchema).min(1)
+}).strict();
+
+/**
+ * Checks across collections, which the schema cannot express per entry
+ * Runs on the raw data, so they are reported along with any schema errors.
+ * @returns {string[]} - Errors
+ */
+function findReferenceErrors(data) {
+  const collections = Array.isArray(data?.collections) ? data.collections : [];
+  const presets = data?.fieldMappings?.presets || {};
+  const errors = [];
+
+  for (const key of ['id', 'envVar', 'webflowId']) {
+    const seen = new Set();
+    collections.forEach((collection, index) => {
+      const value = collection?.[key];
+      if (value === undefined) return;
+      if (seen.has(value)) {
+        errors.push(`collections.${index}.${key}: Duplicate ${key} '${value}'`);
+      }
+      seen.add(value);
+    });
+  }
+
+  collections.forEach((collection, index) => {
+    if (collection?.fieldMappingPreset && !presets[collection.fieldMappingPreset]) {
+      errors.push(`collections.${index}.fieldMappingPreset: Unknown preset '${collection.fieldMappingPreset}'. Available: ${Object.keys(presets).join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate collection registry data
+ * Schema errors make the registry unusable. Warnings point at likely mistakes
+ * that still load, e.g. a locale no static page folder uses.
+ * @param {Object} data - Parsed registry file
+ * @returns {Object} - { success, registry, errors, warnings }
+ */
+export function validateCollectionRegistry(data) {
+  const result = CollectionRegistrySchema.safeParse(data);
+  const errors = [
+    ...(result.success ? [] : result.error.errors.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)),
+    ...findReferenceErrors(data)
+  ];
+
+  if (errors.length > 0) {
+    return { success: false, registry: null, errors, warnings: [] };
+  }
+
+  const registry = result.data;
+  const warnings = [];
+  const knownLocales = getAllSecondaryLocaleTags();
+  const priorities = new Map();
+
+  for (const collection of registry.collections) {
+    const label = `collections.${collection.id}`;
+
+    for (const locale of collection.locales) {
+      if (!knownLocales.includes(locale)) {
+        warnings.push(`${label}.locales: '${locale}' is not a known secondary locale (${knownLocales.join(', ')})`);
+      }
+    }
+
+    const country = getCountryById(collection.country);
+    if (country && country.region !== collection.region &&
+      !isSubRegionOf(country.region, collection.region) && !isSubRegionOf(collection.region, country.region)) {
+      warnings.push(`${label}.country: ${country.name} is in ${country.region}, which is unrelated to the collection's region ${collection.region}`);
+    }
+
+    if (priorities.has(collection.priority)) {
+      warnings.push(`${label}.priority: ${collection.priority} is also used by ${priorities.get(collection.priority)}`);
+    }
+    priorities.set(collection.priority, collection.id);
+  }
+
+  return { success: true, registry, errors: [], warnings };
+}
+
+/**
+ * Read and validate a registry file
+ * @param {string|URL} filePath - Registry JSON file (default: config/collections.json)
+ * @returns {Object} - Result of validateCollectionRegistry()
+ */
+export function loadCollectionRegistry(filePath = COLLECTION_REGISTRY_PATH) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { success: false, registry: null, errors: [`Cannot read ${filePath}: ${error.message}`], warnings: [] };
+  }
+
+  return validateCollectionRegistry(data);
+}
@@ -15,7 +15,8 @@
 /**
  * Folder-to-Locale mapping configuration
  * Key: Folder ID from Webflow (parentId of pages)
- * Value: { localeTag, countryName, parentRegion }
+ * Value: { localeTag, countryName, country, parentRegion }
+ * country is the country ID in lib/constants/regions.js
  */
 export const FOLDER_LOCALE_MAPPING = {
   // Russia (within EMEA)
@@ -23,6 +24,7 @@ export const FOLDER_LOCALE_MAPPING = {
   '689d16db29c2308c6235d686': {
     localeTag: 'ru',
     countryName: 'Russia',
+    country: 'russia',
     parentRegion: 'emea'
   },
 
@@ -31,6 +33,7 @@ export const FOLDER_LOCALE_MAPPING = {
   '68a24f748e3ac8e899e08e14': {
     localeTag: 'ja',
     countryName: 'China',
+    country: 'china',
     parentRegion: 'asia-pacific'
   },
 
@@ -39,6 +42,7 @@ export const FOLDER_LOCALE_MAPPING = {
   '68a25ff4475f436877b30c3d': {
     localeTag: 'ja',
     countryName: 'Taiwan',
+    country: 'taiwan',
     parentRegion: 'asia-pacific'
   },
 
@@ -47,6 +51,7 @@ export const FOLDER_LOCALE_MAPPING = {
   '6819fdd016cb2ef079e37121': {
     localeTag: 'ar-SA',
     countryName: 'Saudi Arabia',
+    country: 'saudi-arabia',
     parentRegion: 'emea'
   },
 
@@ -55,6 +60,7 @@ export const FOLDER_LOCALE_MAPPING = {
   '6818bd83939cfc6e372a50da': {
     localeTag: 'fr-FR',
     countryName: 'France',
+    country: 'france',
     parentRegion: 'emea'
   },
 
@@ -63,6 +69,7 @@ export const FOLDER_LOCALE_MAPPING = {
   '6822019595a10292719b5451': {
     localeTag: 'ja',
     countryName: 'Japan',
+    country: 'japan',
     parentRegion: 'japan'
   }
 };
@@ -94,6 +101,30 @@ export function getAllSecondaryLocaleTags() {
   return [...new Set(localeTags)]; // Remove duplicates (e.g., 'ja' appears multiple times)
 }
 
+/**
+ * Locale value that selects the primary (English) locale in search requests
+ * Primary pages are matched by locale.isPrimary rather than by tag, since the
+ * tag is whatever Webflow reports for the site's primary locale.
+ */
+export const PRIMARY_SEARCH_LOCALE = 'en';
+
+/**
+ * Get every locale that can be searched
+ * @returns {Array<string>} The primary locale plus all secondary locale tags
+ */
+export function getSearchLocaleTags() {
+  return [PRIMARY_SEARCH_LOCALE, ...getAllSecondaryLocaleTags()];
+}
+
+/**
+ * Get the Algolia language code for a locale tag
+ * @param {string} localeTag - Locale tag (e.g., 'fr-FR', 'ja')
+ * @returns {string} Two-letter language code (e.g., 'fr', 'ja')
+ */
+export function getLanguageForLocale(localeTag) {
+  return localeTag.split('-')[0].toLowerCase();
+}
+
 /**
  * Get all folder IDs for a specific locale tag
  * @param {string} localeTag - Locale tag (e.g., 'ja', 'ru', 'fr-FR')
@@ -145,6 +176,9 @@ export default {
   getLocaleForFolder,
   shouldFetchSecondaryLocale,
   getAllSecondaryLocaleTags,
+  PRIMARY_SEARCH_LOCALE,
+  getSearchLocaleTags,
+  getLanguageForLocale,
   getFoldersForLocale,
   shouldIncludePageForLocale
 };
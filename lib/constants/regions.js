@@ -1,51 +1,102 @@
+/**
+ * Region tree
+ *
+ * The one definition of how regions relate. `parents` are the regions whose
+ * searches also cover this one: Japan sits under Asia Pacific, every
+ * geographic region under Worldwide, and each corporate entity under the
+ * regions it publishes for, so an entity can have several parents. Index-time
+ * region filtering, sync coverage and /api/search's includeSubRegions all walk
+ * this tree.
+ *
+ * type: 'global', 'geographic' or 'corporate'
+ */
 export const REGIONS = {
   WORLDWIDE: {
     id: 'worldwide',
     name: 'Worldwide',
-    slug: 'worldwide'
+    slug: 'worldwide',
+    type: 'global',
+    parents: []
   },
   JAPAN: {
     id: 'japan',
     name: 'Japan',
-    slug: 'japan'
+    slug: 'japan',
+    type: 'geographic',
+    parents: ['asia-pacific']
   },
   ASIA_PACIFIC: {
     id: 'asia-pacific',
     name: 'Asia Pacific',
-    slug: 'asia-pacific'
+    slug: 'asia-pacific',
+    type: 'geographic',
+    parents: ['worldwide']
   },
   AMERICAS: {
     id: 'americas',
     name: 'Americas',
-    slug: 'americas'
+    slug: 'americas',
+    type: 'geographic',
+    parents: ['worldwide']
   },
   EMEA: {
     id: 'europe-middle-east-africa',
     name: 'Europe, Middle East, and Africa',
-    slug: 'europe-middle-east-africa'
+    slug: 'europe-middle-east-africa',
+    type: 'geographic',
+    parents: ['worldwide']
   },
   MIZUHO_BANK: {
     id: 'mizuho-bank',
     name: 'Mizuho Bank',
-    slug: 'mizuho-bank'
+    slug: 'mizuho-bank',
+    type: 'corporate',
+    parents: ['japan', 'asia-pacific']
   },
   MIZUHO_TRUST: {
     id: 'mizuho-trust-banking',
     name: 'Mizuho Trust & Banking',
-    slug: 'mizuho-trust-banking'
+    slug: 'mizuho-trust-banking',
+    type: 'corporate',
+    parents: ['japan', 'asia-pacific']
   },
   MIZUHO_SECURITIES: {
     id: 'mizuho-securities',
     name: 'Mizuho Securities',
-    slug: 'mizuho-securities'
+    slug: 'mizuho-securities',
+    type: 'corporate',
+    parents: ['japan', 'asia-pacific', 'americas', 'europe-middle-east-africa']
   },
   MIZUHO_RESEARCH: {
     id: 'mizuho-research-technologies',
     name: 'Mizuho Research & Technologies',
-    slug: 'mizuho-research-technologies'
+    slug: 'mizuho-research-technologies',
+    type: 'corporate',
+    parents: ['japan', 'asia-pacific']
   }
 };
 
+/**
+ * Countries with their own content on the site, and the region each belongs to
+ * urlSegments are the path segments that mark a page or item as the country's,
+ * e.g. /asia-pacific/gift-city/... belongs to India.
+ */
+export const COUNTRIES = {
+  brazil: { id: 'brazil', name: 'Brazil', region: 'americas', urlSegments: ['brazil'] },
+  china: { id: 'china', name: 'China', region: 'asia-pacific', urlSegments: ['china'] },
+  'hong-kong': { id: 'hong-kong', name: 'Hong Kong', region: 'asia-pacific', urlSegments: ['hong-kong'] },
+  india: { id: 'india', name: 'India', region: 'asia-pacific', urlSegments: ['india', 'gift-city'] },
+  malaysia: { id: 'malaysia', name: 'Malaysia', region: 'asia-pacific', urlSegments: ['malaysia'] },
+  singapore: { id: 'singapore', name: 'Singapore', region: 'asia-pacific', urlSegments: ['singapore'] },
+  taiwan: { id: 'taiwan', name: 'Taiwan', region: 'asia-pacific', urlSegments: ['taiwan'] },
+  japan: { id: 'japan', name: 'Japan', region: 'japan', urlSegments: ['japan'] },
+  france: { id: 'france', name: 'France', region: 'europe-middle-east-africa', urlSegments: ['france'] },
+  russia: { id: 'russia', name: 'Russia', region: 'europe-middle-east-africa', urlSegments: ['russia'] },
+  'saudi-arabia': { id: 'saudi-arabia', name: 'Saudi Arabia', region: 'europe-middle-east-africa', urlSegments: ['saudi-arabia'] }
+};
+
+export const VALID_COUNTRIES = Object.keys(COUNTRIES);
+
 export const REGION_MAPPING = {
   'worldwide': REGIONS.WORLDWIDE,
   'japan': REGIONS.JAPAN,
@@ -75,11 +126,111 @@ export function isValidRegion(region) {
   return VALID_REGIONS.includes(region?.toLowerCase());
 }
 
+function findRegion(id) {
+  return REGION_MAPPING[id?.toLowerCase()] || null;
+}
+
+/**
+ * Regions directly above a region
+ * @param {string} id - Region ID or alias
+ * @returns {string[]} - Parent region IDs; [] for Worldwide or an unknown region
+ */
+export function getParentRegions(id) {
+  return findRegion(id)?.parents || [];
+}
+
+/**
+ * Regions directly below a region
+ * @param {string} id - Region ID or alias
+ * @returns {string[]} - Child region IDs
+ */
+export function getChildRegions(id) {
+  const region = findRegion(id);
+  if (!region) return [];
+  return getAllRegions().filter(child => child.parents.includes(region.id)).map(child => child.id);
+}
+
+/**
+ * Every region below a region, at any depth
+ * @param {string} id - Region ID or alias
+ * @returns {string[]} - Descendant region IDs, without the region itself
+ */
+export function getSubRegions(id) {
+  const found = new Set();
+  const pending = getChildRegions(id);
+
+  while (pending.length > 0) {
+    const child = pending.shift();
+    if (found.has(child)) continue;
+    found.add(child);
+    pending.push(...getChildRegions(child));
+  }
+
+  return [...found];
+}
+
+/**
+ * Whether a region sits anywhere below another, e.g. Mizuho Bank below Asia Pacific
+ * @param {string} id - Region ID or alias
+ * @param {string} ancestorId - Region ID or alias
+ * @returns {boolean}
+ */
+export function isSubRegionOf(id, ancestorId) {
+  const region = findRegion(id);
+  return Boolean(region) && getSubRegions(ancestorId).includes(region.id);
+}
+
+/**
+ * Countries of a region and its geographic sub-regions (Asia Pacific includes Japan)
+ * @param {string} id - Region ID or alias
+ * @returns {Object[]} - Country definitions
+ */
+export function getRegionCountries(id) {
+  const region = findRegion(id);
+  if (!region) return [];
+
+  const regionIds = [region.id, ...getSubRegions(region.id)];
+  return Object.values(COUNTRIES).filter(country => regionIds.includes(country.region));
+}
+
+export function getCountryById(id) {
+  return COUNTRIES[id?.toLowerCase()] || null;
+}
+
+/**
+ * Country of a page or item from its URL path
+ * The first segment naming a country wins, so /jp/asia-pacific/china/about is China's.
+ * @param {string} url - Path or absolute URL
+ * @returns {string|null} - Country ID
+ */
+export function getCountryForUrl(url) {
+  if (!url) return null;
+
+  const path = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0];
+  for (const segment of path.split('/').filter(Boolean)) {
+    const country = Object.values(COUNTRIES).find(entry => entry.urlSegments.includes(segment.toLowerCase()));
+    if (country) {
+      return country.id;
+    }
+  }
+
+  return null;
+}
+
 export default {
   REGIONS,
+  COUNTRIES,
   REGION_MAPPING,
   VALID_REGIONS,
+  VALID_COUNTRIES,
   getRegionById,
   getAllRegions,
-  isValidRegion
+  isValidRegion,
+  getParentRegions,
+  getChildRegions,
+  getSubRegions,
+  isSubRegionOf,
+  getRegionCountries,
+  getCountryById,
+  getCountryForUrl
 };
\ No newline at end of file
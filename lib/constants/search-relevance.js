@@ -0,0 +1,153 @@
+import fs from 'fs';
+import { z } from 'zod';
+
+/**
+ * Synonym and query rule schemas
+ *
+ * Validates config/synonyms.json and config/rules.json, the version-controlled
+ * source of the index's synonyms and rules. lib/algolia/relevance.js compares
+ * them with the live index and applies the difference.
+ *
+ * Entries use Algolia's own synonym and rule format, with two additions that
+ * never reach Algolia: a synonym may carry a `note` for reviewers, and a rule
+ * may promote a record by `url` instead of by objectID, since objectIDs differ
+ * between environments.
+ */
+
+export const SYNONYMS_PATH = new URL('../../config/synonyms.json', import.meta.url);
+export const RULES_PATH = new URL('../../config/rules.json', import.meta.url);
+
+// Also accepts the IDs the Algolia dashboard generates, so exported entries validate
+const objectIdSchema = z.string().regex(/^[A-Za-z0-9_-]+$/, 'Only letters, digits, - and _ are allowed');
+const termSchema = z.string().trim().min(1);
+const note = z.string().optional();
+
+const synonymSchema = z.discriminatedUnion('type', [
+  z.object({
+    objectID: objectIdSchema,
+    type: z.literal('synonym'),
+    synonyms: z.array(termSchema).min(2, 'A synonym set needs at least two terms'),
+    note
+  }).strict(),
+  z.object({
+    objectID: objectIdSchema,
+    type: z.literal('oneWaySynonym'),
+    input: termSchema,
+    synonyms: z.array(termSchema).min(1),
+    note
+  }).strict(),
+  z.object({
+    objectID: objectIdSchema,
+    type: z.enum(['altCorrection1', 'altCorrection2']),
+    word: termSchema,
+    corrections: z.array(termSchema).min(1),
+    note
+  }).strict(),
+  z.object({
+    objectID: objectIdSchema,
+    type: z.literal('placeholder'),
+    placeholder: z.string().regex(/^<[^<>]+>$/, 'Must look like <name>'),
+    replacements: z.array(termSchema).min(1),
+    note
+  }).strict()
+]);
+
+const promoteSchema = z.object({
+  objectID: z.string().min(1).optional(),
+  url: z.string().regex(/^\//, 'Must be a site path starting with /').optional(),
+  position: z.number().int().nonnegative()
+}).strict().refine(
+  promote => Boolean(promote.objectID) !== Boolean(promote.url),
+  { message: 'Give either objectID or url' }
+);
+
+const ruleSchema = z.object({
+  objectID: objectIdSchema,
+  description: z.string().min(1).optional(),
+  enabled: z.boolean().optional(),
+  conditions: z.array(z.object({
+    pattern: z.string().optional(),
+    anchoring: z.enum(['is', 'startsWith', 'endsWith', 'contains']).optional(),
+    alternatives: z.boolean().optional(),
+    context: z.string().optional(),
+    filters: z.string().optional()
+  }).strict().refine(
+    condition => condition.pattern === undefined || condition.anchoring,
+    { message: 'A pattern needs an anchoring' }
+  )).optional(),
+  consequence: z.object({
+    params: z.record(z.any()).optional(),
+    promote: z.array(promoteSchema).optional(),
+    filterPromotes: z.boolean().optional(),
+    hide: z.array(z.object({ objectID: z.string().min(1) }).strict()).optional(),
+    userData: z.any().optional()
+  }).strict().refine(
+    consequence => Object.keys(consequence).length > 0,
+    { message: 'A rule needs a consequence' }
+  ),
+  validity: z.array(z.object({
+    from: z.number().int(),
+    until: z.number().int()
+  }).strict()).optional()
+}).strict();
+
+export const SynonymsFileSchema = z.object({
+  synonyms: z.array(synonymSchema)
+}).strict();
+
+export const RulesFileSchema = z.object({
+  rules: z.array(ruleSchema)
+}).strict();
+
+function findDuplicateIds(entries, key) {
+  const seen = new Set();
+  const errors = [];
+
+  (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+    const objectID = entry?.objectID;
+    if (objectID === undefined) return;
+    if (seen.has(objectID)) {
+      errors.push(`${key}.${index}.objectID: Duplicate objectID '${objectID}'`);
+    }
+    seen.add(objectID);
+  });
+
+  return errors;
+}
+
+function loadFile(filePath, schema, key) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { success: false, entries: [], errors: [`Cannot read ${filePath}: ${error.message}`] };
+  }
+
+  const result = schema.safeParse(data);
+  const errors = [
+    ...(result.success ? [] : result.error.errors.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)),
+    ...findDuplicateIds(data?.[key], key)
+  ];
+
+  return errors.length > 0
+    ? { success: false, entries: [], errors }
+    : { success: true, entries: result.data[key], errors: [] };
+}
+
+/**
+ * Read and validate the synonyms file
+ * @param {string|URL} filePath - Default: config/synonyms.json
+ * @returns {Object} - { success, entries, errors }
+ */
+export function loadSynonyms(filePath = SYNONYMS_PATH) {
+  return loadFile(filePath, SynonymsFileSchema, 'synonyms');
+}
+
+/**
+ * Read and validate the rules file
+ * @param {string|URL} filePath - Default: config/rules.json
+ * @returns {Object} - { success, entries, errors }
+ */
+export function loadRules(filePath = RULES_PATH) {
+  return loadFile(filePath, RulesFileSchema, 'rules');
+}
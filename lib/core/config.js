@@ -1,5 +1,7 @@
 import { z } from 'zod';
 import dotenv from 'dotenv';
+import os from 'os';
+import path from 'path';
 import logger from './logger.js';
 
 // Ensure environment variables are loaded
@@ -13,7 +15,9 @@ const ConfigSchema = z.object({
   algolia: z.object({
     appId: z.string().optional(),
     apiKey: z.string().optional(),
-    indexName: z.string().default('mizuho_content')
+    indexName: z.string().default('mizuho_content'),
+    splitRecords: z.boolean().default(false),
+    maxRecordChunks: z.number().int().positive().default(10)
   }),
   sync: z.object({
     batchSize: z.number().int().positive().default(100),
@@ -23,7 +27,37 @@ const ConfigSchema = z.object({
     staticPagesMaxConcurrent: z.number().int().positive().default(6),
     fetchAllLocales: z.boolean().default(true),
     rateLimitSafetyBuffer: z.number().min(0).max(1).default(0.05),
-    interRequestDelay: z.number().int().min(0).default(50)
+    interRequestDelay: z.number().int().min(0).default(50),
+    historyRetentionDays: z.number().int().positive().default(30),
+    freshnessSlaHours: z.number().positive().default(26),
+    indexPageContent: z.boolean().default(false),
+    pageContentMaxNodes: z.number().int().positive().default(1000)
+  }),
+  attachments: z.object({
+    maxFileBytes: z.number().int().positive().default(15 * 1024 * 1024),
+    maxPages: z.number().int().positive().default(30),
+    maxTextChars: z.number().int().positive().default(8000),
+    timeoutMs: z.number().int().positive().default(30000)
+  }),
+  webhooks: z.object({
+    staticPages: z.boolean().default(false),
+    sitePublishDebounceSeconds: z.number().int().nonnegative().default(30),
+    queueMaxAttempts: z.number().int().positive().default(5),
+    queueRetryBaseSeconds: z.number().int().positive().default(60),
+    queueRetentionDays: z.number().int().positive().default(14)
+  }),
+  analytics: z.object({
+    enabled: z.boolean().default(false),
+    backend: z.enum(['algolia', 'file', 'memory']).default('algolia'),
+    filePath: z.string().min(1),
+    retentionDays: z.number().int().positive().default(90),
+    searchesPerMinute: z.number().int().positive().default(10),
+    eventsPerMinute: z.number().int().positive().default(30)
+  }),
+  lock: z.object({
+    backend: z.enum(['algolia', 'file', 'memory']).default('algolia'),
+    ttlSeconds: z.number().int().positive().default(600),
+    filePath: z.string().min(1)
   }),
   environment: z.enum(['development', 'staging', 'production']).default('development')
 });
@@ -49,7 +83,9 @@ class Config {
         algolia: {
           appId: process.env.ALGOLIA_APP_ID || undefined,
           apiKey: process.env.ALGOLIA_API_KEY || undefined,
-          indexName: process.env.ALGOLIA_INDEX_NAME || 'mizuho_content'
+          indexName: process.env.ALGOLIA_INDEX_NAME || 'mizuho_content',
+          splitRecords: process.env.ALGOLIA_SPLIT_RECORDS === 'true',
+          maxRecordChunks: parseInt(process.env.ALGOLIA_MAX_RECORD_CHUNKS) || 10
         },
         sync: {
           batchSize: parseInt(process.env.SYNC_BATCH_SIZE) || 100,
@@ -59,7 +95,46 @@ class Config {
           staticPagesMaxConcurrent: parseInt(process.env.STATIC_PAGES_MAX_CONCURRENT) || 6,
           fetchAllLocales: process.env.FETCH_ALL_LOCALES !== 'false',
           rateLimitSafetyBuffer: parseFloat(process.env.RATE_LIMIT_SAFETY_BUFFER) || 0.05,
-          interRequestDelay: parseInt(process.env.INTER_REQUEST_DELAY) || 50
+          interRequestDelay: parseInt(process.env.INTER_REQUEST_DELAY) || 50,
+          historyRetentionDays: parseInt(process.env.SYNC_HISTORY_RETENTION_DAYS) || 30,
+          freshnessSlaHours: parseFloat(process.env.SYNC_FRESHNESS_SLA_HOURS) || 26,
+          // Opt-in: fetching the DOM costs at least one extra Webflow request per page
+          indexPageContent: process.env.STATIC_PAGES_INDEX_CONTENT === 'true',
+          pageContentMaxNodes: parseInt(process.env.STATIC_PAGES_CONTENT_MAX_NODES) || 1000
+        },
+        attachments: {
+          maxFileBytes: Math.round((parseFloat(process.env.ATTACHMENT_MAX_FILE_MB) || 15) * 1024 * 1024),
+          maxPages: parseInt(process.env.ATTACHMENT_MAX_PAGES) || 30,
+          maxTextChars: parseInt(process.env.ATTACHMENT_MAX_TEXT_CHARS) || 8000,
+          timeoutMs: parseInt(process.env.ATTACHMENT_TIMEOUT_MS) || 30000
+        },
+        webhooks: {
+          // Register and handle site_publish and page_* webhooks for static pages
+          staticPages: process.env.WEBHOOK_STATIC_PAGES === 'true',
+          sitePublishDebounceSeconds: parseInt(process.env.WEBHOOK_SITE_PUBLISH_DEBOUNCE_SECONDS ?? '30') || 0,
+          // Queued events are retried with exponential backoff, then moved to the dead-letter store
+          queueMaxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS) || 5,
+          queueRetryBaseSeconds: parseInt(process.env.WEBHOOK_QUEUE_RETRY_BASE_SECONDS) || 60,
+          // Processed events are kept this long; dead-lettered events are kept until replayed
+          queueRetentionDays: parseInt(process.env.WEBHOOK_QUEUE_RETENTION_DAYS) || 14
+        },
+        analytics: {
+          // Off until configured: recording adds a write to every public search
+          enabled: process.env.SEARCH_ANALYTICS_ENABLED === 'true',
+          // Like sync locks: the file store is for local development only
+          backend: process.env.SEARCH_ANALYTICS_BACKEND || (process.env.VERCEL ? 'algolia' : 'file'),
+          filePath: process.env.SEARCH_ANALYTICS_FILE || path.join(os.tmpdir(), 'mizuho-search-analytics.jsonl'),
+          retentionDays: parseInt(process.env.SEARCH_ANALYTICS_RETENTION_DAYS) || 90,
+          // Recorded searches per client IP and instance; searches beyond it are served but not recorded
+          searchesPerMinute: parseInt(process.env.SEARCH_ANALYTICS_RATE_LIMIT) || 10,
+          // Event requests per client IP and instance
+          eventsPerMinute: parseInt(process.env.SEARCH_EVENTS_RATE_LIMIT) || 30
+        },
+        lock: {
+          // Serverless instances share nothing, so only the Algolia backend is safe on Vercel
+          backend: process.env.SYNC_LOCK_BACKEND || (process.env.VERCEL ? 'algolia' : 'file'),
+          ttlSeconds: parseInt(process.env.SYNC_LOCK_TTL_SECONDS) || 600,
+          filePath: process.env.SYNC_LOCK_FILE || path.join(os.tmpdir(), 'mizuho-sync-locks.json')
         },
         environment: process.env.NODE_ENV || 'development'
       };
@@ -107,6 +182,22 @@ class Config {
     return this.get('sync');
   }
 
+  getAttachmentsConfig() {
+    return this.get('attachments');
+  }
+
+  getWebhooksConfig() {
+    return this.get('webhooks');
+  }
+
+  getAnalyticsConfig() {
+    return this.get('analytics');
+  }
+
+  getLockConfig() {
+    return this.get('lock');
+  }
+
 
   isDevelopment() {
     return this.get('environment') === 'development';
@@ -41,6 +41,23 @@ export function extractTextFromHtml(html) {
     .trim();
 }
 
+/**
+ * Like extractTextFromHtml(), but keeps paragraphs, headings and list items apart as blank-line separated blocks
+ */
+export function extractParagraphsFromHtml(html) {
+  if (!html) return '';
+  return html
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+    .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
+    .replace(/<(h[1-6])\b/gi, '\n\n<$1')
+    .replace(/<\/(p|h[1-6]|li|blockquote|figure|div|section|tr)>|<br\s*\/?>/gi, '\n\n')
+    .replace(/<[^>]*>/g, ' ')
+    .split(/\n\s*\n/)
+    .map(block => sanitizeString(block.replace(/\s+/g, ' ')))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
 export function createSlug(text) {
   if (!text) return '';
   return text
@@ -78,6 +95,16 @@ export function createApiResponse(success, data = {}, error = null, status = nul
   }
 }
 
+/**
+ * Work out what triggered a sync request
+ * Vercel cron invocations carry an x-vercel-cron-id header and a vercel-cron user agent.
+ * @returns {'cron'|'manual'}
+ */
+export function getSyncTrigger(req) {
+  const userAgent = req.headers?.['user-agent'] || '';
+  return req.headers?.['x-vercel-cron-id'] || userAgent.startsWith('vercel-cron') ? 'cron' : 'manual';
+}
+
 export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -119,6 +146,16 @@ export function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
+/**
+ * Convert a date to a unix timestamp in seconds for Algolia numeric filters and sorting
+ * @returns {number|null} - null when the date is missing or invalid
+ */
+export function toUnixTimestamp(date) {
+  if (!date) return null;
+  const time = new Date(date).getTime();
+  return isNaN(time) ? null : Math.floor(time / 1000);
+}
+
 export function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
   return async function(...args) {
     let lastError;
@@ -234,14 +271,17 @@ export default {
   sanitizeString,
   normalizeUrl,
   extractTextFromHtml,
+  extractParagraphsFromHtml,
   createSlug,
   getValueOrDefault,
   createApiResponse,
+  getSyncTrigger,
   sleep,
   chunk,
   isValidRegion,
   normalizeRegion,
   formatBytes,
+  toUnixTimestamp,
   retryWithBackoff,
   isValidTitle,
   slugToTitle
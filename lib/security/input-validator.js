@@ -1,5 +1,7 @@
 import { z } from 'zod';
 import logger from '../core/logger.js';
+import { PRIMARY_SEARCH_LOCALE, getSearchLocaleTags } from '../constants/locale-folders.js';
+import { getAllRegions, getSubRegions, VALID_COUNTRIES } from '../constants/regions.js';
 
 /**
  * Input validation service to prevent injection attacks
@@ -10,17 +12,9 @@ class InputValidator {
     this.logger = logger.setContext('InputValidator');
 
     // Define valid values for enums
-    this.validRegions = [
-      'worldwide',
-      'japan',
-      'asia-pacific',
-      'americas',
-      'europe-middle-east-africa',
-      'mizuho-bank',
-      'mizuho-trust-banking',
-      'mizuho-securities',
-      'mizuho-research-technologies'
-    ];
+    this.validRegions = getAllRegions().map(region => region.id);
+
+    this.validCountries = VALID_COUNTRIES;
 
     this.validContentTypes = [
       'page',
@@ -37,39 +31,156 @@ class InputValidator {
       'card'
     ];
 
+    // Locale tags as Webflow reports them (e.g. 'fr-FR'); matched case-insensitively
+    this.validLocales = getSearchLocaleTags();
+
+    // Facets the public API may count and filter on. Internal attributes such as
+    // status, includeInSearch and the chunk fields stay out even though they are faceted.
+    this.validFacets = [
+      'collectionSlug',
+      'country',
+      'category',
+      'tags',
+      'locale.tag',
+      'publishYear',
+      'industries',
+      'insightsType',
+      'areasOfInterest',
+      'mediumType'
+    ];
+
+    // Query rules shared by the search and suggest endpoints
+    const queryRules = {
+      // Letters and digits of any script, plus common punctuation including CJK
+      // (、。「」), fullwidth, Arabic (، ؛ ؟) and typographic quotes. Symbols such as
+      // < > { } \ | remain rejected.
+      q: z.string()
+        .min(1, 'Query must not be empty')
+        .max(200, 'Query too long (max 200 characters)')
+        .regex(
+          /^[\p{L}\p{M}\p{N}\s\-_.,;:'"&()\[\]!?\u3000-\u303F\uFF01-\uFF5E\u060C\u061B\u061F\u2018\u2019\u201C\u201D\u00AB\u00BB]+$/u,
+          'Query contains invalid characters'
+        ),
+      region: z.string()
+        .optional()
+        .nullable()
+        .refine(
+          val => !val || this.validRegions.includes(val.toLowerCase()),
+          { message: 'Invalid region' }
+        ),
+      country: z.string()
+        .optional()
+        .nullable()
+        .refine(
+          val => !val || this.validCountries.includes(val.toLowerCase()),
+          { message: `Invalid country. Must be one of: ${VALID_COUNTRIES.join(', ')}` }
+        )
+        .transform(val => val ? val.toLowerCase().trim() : val),
+      type: z.string()
+        .optional()
+        .nullable()
+        .refine(
+          val => !val || this.validContentTypes.includes(val.toLowerCase()),
+          { message: 'Invalid content type' }
+        ),
+      locale: z.string()
+        .optional()
+        .nullable()
+        .refine(
+          val => !val || this.validateLocale(val).valid,
+          { message: `Invalid locale. Must be one of: ${this.validLocales.join(', ')}` }
+        )
+        .transform(val => val ? this.validateLocale(val).value : val)
+    };
+
     // Zod schemas for validation
     this.schemas = {
       searchQuery: z.object({
-        q: z.string()
-          .min(1, 'Query must not be empty')
-          .max(200, 'Query too long (max 200 characters)')
-          .regex(/^[a-zA-Z0-9\s\-_.,;:'"&()\[\]!?]+$/, 'Query contains invalid characters'),
+        ...queryRules,
         page: z.coerce.number()
           .int()
           .min(0, 'Page must be non-negative')
           .max(1000, 'Page number too large')
           .optional()
           .default(0),
-        region: z.string()
-          .optional()
-          .nullable()
-          .refine(
-            val => !val || this.validRegions.includes(val.toLowerCase()),
-            { message: 'Invalid region' }
-          ),
         hitsPerPage: z.coerce.number()
           .int()
           .min(1, 'Hits per page must be at least 1')
           .max(100, 'Hits per page cannot exceed 100')
           .optional()
           .default(20),
-        type: z.string()
+        facets: z.string()
           .optional()
           .nullable()
+          .transform(val => val ? val.split(',').map(facet => facet.trim()).filter(Boolean) : [])
           .refine(
-            val => !val || this.validContentTypes.includes(val.toLowerCase()),
-            { message: 'Invalid content type' }
-          )
+            val => val.every(facet => this.validFacets.includes(facet)),
+            { message: 'Invalid facet' }
+          ),
+        maxValuesPerFacet: z.coerce.number()
+          .int()
+          .min(1, 'maxValuesPerFacet must be at least 1')
+          .max(100, 'maxValuesPerFacet cannot exceed 100')
+          .optional(),
+        from: z.string()
+          .optional()
+          .nullable()
+          .refine(
+            val => !val || this.parseDateParam(val) !== null,
+            { message: 'Invalid date (use YYYY-MM-DD or ISO 8601)' }
+          ),
+        to: z.string()
+          .optional()
+          .nullable()
+          .refine(
+            val => !val || this.parseDateParam(val) !== null,
+            { message: 'Invalid date (use YYYY-MM-DD or ISO 8601)' }
+          ),
+        year: z.coerce.number()
+          .int()
+          .min(1900, 'Year must be 1900 or later')
+          .max(2100, 'Year must be 2100 or earlier')
+          .optional(),
+        upcoming: z.preprocess(
+          val => {
+            if (val === undefined || val === null) return undefined;
+            return val === 'true' || val === true;
+          },
+          z.boolean().optional().default(false)
+        ),
+        includeSubRegions: z.preprocess(
+          val => {
+            if (val === undefined || val === null) return undefined;
+            return val === 'true' || val === true;
+          },
+          z.boolean().optional().default(false)
+        ),
+        sort: z.enum(['relevance', 'newest'], {
+          errorMap: () => ({ message: 'Sort must be relevance or newest' })
+        })
+          .optional()
+          .default('relevance')
+      }).refine(
+        data => !data.from || !data.to ||
+          this.parseDateParam(data.from) <= this.parseDateParam(data.to, { endOfDay: true }),
+        { message: 'to must not be before from', path: ['to'] }
+      ),
+
+      suggestQuery: z.object({
+        ...queryRules,
+        hitsPerGroup: z.coerce.number()
+          .int()
+          .min(1, 'hitsPerGroup must be at least 1')
+          .max(10, 'hitsPerGroup cannot exceed 10')
+          .optional()
+          .default(3),
+        suggestions: z.preprocess(
+          val => {
+            if (val === undefined || val === null) return undefined;
+            return val === 'true' || val === true;
+          },
+          z.boolean().optional().default(false)
+        )
       }),
 
       syncRequest: z.object({
@@ -114,7 +225,117 @@ class InputValidator {
             return val === 'true' || val === true;
           },
           z.boolean().optional().default(false)
+        ),
+        incremental: z.preprocess(
+          val => {
+            if (val === undefined || val === null) return undefined;
+            return val === 'true' || val === true;
+          },
+          z.boolean().optional().default(false)
+        )
+      }),
+
+      syncStatusRequest: z.object({
+        counts: z.preprocess(
+          val => {
+            if (val === undefined || val === null) return undefined;
+            return val === 'true' || val === true;
+          },
+          z.boolean().optional().default(true)
+        ),
+        slaHours: z.coerce.number()
+          .positive('SLA must be positive')
+          .max(24 * 30, 'SLA cannot exceed 30 days')
+          .optional()
+      }),
+
+      collectionDiscoveryRequest: z.object({
+        draft: z.preprocess(
+          val => val === 'true' || val === true,
+          z.boolean().default(false)
+        )
+      }),
+
+      webhookReplayRequest: z.object({
+        eventIds: z.array(
+          z.string().regex(/^evt_\d+_[a-f0-9]+$/, 'Invalid event ID format')
         )
+          .max(100, 'Replay at most 100 events by ID')
+          .optional(),
+        since: z.string()
+          .optional()
+          .refine(
+            val => !val || this.parseDateParam(val) !== null,
+            { message: 'Invalid date (use YYYY-MM-DD or ISO 8601)' }
+          ),
+        until: z.string()
+          .optional()
+          .refine(
+            val => !val || this.parseDateParam(val) !== null,
+            { message: 'Invalid date (use YYYY-MM-DD or ISO 8601)' }
+          ),
+        status: z.enum(['dead', 'pending', 'succeeded', 'skipped'], {
+          errorMap: () => ({ message: 'Status must be dead, pending, succeeded or skipped' })
+        })
+          .optional()
+          .default('dead')
+      }).refine(
+        data => data.eventIds?.length || data.since,
+        { message: 'Provide eventIds or a since date', path: ['eventIds'] }
+      ),
+
+      searchEvents: z.object({
+        events: z.array(
+          z.object({
+            type: z.enum(['click', 'conversion'], {
+              errorMap: () => ({ message: 'Event type must be click or conversion' })
+            }),
+            queryID: z.string().regex(/^[a-f0-9]{32}$/i, 'Invalid queryID'),
+            objectID: z.string()
+              .min(1, 'objectID must not be empty')
+              .max(200, 'objectID too long')
+              .regex(/^[\w\-.:]+$/, 'Invalid objectID format'),
+            position: z.coerce.number()
+              .int()
+              .min(1, 'Position is 1-based')
+              .max(1000, 'Position too large')
+              .optional()
+          }).refine(
+            event => event.type !== 'click' || event.position,
+            { message: 'Click events need a position', path: ['position'] }
+          )
+        )
+          .min(1, 'Provide at least one event')
+          .max(20, 'Send at most 20 events at a time')
+      }),
+
+      searchAnalyticsRequest: z.object({
+        since: z.string()
+          .optional()
+          .refine(
+            val => !val || this.parseDateParam(val) !== null,
+            { message: 'Invalid date (use YYYY-MM-DD or ISO 8601)' }
+          ),
+        until: z.string()
+          .optional()
+          .refine(
+            val => !val || this.parseDateParam(val) !== null,
+            { message: 'Invalid date (use YYYY-MM-DD or ISO 8601)' }
+          ),
+        region: z.string()
+          .optional()
+          .nullable()
+          .refine(
+            val => !val || val === 'all' || this.validRegions.includes(val.toLowerCase()),
+            { message: 'Invalid region' }
+          )
+          .transform(val => val ? val.toLowerCase() : null),
+        limit: z.coerce.number()
+          .int()
+          .min(1, 'Limit must be at least 1')
+          .max(200, 'Limit cannot exceed 200')
+          .optional()
+          .default(20)
       })
     };
   }
@@ -201,6 +422,229 @@ class InputValidator {
     }
   }
 
+  /**
+   * Validate sync status query parameters
+   */
+  validateSyncStatusRequest(params) {
+    try {
+      const validated = this.schemas.syncStatusRequest.parse(params || {});
+
+      return {
+        success: true,
+        data: validated
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const errors = error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }));
+
+        this.logger.warn('Sync status request validation failed', { errors });
+
+        return {
+          success: false,
+          errors,
+          message: errors.map(e => `${e.field}: ${e.message}`).join(', ')
+        };
+      }
+
+      this.logger.error('Unexpected validation error', { error: error.message });
+      return {
+        success: false,
+        message: 'Validation error occurred'
+      };
+    }
+  }
+
+  /**
+   * Validate collection discovery query parameters
+   */
+  validateCollectionDiscoveryRequest(params) {
+    try {
+      const validated = this.schemas.collectionDiscoveryRequest.parse(params || {});
+
+      return {
+        success: true,
+        data: validated
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const errors = error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }));
+
+        this.logger.warn('Collection discovery request validation failed', { errors });
+
+        return {
+          success: false,
+          errors,
+          message: errors.map(e => `${e.field}: ${e.message}`).join(', ')
+        };
+      }
+
+      this.logger.error('Unexpected validation error', { error: error.message });
+      return {
+        success: false,
+        message: 'Validation error occurred'
+      };
+    }
+  }
+
+  /**
+   * Validate autocomplete query parameters
+   * Uses the same q, region and type rules as search queries.
+   */
+  validateSuggestQuery(params) {
+    try {
+      const validated = this.schemas.suggestQuery.parse(params || {});
+
+      return {
+        success: true,
+        data: validated
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const errors = error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }));
+
+        this.logger.warn('Suggest query validation failed', { errors });
+
+        return {
+          success: false,
+          errors,
+          message: errors.map(e => `${e.field}: ${e.message}`).join(', ')
+        };
+      }
+
+      this.logger.error('Unexpected validation error', { error: error.message });
+      return {
+        success: false,
+        message: 'Validation error occurred'
+      };
+    }
+  }
+
+  /**
+   * Validate a webhook replay request body
+   * since and until are returned as Date objects; a date-only until covers the whole day.
+   */
+  validateWebhookReplayRequest(body) {
+    try {
+      const validated = this.schemas.webhookReplayRequest.parse(body || {});
+
+      return {
+        success: true,
+        data: {
+          ...validated,
+          since: validated.since ? new Date(this.parseDateParam(validated.since) * 1000) : undefined,
+          until: validated.until ? new Date(this.parseDateParam(validated.until, { endOfDay: true }) * 1000) : undefined
+        }
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const errors = error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }));
+
+        this.logger.warn('Webhook replay request validation failed', { errors });
+
+        return {
+          success: false,
+          errors,
+          message: errors.map(e => `${e.field}: ${e.message}`).join(', ')
+        };
+      }
+
+      this.logger.error('Unexpected validation error', { error: error.message });
+      return {
+        success: false,
+        message: 'Validation error occurred'
+      };
+    }
+  }
+
+  /**
+   * Validate a search events body
+   * Accepts { events: [...] } or a single event object.
+   */
+  validateSearchEvents(body) {
+    try {
+      const payload = body && !Array.isArray(body.events) ? { events: [body] } : body;
+      const validated = this.schemas.searchEvents.parse(payload || {});
+
+      return {
+        success: true,
+        data: validated.events
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const errors = error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }));
+
+        this.logger.warn('Search events validation failed', { errors });
+
+        return {
+          success: false,
+          errors,
+          message: errors.map(e => `${e.field}: ${e.message}`).join(', ')
+        };
+      }
+
+      this.logger.error('Unexpected validation error', { error: error.message });
+      return {
+        success: false,
+        message: 'Validation error occurred'
+      };
+    }
+  }
+
+  /**
+   * Validate search analytics report query parameters
+   * since and until are returned as Date objects; a date-only until covers the whole day.
+   */
+  validateSearchAnalyticsRequest(params) {
+    try {
+      const validated = this.schemas.searchAnalyticsRequest.parse(params || {});
+
+      return {
+        success: true,
+        data: {
+          ...validated,
+          since: validated.since ? new Date(this.parseDateParam(validated.since) * 1000) : undefined,
+          until: validated.until ? new Date(this.parseDateParam(validated.until, { endOfDay: true }) * 1000) : undefined
+        }
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const errors = error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }));
+
+        this.logger.warn('Search analytics request validation failed', { errors });
+
+        return {
+          success: false,
+          errors,
+          message: errors.map(e => `${e.field}: ${e.message}`).join(', ')
+        };
+      }
+
+      this.logger.error('Unexpected validation error', { error: error.message });
+      return {
+        success: false,
+        message: 'Validation error occurred'
+      };
+    }
+  }
+
   /**
    * Sanitize string to prevent injection attacks
    */
@@ -245,6 +689,50 @@ class InputValidator {
     return { valid: true, value: normalized };
   }
 
+  /**
+   * Validate locale parameter
+   * Returns the canonical tag, so 'fr-fr' becomes 'fr-FR'.
+   */
+  validateLocale(locale) {
+    if (!locale) {
+      return { valid: true, value: null };
+    }
+
+    const normalized = locale.toLowerCase().trim();
+    const match = this.validLocales.find(tag => tag.toLowerCase() === normalized);
+
+    if (!match) {
+      this.logger.warn('Invalid locale provided', { locale });
+      return {
+        valid: false,
+        error: `Invalid locale. Must be one of: ${this.validLocales.join(', ')}`
+      };
+    }
+
+    return { valid: true, value: match };
+  }
+
+  /**
+   * Validate country parameter against the countries in lib/constants/regions.js
+   */
+  validateCountry(country) {
+    if (!country) {
+      return { valid: true, value: null };
+    }
+
+    const normalized = country.toLowerCase().trim();
+
+    if (!this.validCountries.includes(normalized)) {
+      this.logger.warn('Invalid country provided', { country });
+      return {
+        valid: false,
+        error: `Invalid country. Must be one of: ${this.validCountries.join(', ')}`
+      };
+    }
+
+    return { valid: true, value: normalized };
+  }
+
   /**
    * Validate content type parameter
    */
@@ -269,6 +757,8 @@ class InputValidator {
   /**
    * Build safe Algolia filters
    * Prevents filter injection attacks
+   * With includeSubRegions, the region filter also matches every region below it
+   * in the region tree (e.g. asia-pacific adds japan and the corporate entities).
    */
   buildSafeFilters(params) {
     const filters = [];
@@ -278,7 +768,20 @@ class InputValidator {
       const regionValidation = this.validateRegion(params.region);
       if (regionValidation.valid && regionValidation.value) {
         // Use attribute:value syntax (no quotes) to prevent injection
-        filters.push(`region:${regionValidation.value}`);
+        const regionIds = params.includeSubRegions
+          ? [regionValidation.value, ...getSubRegions(regionValidation.value)]
+          : [regionValidation.value];
+        filters.push(regionIds.length > 1
+          ? `(${regionIds.map(id => `region:${id}`).join(' OR ')})`
+          : `region:${regionIds[0]}`);
+      }
+    }
+
+    // Validate and add country filter
+    if (params.country) {
+      const countryValidation = this.validateCountry(params.country);
+      if (countryValidation.valid && countryValidation.value) {
+        filters.push(`country:${countryValidation.value}`);
       }
     }
 
@@ -290,10 +793,151 @@ class InputValidator {
       }
     }
 
+    // Validate and add locale filter
+    if (params.locale) {
+      const localeValidation = this.validateLocale(params.locale);
+      if (localeValidation.valid && localeValidation.value) {
+        // Primary content indexed without locale info (e.g. CMS items) has no locale attributes,
+        // so match everything that is not explicitly a secondary locale
+        filters.push(localeValidation.value === PRIMARY_SEARCH_LOCALE
+          ? 'NOT locale.isPrimary:false'
+          : `locale.tag:"${localeValidation.value}"`);
+      }
+    }
+
     // Join with AND operator
     return filters.length > 0 ? filters.join(' AND ') : undefined;
   }
 
+  /**
+   * Parse a date query parameter to a unix timestamp in seconds
+   * Accepts YYYY-MM-DD or a full ISO 8601 date-time. A bare date means the start
+   * of that day in UTC, or its last second when endOfDay is set (for inclusive `to`).
+   * @returns {number|null} - null when the value is not a valid date
+   */
+  parseDateParam(value, options = {}) {
+    const { endOfDay = false } = options;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/;
+    const dateTime = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+    if (typeof value !== 'string' || !(dateOnly.test(value) || dateTime.test(value))) {
+      return null;
+    }
+
+    const isDateOnly = dateOnly.test(value);
+    const time = new Date(isDateOnly ? `${value}T00:00:00Z` : value).getTime();
+    if (isNaN(time)) {
+      return null;
+    }
+
+    // Date rolls impossible days over (2025-02-30 becomes March 2), so reject those
+    if (isDateOnly && new Date(time).toISOString().slice(0, 10) !== value) {
+      return null;
+    }
+
+    const seconds = Math.floor(time / 1000);
+    return endOfDay && isDateOnly ? seconds + 24 * 60 * 60 - 1 : seconds;
+  }
+
+  /**
+   * Build safe Algolia numeric filters for date ranges
+   * Every bound is an integer computed here, so no request text reaches the filter.
+   * @param {Object} params - Validated { from, to, year, upcoming }
+   * @returns {string[]} - numericFilters entries (ANDed by Algolia)
+   */
+  buildSafeNumericFilters(params, now = new Date()) {
+    const numericFilters = [];
+
+    const from = params.from ? this.parseDateParam(params.from) : null;
+    if (from !== null) {
+      numericFilters.push(`publishedTimestamp >= ${from}`);
+    }
+
+    const to = params.to ? this.parseDateParam(params.to, { endOfDay: true }) : null;
+    if (to !== null) {
+      numericFilters.push(`publishedTimestamp <= ${to}`);
+    }
+
+    if (Number.isInteger(params.year)) {
+      const start = Date.UTC(params.year, 0, 1) / 1000;
+      const end = Date.UTC(params.year + 1, 0, 1) / 1000 - 1;
+      numericFilters.push(`publishedTimestamp:${start} TO ${end}`);
+    }
+
+    // Only events have a start timestamp, so this also limits results to events.
+    // Compared with the current time instead of the indexed isUpcoming flag, which
+    // is only as fresh as the last sync.
+    if (params.upcoming) {
+      numericFilters.push(`startTimestamp > ${Math.floor(now.getTime() / 1000)}`);
+    }
+
+    return numericFilters;
+  }
+
+  /**
+   * Validate multi-value facet filters
+   * Filters come as repeated `filter[attribute]=value` query parameters. Values of one
+   * attribute are ORed together and attributes are ANDed.
+   * @param {Object} query - Raw request query
+   * @returns {Object} - { success, data: { attribute: [values] } } or { success: false, message }
+   */
+  validateFacetFilters(query = {}) {
+    const rawFilters = {};
+
+    for (const [key, value] of Object.entries(query)) {
+      const match = key.match(/^filter\[(.+)\]$/);
+      if (match) {
+        rawFilters[match[1]] = value;
+      }
+    }
+
+    // Parsers that expand brackets hand us { filter: { attribute: value } } instead
+    if (query.filter && typeof query.filter === 'object') {
+      Object.assign(rawFilters, query.filter);
+    }
+
+    const facetFilters = {};
+
+    for (const [attribute, value] of Object.entries(rawFilters)) {
+      if (!this.validFacets.includes(attribute)) {
+        this.logger.warn('Invalid facet filter attribute', { attribute });
+        return { success: false, message: `filter[${attribute}]: Invalid facet` };
+      }
+
+      const values = (Array.isArray(value) ? value : [value])
+        .map(item => this.sanitizeString(String(item)))
+        .filter(Boolean);
+
+      if (values.length > 20) {
+        return { success: false, message: `filter[${attribute}]: Too many values (max 20)` };
+      }
+
+      if (values.some(item => item.length > 100)) {
+        return { success: false, message: `filter[${attribute}]: Value too long (max 100 characters)` };
+      }
+
+      if (values.length > 0) {
+        facetFilters[attribute] = [...new Set(values)];
+      }
+    }
+
+    return { success: true, data: facetFilters };
+  }
+
+  /**
+   * Build Algolia facetFilters from validated facet filters
+   * Uses the structured facetFilters array rather than a filter string, so values
+   * cannot change the filter expression. A leading '-' would negate the filter and
+   * is escaped.
+   * @param {Object} facetFilters - { attribute: [values] } from validateFacetFilters()
+   * @returns {Array[]} - One OR group per attribute, e.g. [['industries:Energy', 'industries:Banking']]
+   */
+  buildSafeFacetFilters(facetFilters = {}) {
+    return Object.entries(facetFilters).map(([attribute, values]) =>
+      values.map(value => `${attribute}:${value.startsWith('-') ? `\\${value}` : value}`)
+    );
+  }
+
   /**
    * Validate pagination parameters
    */
@@ -410,5 +1054,14 @@ export default inputValidator;
 
 // Export convenience functions
 export const validateSearchQuery = (params) => inputValidator.validateSearchQuery(params);
+export const validateSuggestQuery = (params) => inputValidator.validateSuggestQuery(params);
 export const validateSyncRequest = (body) => inputValidator.validateSyncRequest(body);
+export const validateSyncStatusRequest = (params) => inputValidator.validateSyncStatusRequest(params);
+export const validateCollectionDiscoveryRequest = (params) => inputValidator.validateCollectionDiscoveryRequest(params);
+export const validateWebhookReplayRequest = (body) => inputValidator.validateWebhookReplayRequest(body);
+export const validateSearchEvents = (body) => inputValidator.validateSearchEvents(body);
+export const validateSearchAnalyticsRequest = (params) => inputValidator.validateSearchAnalyticsRequest(params);
 export const buildSafeFilters = (params) => inputValidator.buildSafeFilters(params);
+export const buildSafeNumericFilters = (params) => inputValidator.buildSafeNumericFilters(params);
+export const validateFacetFilters = (query) => inputValidator.validateFacetFilters(query);
+export const buildSafeFacetFilters = (facetFilters) => inputValidator.buildSafeFacetFilters(facetFilters);
@@ -1,6 +1,7 @@
 import { format } from 'date-fns';
 import logger from '../core/logger.js';
 import helpers from '../core/helpers.js';
+import config from '../core/config.js';
 import { SEARCH_PRIORITIES, CONTENT_TYPES } from '../constants/collections.js';
 import regionalFilter from './regional-filter.js';
 import dataSanitizer from '../security/data-sanitizer.js';
@@ -55,7 +56,7 @@ class CMSTransformer {
     };
 
     const transformed = {
-      objectID: `cms_${item.id}`,
+      objectID: this.getObjectID(item),
       id: item.id,
       cmsId: item.cmsId,
       type: item.type || CONTENT_TYPES.CMS_ITEM,
@@ -67,14 +68,17 @@ class CMSTransformer {
       url: helpers.normalizeUrl(item.url || ''),
       summary: cleanSummary(item.summary),
       region: item.region || 'worldwide',
+      country: item.country || null,
       category: item.category || null,
       tags: Array.isArray(item.tags) ? item.tags.filter(Boolean) : [],
       featured: Boolean(item.featured),
       status: item.status || 'published',
       publishedDate: this.formatDate(item.publishedDate),
+      publishedTimestamp: helpers.toUnixTimestamp(item.publishedDate),
       lastModified: this.formatDate(item.lastModified),
       searchText: helpers.sanitizeString(item.searchText || ''),
       searchPriority: this.calculateSearchPriority(item, collectionType),
+      ...(item.locale && { locale: item.locale }),
       searchTags: this.buildSearchTags(item),
       // Add attachment and external link fields as direct top-level fields
       // For Beyond the Obvious: attachments is a string (single URL)
@@ -83,6 +87,8 @@ class CMSTransformer {
       ...(item.externalLink && { externalLink: item.externalLink }),
       ...(item.attachmentSearchTerms && { attachmentSearchTerms: item.attachmentSearchTerms }),
       ...(item.externalLinkSearchTerms && { externalLinkSearchTerms: item.externalLinkSearchTerms }),
+      // Text extracted from PDF attachments (collections with extractAttachmentText only)
+      ...(item.attachmentText && { attachmentText: item.attachmentText }),
 
       metadata: {
         ...item.metadata,
@@ -104,6 +110,33 @@ class CMSTransformer {
     return this.addTypeSpecificFields(transformed, item);
   }
 
+  /**
+   * Algolia objectID of a CMS item
+   * Secondary locale versions get the locale tag as a suffix (cms_<id>_fr-FR), like static
+   * pages. The primary version keeps the plain cms_<id> used before items were localized.
+   * @param {Object} item - Anything with an id and optional locale info (processed item or { id, locale })
+   * @returns {string}
+   */
+  getObjectID(item) {
+    return item.locale && !item.locale.isPrimary
+      ? `cms_${item.id}_${item.locale.tag}`
+      : `cms_${item.id}`;
+  }
+
+  /**
+   * Every objectID an item can have across its collection's locales
+   * Used for deletions, where only the Webflow item ID is known.
+   * @param {string} itemId - Webflow item ID
+   * @param {Object} collectionConfig - Configured collection
+   * @returns {string[]}
+   */
+  getObjectIDsForAllLocales(itemId, collectionConfig) {
+    return [
+      `cms_${itemId}`,
+      ...(collectionConfig.locales || []).map(tag => `cms_${itemId}_${tag}`)
+    ];
+  }
+
   addTypeSpecificFields(transformed, originalItem) {
     switch (transformed.type) {
       case CONTENT_TYPES.NEWS_ARTICLE:
@@ -159,6 +192,8 @@ class CMSTransformer {
       ...transformed,
       startDate: this.formatDate(item.startDate),
       endDate: this.formatDate(item.endDate),
+      startTimestamp: helpers.toUnixTimestamp(item.startDate),
+      endTimestamp: helpers.toUnixTimestamp(item.endDate),
       location: item.location || null,
       eventType: item.eventType || 'general',
       registrationLink: item.registrationLink || null,
@@ -358,6 +393,12 @@ class CMSTransformer {
   prepareContentForSearch(content) {
     if (!content) return '';
 
+    const { splitRecords, maxRecordChunks } = config.getAlgoliaConfig();
+    if (splitRecords) {
+      // The record splitter chunks long content at these paragraph breaks instead of it being truncated here
+      return this.truncateContent(helpers.extractParagraphsFromHtml(content), 8000 * maxRecordChunks);
+    }
+
     let processedContent = helpers.extractTextFromHtml(content);
     processedContent = this.removeExcessiveWhitespace(processedContent);
     processedContent = this.truncateContent(processedContent, 8000);
@@ -486,7 +527,6 @@ class CMSTransformer {
         indexedAt: new Date().toISOString(),
         searchableContent: this.buildSearchableContent(item),
         keyTerms: this.extractKeyTerms(item),
-        contentHash: this.generateContentHash(item),
         searchScore: this.calculateSearchScore(item)
       }
     }));
@@ -535,17 +575,6 @@ class CMSTransformer {
     return stopWords.has(word.toLowerCase());
   }
 
-  generateContentHash(item) {
-    const content = this.buildSearchableContent(item);
-    let hash = 0;
-    for (let i = 0; i < content.length; i++) {
-      const char = content.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash).toString(36);
-  }
-
   calculateSearchScore(item) {
     let score = 1.0;
 
@@ -1,6 +1,7 @@
 import { format } from 'date-fns';
 import logger from '../core/logger.js';
 import helpers from '../core/helpers.js';
+import config from '../core/config.js';
 import { SEARCH_PRIORITIES } from '../constants/collections.js';
 import regionalFilter from './regional-filter.js';
 
@@ -45,7 +46,9 @@ class PageTransformer {
       url: helpers.normalizeUrl(page.url || ''),
       summary: helpers.sanitizeString(page.summary || ''),
       region: page.region || 'worldwide',
+      country: page.country || null,
       publishedDate: this.formatDate(page.publishedDate),
+      publishedTimestamp: helpers.toUnixTimestamp(page.publishedDate),
       lastModified: this.formatDate(page.lastModified),
       isHomePage: page.metadata?.isHomePage || false,
       searchText: helpers.sanitizeString(page.searchText || ''),
@@ -81,11 +84,24 @@ class PageTransformer {
     return transformed;
   }
 
+  /**
+   * Every objectID a page can have: without a suffix from a primary-only fetch,
+   * and with each locale tag from a fetch across locales
+   * @param {string} pageId - Webflow page ID
+   * @param {string[]} localeTags - Site locale tags, primary included
+   * @returns {string[]}
+   */
+  getObjectIDsForAllLocales(pageId, localeTags = []) {
+    return [`page_${pageId}`, ...localeTags.map(tag => `page_${pageId}_${tag}`)];
+  }
+
   transformForAlgolia(pages, options = {}) {
+    // Pages only carry content when the fetcher ran with STATIC_PAGES_INDEX_CONTENT=true
+    const { includeContent = true } = options;
     this.logger.step(`Transforming ${pages.length} pages for Algolia indexing`);
 
     const algoliaObjects = pages.map(page => {
-      const transformed = this.transformSinglePage(page, options);
+      const transformed = this.transformSinglePage(page, { ...options, includeContent });
       
       return {
         ...transformed,
@@ -162,7 +178,9 @@ class PageTransformer {
 
     let processedContent = helpers.extractTextFromHtml(content);
     processedContent = this.removeExcessiveWhitespace(processedContent);
-    processedContent = this.truncateContent(processedContent, 5000);
+    // Split records (ALGOLIA_SPLIT_RECORDS) hold up to 8000 characters per chunk
+    const { splitRecords, maxRecordChunks } = config.getAlgoliaConfig();
+    processedContent = this.truncateContent(processedContent, splitRecords ? 8000 * maxRecordChunks : 5000);
     
     return helpers.sanitizeString(processedContent);
   }
@@ -355,8 +373,7 @@ class PageTransformer {
       searchMetadata: {
         indexedAt: new Date().toISOString(),
         searchableContent: this.buildSearchableContent(page),
-        keyTerms: this.extractKeyTerms(page),
-        contentHash: this.generateContentHash(page)
+        keyTerms: this.extractKeyTerms(page)
       }
     }));
   }
@@ -388,17 +405,6 @@ class PageTransformer {
       .map(([word]) => word);
   }
 
-  generateContentHash(page) {
-    const content = this.buildSearchableContent(page);
-    let hash = 0;
-    for (let i = 0; i < content.length; i++) {
-      const char = content.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash).toString(36);
-  }
-
   optimizeForSearch(pages) {
     return pages
       .filter(page => page.title && page.title.length > 0)
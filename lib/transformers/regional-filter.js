@@ -1,13 +1,17 @@
 import logger from '../core/logger.js';
-import { REGIONS, getRegionById, isValidRegion } from '../constants/regions.js';
+import { REGIONS, getRegionById, isValidRegion, getAllRegions, getSubRegions, isSubRegionOf } from '../constants/regions.js';
 
 class RegionalFilter {
   constructor() {
     this.logger = logger.setContext('RegionalFilter');
   }
 
+  /**
+   * Items in the scope of a regional sync
+   * A worldwide sync covers only items assigned to worldwide - see matchesSyncRegion()
+   */
   filterByRegion(items, targetRegion) {
-    if (!targetRegion || targetRegion === 'worldwide') {
+    if (!targetRegion) {
       this.logger.info('No regional filtering applied - returning all items');
       return items;
     }
@@ -21,13 +25,34 @@ class RegionalFilter {
     this.logger.step(`Filtering ${items.length} items for region: ${normalizedRegion}`);
 
     const filteredItems = items.filter(item => {
-      return this.itemMatchesRegion(item, normalizedRegion);
+      return this.matchesSyncRegion(item, normalizedRegion);
     });
 
     this.logger.success(`Filtered to ${filteredItems.length}/${items.length} items for region: ${normalizedRegion}`);
     return filteredItems;
   }
 
+  /**
+   * Whether an item (or a collection, by its region) belongs to a regional sync
+   * Unlike search, where every region sits below worldwide, the worldwide sync only
+   * covers items assigned to worldwide: the other regions have syncs of their own.
+   * @param {Object} item - Anything with a region
+   * @param {string|null} targetRegion - Region of the sync, null for all regions
+   * @returns {boolean}
+   */
+  matchesSyncRegion(item, targetRegion) {
+    if (!targetRegion) {
+      return true;
+    }
+
+    const normalizedRegion = targetRegion.toLowerCase();
+    if (normalizedRegion === 'worldwide') {
+      return (item?.region || 'worldwide').toLowerCase() === 'worldwide';
+    }
+
+    return this.itemMatchesRegion(item, normalizedRegion);
+  }
+
   itemMatchesRegion(item, targetRegion) {
     if (!item || !item.region) {
       return targetRegion === 'worldwide';
@@ -40,11 +65,10 @@ class RegionalFilter {
       return true;
     }
 
-    // REMOVED: worldwide items should NOT automatically appear in specific region searches
-    // When searching in a specific region (e.g., EMEA), only show items from that region
-    // When searching in "worldwide", only show items with region="worldwide"
-
-    // Check for sub-region relationships (e.g., Japan items in Asia-Pacific search)
+    // Matching only runs down the region tree: worldwide items do not match a
+    // specific region such as EMEA, but every region matches "worldwide", the root.
+    // Sub-regions match their parents (e.g., Japan items in Asia-Pacific) and
+    // corporate entities match the regions above them (e.g., Mizuho Bank items in Japan)
     if (this.isSubRegionMatch(itemRegion, targetRegion)) {
       return true;
     }
@@ -53,32 +77,13 @@ class RegionalFilter {
   }
 
   isSubRegionMatch(itemRegion, targetRegion) {
-    const subRegionMap = {
-      'asia-pacific': ['japan'],
-      'mizuho-bank': ['japan', 'asia-pacific'],
-      'mizuho-trust-banking': ['japan', 'asia-pacific'],
-      'mizuho-securities': ['japan', 'asia-pacific', 'americas', 'europe-middle-east-africa'],
-      'mizuho-research-technologies': ['japan', 'asia-pacific']
-    };
-
-    const parentRegions = subRegionMap[itemRegion] || [];
-    return parentRegions.includes(targetRegion);
+    return isSubRegionOf(itemRegion, targetRegion);
   }
 
   groupByRegion(items) {
     this.logger.step(`Grouping ${items.length} items by region`);
 
-    const grouped = {
-      worldwide: [],
-      japan: [],
-      'asia-pacific': [],
-      americas: [],
-      'europe-middle-east-africa': [],
-      'mizuho-bank': [],
-      'mizuho-trust-banking': [],
-      'mizuho-securities': [],
-      'mizuho-research-technologies': []
-    };
+    const grouped = Object.fromEntries(getAllRegions().map(region => [region.id, []]));
 
     for (const item of items) {
       const region = item.region?.toLowerCase() || 'worldwide';
@@ -123,9 +128,9 @@ class RegionalFilter {
           id: region.id,
           name: region.name,
           slug: region.slug,
-          isGlobal: region.id === 'worldwide',
-          isCorporate: region.id.startsWith('mizuho-'),
-          isGeographic: !region.id.startsWith('mizuho-') && region.id !== 'worldwide'
+          isGlobal: region.type === 'global',
+          isCorporate: region.type === 'corporate',
+          isGeographic: region.type === 'geographic'
         }
       };
     });
@@ -184,46 +189,26 @@ class RegionalFilter {
     return grouped;
   }
 
-  createRegionQuery(region) {
-    if (!region || region === 'worldwide') {
-      // When searching worldwide, only show items with region="worldwide"
-      return {
-        filters: 'region:"worldwide"'
-      };
-    }
-
-    const normalizedRegion = region.toLowerCase();
-    const regionConfig = getRegionById(normalizedRegion);
-
-    // FIXED: Only include items from the specific region
-    // Do NOT include worldwide items in region-specific searches
-    const query = {
-      filters: `region:"${regionConfig.id}"`
-    };
-
-    // Include child regions if this is a parent region
-    if (this.isParentRegion(normalizedRegion)) {
-      const childRegions = this.getChildRegions(normalizedRegion);
-      if (childRegions.length > 0) {
-        const childFilters = childRegions.map(child => `region:"${child}"`).join(' OR ');
-        query.filters += ` OR ${childFilters}`;
-      }
-    }
-
-    return query;
-  }
-
-  isParentRegion(region) {
-    const parentRegions = ['asia-pacific'];
-    return parentRegions.includes(region);
-  }
+  /**
+   * Algolia filter for a region
+   * @param {string} region - Region ID or alias (default: worldwide)
+   * @param {Object} options - { includeSubRegions } (default: false, like the search API).
+   *   With it, Asia Pacific also covers Japan and the corporate entities under it,
+   *   and Worldwide covers every region.
+   * @returns {Object} - { filters }
+   */
+  createRegionQuery(region, options = {}) {
+    const { includeSubRegions = false } = options;
+    const regionConfig = getRegionById(region || 'worldwide');
+
+    // Items tagged worldwide never appear in the results for a specific region
+    const regionIds = includeSubRegions
+      ? [regionConfig.id, ...getSubRegions(regionConfig.id)]
+      : [regionConfig.id];
 
-  getChildRegions(parentRegion) {
-    const childMap = {
-      'asia-pacific': ['japan']
+    return {
+      filters: regionIds.map(id => `region:"${id}"`).join(' OR ')
     };
-
-    return childMap[parentRegion] || [];
   }
 
   applyRegionalBoost(items, targetRegion) {
@@ -0,0 +1,158 @@
+import axios from 'axios';
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+import helpers from '../core/helpers.js';
+import attachmentCache from '../algolia/attachment-cache.js';
+
+/**
+ * Attachment Text Extractor
+ *
+ * Downloads the PDF attachments of CMS items and extracts their text, so phrases
+ * that only appear inside a document (e.g. financial statements) are searchable.
+ * Only collections with `extractAttachmentText: true` in config/collections.json use it.
+ *
+ * Files larger than ATTACHMENT_MAX_FILE_MB are skipped, at most ATTACHMENT_MAX_PAGES
+ * pages are read, and results are cached by fileId (see attachment-cache.js).
+ */
+class AttachmentExtractor {
+  constructor() {
+    this.logger = logger.setContext('AttachmentExtractor');
+  }
+
+  /**
+   * Extract the text of an item's attachments
+   * @param {Object[]} files - Files from CMSFetcher.extractSingleFile()
+   * @returns {Promise<string>} - Text of all PDF attachments, capped at ATTACHMENT_MAX_TEXT_CHARS
+   */
+  async extractText(files) {
+    const { maxTextChars } = config.getAttachmentsConfig();
+    const texts = [];
+
+    // Sequential - each download is held in memory while it is parsed
+    for (const file of files.filter(file => this.isPdf(file))) {
+      const entry = await this.getFileText(file);
+      if (entry?.text) {
+        texts.push(entry.text);
+      }
+    }
+
+    const text = texts.join('\n\n');
+    return text.length > maxTextChars ? text.substring(0, maxTextChars) : text;
+  }
+
+  isPdf(file) {
+    return file.fileType === 'application/pdf' ||
+      /\.pdf$/i.test(file.fileName || '') ||
+      /\.pdf(\?|$)/i.test(file.url || '');
+  }
+
+  /**
+   * Get a file's text from the cache, or download and parse it
+   * Files that cannot be indexed (too large, no text) are cached as skipped so
+   * they are not downloaded again. Download errors are not cached and retried next sync.
+   * @returns {Promise<Object|null>} - Cache entry, or null if the file could not be read
+   */
+  async getFileText(file) {
+    if (!file.fileId || !file.url) {
+      return null;
+    }
+
+    const cached = await attachmentCache.get(file.fileId);
+    if (cached) {
+      return cached;
+    }
+
+    const { maxFileBytes } = config.getAttachmentsConfig();
+    const source = { url: file.url, fileName: file.fileName };
+
+    if (file.fileSize > maxFileBytes) {
+      this.logger.info(`Skipping ${file.fileName}: ${file.fileSize} bytes exceeds the ${maxFileBytes} byte limit`);
+      await attachmentCache.set(file.fileId, { ...source, text: '', pages: 0, skipped: 'too-large' });
+      return null;
+    }
+
+    try {
+      const data = await this.download(file.url);
+      const result = await this.extractPdfText(data);
+
+      this.logger.debug(`Extracted text from ${file.fileName}`, {
+        fileId: file.fileId,
+        pages: result.pages,
+        totalPages: result.totalPages,
+        textLength: result.text.length
+      });
+
+      const entry = {
+        ...source,
+        ...result,
+        ...(!result.text && { skipped: 'no-text' })
+      };
+      // Later syncs read the cached text, so return what was stored rather than the full extraction
+      return await attachmentCache.set(file.fileId, entry);
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        await attachmentCache.set(file.fileId, { ...source, text: '', pages: 0, skipped: 'too-large' });
+      }
+
+      this.logger.warn(`Failed to extract text from ${file.fileName}`, {
+        fileId: file.fileId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async download(url) {
+    const { maxFileBytes, timeoutMs } = config.getAttachmentsConfig();
+
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      // The reported fileSize can be missing, so enforce the limit on the download itself
+      maxContentLength: maxFileBytes,
+      timeout: timeoutMs
+    });
+
+    return new Uint8Array(response.data);
+  }
+
+  /**
+   * Extract text page by page, stopping at the page or text limit
+   * @param {Uint8Array} data - PDF file contents
+   * @returns {Promise<Object>} - { text, pages, totalPages, truncated }
+   */
+  async extractPdfText(data) {
+    const { maxPages, maxTextChars } = config.getAttachmentsConfig();
+    const { getDocumentProxy } = await import('unpdf');
+
+    const pdf = await getDocumentProxy(data);
+
+    try {
+      const pageTexts = [];
+      let length = 0;
+      let pages = 0;
+
+      while (pages < Math.min(pdf.numPages, maxPages) && length < maxTextChars) {
+        pages++;
+        const page = await pdf.getPage(pages);
+        const { items } = await page.getTextContent();
+        const pageText = helpers.sanitizeString(items.map(item => item.str).join(' ').replace(/\s+/g, ' '));
+
+        if (pageText) {
+          pageTexts.push(pageText);
+          length += pageText.length;
+        }
+      }
+
+      return {
+        text: pageTexts.join('\n\n').substring(0, maxTextChars),
+        pages,
+        totalPages: pdf.numPages,
+        truncated: pages < pdf.numPages || length > maxTextChars
+      };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+}
+
+export default new AttachmentExtractor();
@@ -25,6 +25,10 @@ class WebflowClient {
     this.isProcessingQueue = false;
     this.requestsThisMinute = 0;
     this.minuteStartTime = Date.now();
+
+    // Lifetime counters - sync run records diff these to get per-run consumption
+    this.totalRequests = 0;
+    this.rateLimitedResponses = 0;
     
     this.init();
   }
@@ -56,6 +60,7 @@ class WebflowClient {
   setupInterceptors() {
     this.client.interceptors.request.use(
       (config) => {
+        this.totalRequests++;
         logger.debug(`Making request to ${config.url}`, { 
           method: config.method,
           params: config.params 
@@ -84,6 +89,9 @@ class WebflowClient {
         if (error.response) {
           // Update rate limit info even on errors
           this.updateRateLimitInfo(error.response.headers);
+          if (error.response.status === 429) {
+            this.rateLimitedResponses++;
+          }
           
           logger.error(`API error ${error.response.status}`, {
             url: error.config?.url,
@@ -237,6 +245,12 @@ class WebflowClient {
           }
         }
         
+        // A missing resource will not appear on retry; callers such as getLiveCollectionItem expect 404s
+        if (error.response?.status === 404) {
+          logger.debug('Request returned 404, not retrying', { url });
+          throw error;
+        }
+
         if (attempt === maxRetries) {
           logger.error(`Request failed after ${maxRetries} attempts`, { 
             url, 
@@ -312,22 +326,56 @@ class WebflowClient {
     }
   }
 
+  /**
+   * List the site's webhooks
+   * @returns {Promise<Object[]>} - Webhooks with id, triggerType, url and filter
+   */
+  async listWebhooks() {
+    const response = await this.makeRequest(`/sites/${this.siteId}/webhooks`);
+    return response.data.webhooks || [];
+  }
+
+  /**
+   * Register a webhook for the site
+   * @param {Object} webhook - { triggerType, url, filter }
+   */
+  async createWebhook({ triggerType, url, filter }) {
+    const response = await this.makeRequest(`/sites/${this.siteId}/webhooks`, {
+      method: 'POST',
+      data: { triggerType, url, ...(filter && { filter }) }
+    });
+    return response.data;
+  }
+
+  async deleteWebhook(webhookId) {
+    await this.makeRequest(`/webhooks/${webhookId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Fetch one page of collection items
+   * @param {string} collectionId - Webflow collection ID
+   * @param {Object} options - { limit, offset, cmsLocaleId }
+   * @param {string} options.cmsLocaleId - CMS locale ID of a secondary locale; omit for the primary locale
+   */
   async getCollectionItems(collectionId, options = {}) {
     const { 
       limit = config.getSyncConfig().batchSize,
       offset = 0,
-      locale = 'en-US'
+      cmsLocaleId = null
     } = options;
 
-    logger.step(`Fetching items from collection ${collectionId} (offset: ${offset}, limit: ${limit})`);
+    logger.step(`Fetching items from collection ${collectionId} (offset: ${offset}, limit: ${limit}${cmsLocaleId ? `, cmsLocaleId: ${cmsLocaleId}` : ''})`);
     
     try {
       const params = {
         limit,
-        offset,
-        locale
+        offset
       };
 
+      if (cmsLocaleId) {
+        params.cmsLocaleId = cmsLocaleId;
+      }
+
       const response = await this.makeRequest(
         `/collections/${collectionId}/items`,
         { method: 'GET', params }
@@ -358,8 +406,27 @@ class WebflowClient {
     }
   }
 
-  async getAllCollectionItems(collectionId) {
-    logger.step(`Fetching all items from collection ${collectionId}`);
+  /**
+   * Count the published (live) items in a collection with a single request
+   * @param {string} collectionId - Webflow collection ID
+   * @returns {Promise<number>} - Number of live items
+   */
+  async getLiveItemCount(collectionId) {
+    try {
+      const response = await this.makeRequest(
+        `/collections/${collectionId}/items/live`,
+        { method: 'GET', params: { limit: 1 } }
+      );
+      return response.data.pagination?.total || 0;
+    } catch (error) {
+      logger.error(`Failed to count live items for ${collectionId}`, { error: error.message });
+      throw error;
+    }
+  }
+
+  async getAllCollectionItems(collectionId, options = {}) {
+    const { cmsLocaleId = null } = options;
+    logger.step(`Fetching all items from collection ${collectionId}${cmsLocaleId ? ` for CMS locale ${cmsLocaleId}` : ''}`);
 
     let allItems = [];
     let offset = 0;
@@ -368,7 +435,7 @@ class WebflowClient {
 
     while (hasMore) {
       try {
-        const result = await this.getCollectionItems(collectionId, { limit, offset });
+        const result = await this.getCollectionItems(collectionId, { limit, offset, cmsLocaleId });
         allItems = [...allItems, ...result.items];
 
         hasMore = result.hasMore;
@@ -390,13 +457,14 @@ class WebflowClient {
     return allItems;
   }
 
-  async getCollectionItem(collectionId, itemId) {
+  async getCollectionItem(collectionId, itemId, options = {}) {
+    const { cmsLocaleId = null } = options;
     logger.step(`Fetching single item ${itemId} from collection ${collectionId}`);
 
     try {
       const response = await this.makeRequest(
         `/collections/${collectionId}/items/${itemId}`,
-        { method: 'GET' }
+        { method: 'GET', ...(cmsLocaleId && { params: { cmsLocaleId } }) }
       );
 
       const item = response.data;
@@ -418,6 +486,33 @@ class WebflowClient {
     }
   }
 
+  /**
+   * Get the published version of an item
+   * @param {Object} options - { cmsLocaleId } for a secondary locale
+   * @returns {Promise<Object|null>} - The live item, or null if it is not published
+   */
+  async getLiveCollectionItem(collectionId, itemId, options = {}) {
+    const { cmsLocaleId = null } = options;
+
+    try {
+      const response = await this.makeRequest(
+        `/collections/${collectionId}/items/${itemId}/live`,
+        { method: 'GET', ...(cmsLocaleId && { params: { cmsLocaleId } }) }
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(`Failed to fetch live item ${itemId}`, {
+        collectionId,
+        itemId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   async resolveReferences(ids, collectionId) {
     if (!ids || !ids.length || !collectionId) {
       return [];
@@ -767,6 +862,44 @@ class WebflowClient {
     }
   }
 
+  /**
+   * Fetch every DOM node of a page, following limit/offset pagination
+   * @param {string} pageId - Webflow page ID
+   * @param {Object} options - { localeId, limit, maxNodes }
+   * @param {number} options.maxNodes - Stop after this many nodes so huge pages cannot exhaust the rate limit
+   * @returns {Promise<Object[]>} - DOM nodes
+   */
+  async getAllPageContentNodes(pageId, options = {}) {
+    const {
+      localeId,
+      limit = 100,
+      maxNodes = config.getSyncConfig().pageContentMaxNodes
+    } = options;
+
+    const nodes = [];
+    let offset = 0;
+    let total = 0;
+
+    while (nodes.length < maxNodes) {
+      const response = await this.getPageContent(pageId, { localeId, limit, offset });
+      const pageNodes = response.nodes || [];
+      nodes.push(...pageNodes);
+
+      total = response.pagination?.total ?? nodes.length;
+      offset += limit;
+
+      if (pageNodes.length === 0 || offset >= total) {
+        break;
+      }
+    }
+
+    if (total > maxNodes) {
+      logger.warn(`Page ${pageId} has more than ${maxNodes} DOM nodes, the rest is not indexed`);
+    }
+
+    return nodes.slice(0, maxNodes);
+  }
+
   async getPageMetadata(pageId, options = {}) {
     const { localeId } = options;
     const cacheKey = `${pageId}_${localeId || 'default'}`;
@@ -839,6 +972,20 @@ class WebflowClient {
     logger.info('Webflow client cache cleared');
   }
 
+  /**
+   * Drop the cached metadata and content of one page, in every locale
+   * @param {string} pageId - Webflow page ID
+   */
+  invalidatePageCache(pageId) {
+    for (const cache of [this.pageContentCache, this.pageMetadataCache]) {
+      for (const key of cache.keys()) {
+        if (key.startsWith(`${pageId}_`)) {
+          cache.delete(key);
+        }
+      }
+    }
+  }
+
   getCacheStats() {
     return {
       referenceCacheSize: this.referenceCache.size,
@@ -848,6 +995,19 @@ class WebflowClient {
     };
   }
 
+  /**
+   * Snapshot of the lifetime request counters
+   * @returns {Object} - { totalRequests, rateLimitedResponses, limit, remaining }
+   */
+  getUsageSnapshot() {
+    return {
+      totalRequests: this.totalRequests,
+      rateLimitedResponses: this.rateLimitedResponses,
+      limit: this.rateLimitInfo.limit,
+      remaining: this.rateLimitInfo.remaining
+    };
+  }
+
   getQueueStats() {
     return {
       queueLength: this.requestQueue.length,
@@ -3,12 +3,64 @@ import config from '../core/config.js';
 import helpers from '../core/helpers.js';
 import webflowClient from './client.js';
 import taxonomyResolver from './taxonomy-resolver.js';
-import { CMS_COLLECTIONS, getFieldMapping, getConfiguredCollections } from '../constants/collections.js';
+import attachmentExtractor from './attachment-extractor.js';
+import { CONTENT_TYPES, getFieldMapping, getConfiguredCollections, buildCollectionItemPath } from '../constants/collections.js';
+import { getCountryForUrl } from '../constants/regions.js';
 
 class CMSFetcher {
   constructor() {
     this.logger = logger.setContext('CMSFetcher');
     this.collectionMappings = new Map();
+    this.siteLocales = null;
+    this.siteLocalesFetchedAt = 0;
+    this.siteLocalesTtl = 60 * 60 * 1000; // 1 hour
+  }
+
+  async getSiteLocales() {
+    if (!this.siteLocales || Date.now() - this.siteLocalesFetchedAt > this.siteLocalesTtl) {
+      this.siteLocales = await webflowClient.getSiteLocales();
+      this.siteLocalesFetchedAt = Date.now();
+    }
+    return this.siteLocales;
+  }
+
+  /**
+   * Resolve the locales a collection is indexed in
+   * Collections list their secondary CMS locales in `locales` (e.g. france-information
+   * in fr-FR) and are fetched in the primary locale plus each of those. Collections
+   * without `locales` are fetched once with no locale info, as before.
+   * @param {Object} collectionConfig - Configured collection
+   * @returns {Promise<Array<Object|null>>} - Locale info objects ({ id, cmsId, displayName, tag, isPrimary }), or [null]
+   */
+  async getCollectionLocales(collectionConfig) {
+    const localeTags = collectionConfig.locales || [];
+    if (localeTags.length === 0) {
+      return [null];
+    }
+
+    const siteLocales = await this.getSiteLocales();
+    const primaryLocale = siteLocales.find(locale => locale.isPrimary);
+    const secondaryLocales = localeTags
+      .map(tag => {
+        const locale = siteLocales.find(candidate => candidate.tag === tag && !candidate.isPrimary);
+        if (!locale) {
+          this.logger.warn(`Locale '${tag}' of ${collectionConfig.name} not found in site locales, skipping`);
+        }
+        return locale;
+      })
+      .filter(Boolean);
+
+    return [primaryLocale, ...secondaryLocales]
+      .filter(Boolean)
+      .map(({ id, cmsId, displayName, tag, isPrimary }) => ({ id, cmsId, displayName, tag, isPrimary }));
+  }
+
+  /**
+   * Webflow item request options for a locale
+   * The primary locale is what the items API returns without a cmsLocaleId.
+   */
+  getLocaleRequestOptions(locale) {
+    return locale && !locale.isPrimary ? { cmsLocaleId: locale.cmsId } : {};
   }
 
   async fetchAllCollections(options = {}) {
@@ -18,7 +70,7 @@ class CMSFetcher {
       const { excludeCollections = [] } = options;
       let configuredCollections = getConfiguredCollections();
 
-      // Filter out excluded collections (e.g., 'beyond-the-obvious' for webhook-managed collections)
+      // Filter out excluded collections (e.g. webhook-managed collections marked excludeFromCron)
       if (excludeCollections.length > 0) {
         const originalCount = configuredCollections.length;
         configuredCollections = configuredCollections.filter(
@@ -94,22 +146,35 @@ class CMSFetcher {
     }
   }
 
-  async fetchSingleItem(webflowCollectionId, itemId, collectionConfig) {
-    this.logger.step(`Fetching single item ${itemId} from collection ${collectionConfig.name}`);
+  /**
+   * Fetch and process a single item
+   * @param {Object} options - { live: read the published version instead of the staged one }
+   * @returns {Promise<Object|null>} - The processed item, or null when live and the item is not published
+   */
+  async fetchSingleItem(webflowCollectionId, itemId, collectionConfig, locale = null, options = {}) {
+    const { live = false } = options;
+    this.logger.step(`Fetching single ${live ? 'live ' : ''}item ${itemId} from collection ${collectionConfig.name}${locale ? ` (${locale.tag})` : ''}`);
 
     try {
       // Fetch the single item from Webflow
-      const item = await webflowClient.getCollectionItem(webflowCollectionId, itemId);
+      const item = live
+        ? await webflowClient.getLiveCollectionItem(webflowCollectionId, itemId, this.getLocaleRequestOptions(locale))
+        : await webflowClient.getCollectionItem(webflowCollectionId, itemId, this.getLocaleRequestOptions(locale));
+
+      if (live && (!item || !this.shouldProcessItem(item))) {
+        this.logger.info(`Item ${itemId} is not published${locale ? ` in ${locale.tag}` : ''}`);
+        return null;
+      }
 
-      // Apply taxonomy resolution for Beyond The Obvious collection
+      // Resolve the taxonomy references declared in the collection registry
       let itemToProcess = item;
-      if (collectionConfig.id === 'beyond-the-obvious') {
+      if (collectionConfig.taxonomies?.length) {
         itemToProcess = await taxonomyResolver.resolveTaxonomyReferences(item, collectionConfig);
       }
 
       // Get field mapping and process the item
       const fieldMapping = this.getCollectionFieldMapping(collectionConfig);
-      const processedItem = await this.processCollectionItem(itemToProcess, collectionConfig, fieldMapping);
+      const processedItem = await this.processCollectionItem(itemToProcess, collectionConfig, fieldMapping, locale);
 
       if (!processedItem) {
         throw new Error(`Failed to process item ${itemId}`);
@@ -131,36 +196,43 @@ class CMSFetcher {
     }
   }
 
+  /**
+   * Fetch a single item in every locale of its collection
+   * @param {Object} options - { live: read the published versions, leaving out locales where it is not published }
+   * @returns {Promise<Object[]>} - One processed item per locale
+   */
+  async fetchSingleItemInAllLocales(webflowCollectionId, itemId, collectionConfig, options = {}) {
+    const locales = await this.getCollectionLocales(collectionConfig);
+    const items = [];
+
+    for (const locale of locales) {
+      const item = await this.fetchSingleItem(webflowCollectionId, itemId, collectionConfig, locale, options);
+      if (item) {
+        items.push(item);
+      }
+    }
+
+    return items;
+  }
+
   async fetchCollectionById(webflowCollectionId, collectionConfig) {
     this.logger.info(`Processing collection: ${collectionConfig.name} (${collectionConfig.region})`);
 
     try {
-      const items = await webflowClient.getAllCollectionItems(webflowCollectionId);
-      const fieldMapping = this.getCollectionFieldMapping(collectionConfig);
+      const locales = await this.getCollectionLocales(collectionConfig);
       const processedItems = [];
+      let totalItems = 0;
 
-      for (const item of items) {
-        try {
-          // Apply taxonomy resolution for Beyond The Obvious collection
-          let itemToProcess = item;
-          if (collectionConfig.id === 'beyond-the-obvious') {
-            itemToProcess = await taxonomyResolver.resolveTaxonomyReferences(item, collectionConfig);
-          }
-
-          const processedItem = await this.processCollectionItem(itemToProcess, collectionConfig, fieldMapping);
-          if (processedItem) {
-            processedItems.push(processedItem);
-          }
-        } catch (error) {
-          this.logger.error(`Failed to process item ${item.id}`, {
-            collectionId: webflowCollectionId,
-            itemId: item.id,
-            error: error.message
-          });
-        }
+      for (const locale of locales) {
+        const items = await webflowClient.getAllCollectionItems(webflowCollectionId, this.getLocaleRequestOptions(locale));
+        const { processedItems: localeItems } = await this.processRawItems(items, collectionConfig, locale);
+        processedItems.push(...localeItems);
+        totalItems += items.length;
       }
 
-      this.logger.success(`Processed ${processedItems.length}/${items.length} items from ${collectionConfig.name}`);
+      this.logger.success(`Processed ${processedItems.length}/${totalItems} items from ${collectionConfig.name}`, {
+        locales: locales.map(locale => locale?.tag || 'default')
+      });
       return processedItems;
     } catch (error) {
       this.logger.error(`Failed to fetch collection data for ${collectionConfig.name}`, {
@@ -170,6 +242,122 @@ class CMSFetcher {
     }
   }
 
+  /**
+   * Fetch only the items of a collection that changed after a watermark
+   *
+   * The full item list is still read from Webflow (the items API has no
+   * "modified since" filter), but taxonomy resolution and processing only run
+   * for changed items. The IDs of every live item are returned as well so the
+   * caller can detect deletions.
+   *
+   * Localized collections are read once per locale, and every locale version of an
+   * item counts as its own live item.
+   *
+   * @param {Object} collectionConfig - Configured collection (with webflowId)
+   * @param {Date|null} since - Watermark; null processes every item
+   * Items that fail to process are left out of changedItems and listed in
+   * failedItems, so the caller can keep its watermark and retry them.
+   *
+   * @returns {Promise<Object>} - { changedItems, failedItems: [{ id, locale, error }], liveItems: [{ id, locale }], totalItems }
+   */
+  async fetchCollectionChanges(collectionConfig, since = null) {
+    this.logger.info(`Checking collection for changes: ${collectionConfig.name}`, {
+      since: since ? since.toISOString() : 'never'
+    });
+
+    try {
+      const locales = await this.getCollectionLocales(collectionConfig);
+      const changedItems = [];
+      const failedItems = [];
+      const liveItems = [];
+      let totalItems = 0;
+
+      for (const locale of locales) {
+        const items = await webflowClient.getAllCollectionItems(collectionConfig.webflowId, this.getLocaleRequestOptions(locale));
+        const liveLocaleItems = items.filter(item => this.shouldProcessItem(item));
+        const changedLocaleItems = since
+          ? liveLocaleItems.filter(item => this.isItemChangedSince(item, since))
+          : liveLocaleItems;
+
+        const { processedItems, failedItems: localeFailures } = await this.processRawItems(changedLocaleItems, collectionConfig, locale);
+        changedItems.push(...processedItems);
+        failedItems.push(...localeFailures);
+        liveItems.push(...liveLocaleItems.map(item => ({ id: item.id, locale })));
+        totalItems += items.length;
+      }
+
+      this.logger.success(`${collectionConfig.name}: ${changedItems.length} changed of ${liveItems.length} live items`, {
+        failed: failedItems.length
+      });
+
+      return {
+        changedItems,
+        failedItems,
+        liveItems,
+        totalItems
+      };
+    } catch (error) {
+      this.logger.error(`Failed to fetch changes for ${collectionConfig.name}`, {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a raw Webflow item was updated or published after a watermark
+   * @param {Object} item - Raw Webflow item
+   * @param {Date} since - Watermark
+   * @returns {boolean}
+   */
+  isItemChangedSince(item, since) {
+    const timestamps = [item.lastUpdated, item.lastPublished, item.createdOn]
+      .filter(Boolean)
+      .map(value => new Date(value).getTime())
+      .filter(time => !isNaN(time));
+
+    // Items without any usable timestamp are treated as changed
+    if (timestamps.length === 0) {
+      return true;
+    }
+
+    return Math.max(...timestamps) > since.getTime();
+  }
+
+  /**
+   * Resolve taxonomies and process raw items, skipping any that fail
+   * @returns {Promise<Object>} - { processedItems, failedItems: [{ id, locale, error }] }
+   */
+  async processRawItems(items, collectionConfig, locale = null) {
+    const fieldMapping = this.getCollectionFieldMapping(collectionConfig);
+    const processedItems = [];
+    const failedItems = [];
+
+    for (const item of items) {
+      try {
+        // Resolve the taxonomy references declared in the collection registry
+        let itemToProcess = item;
+        if (collectionConfig.taxonomies?.length) {
+          itemToProcess = await taxonomyResolver.resolveTaxonomyReferences(item, collectionConfig);
+        }
+
+        const processedItem = await this.processCollectionItem(itemToProcess, collectionConfig, fieldMapping, locale);
+        if (processedItem) {
+          processedItems.push(processedItem);
+        }
+      } catch (error) {
+        this.logger.error(`Failed to process item ${item.id}`, {
+          collectionId: collectionConfig.webflowId,
+          itemId: item.id,
+          error: error.message
+        });
+        failedItems.push({ id: item.id, locale: locale?.tag || null, error: error.message });
+      }
+    }
+
+    return { processedItems, failedItems };
+  }
+
   async fetchCollectionData(collection) {
     this.logger.info(`Processing collection: ${collection.displayName} (${collection.slug})`);
     
@@ -203,33 +391,38 @@ class CMSFetcher {
     }
   }
 
-  async processCollectionItem(item, collectionConfig, fieldMapping) {
+  async processCollectionItem(item, collectionConfig, fieldMapping, locale = null) {
     if (!this.shouldProcessItem(item)) {
       return null;
     }
 
     const fieldData = item.fieldData || {};
+    const url = this.buildItemUrl(collectionConfig, fieldData, fieldMapping, locale);
 
     const processedItem = {
       id: item.id,
       cmsId: item.cmsLocaleId,
-      type: this.getContentType(collectionConfig.id),
+      type: collectionConfig.contentType || CONTENT_TYPES.CMS_ITEM,
       collectionId: collectionConfig.webflowId,
       collectionSlug: collectionConfig.endpoint,
       collectionName: collectionConfig.name,
       title: this.extractField(fieldData, fieldMapping.title) || 'Untitled',
       slug: this.extractField(fieldData, fieldMapping.slug) || helpers.createSlug(item.id),
-      url: this.buildItemUrl(collectionConfig.endpoint, fieldData, fieldMapping),
+      url,
       summary: this.extractSummaryField(fieldData, fieldMapping, collectionConfig),
       content: this.extractField(fieldData, fieldMapping.content) || '',
       publishedDate: this.extractField(fieldData, fieldMapping.publishDate) || item.createdOn,
       lastModified: this.extractField(fieldData, fieldMapping.lastModified) || item.lastUpdated,
       region: collectionConfig.region || 'worldwide',
+      // Set for the collection in config/collections.json, otherwise read from the item URL
+      country: collectionConfig.country || getCountryForUrl(url),
       tags: await this.extractTags(fieldData, fieldMapping),
       category: await this.extractCategory(fieldData, fieldMapping),
       featured: this.extractField(fieldData, fieldMapping.featured) || false,
       status: this.extractField(fieldData, fieldMapping.status) || 'published',
       searchText: '',
+      // Same shape as the locale info of static pages; only set for localized collections
+      ...(locale && { locale }),
       metadata: {
         isDraft: item.isDraft || false,
         isArchived: item.isArchived || false,
@@ -243,7 +436,14 @@ class CMSFetcher {
     };
 
     // Extract attachment and external link fields for all applicable collections
-    this.extractAttachmentAndLinkFields(processedItem, fieldData, fieldMapping);
+    const attachmentFiles = this.extractAttachmentAndLinkFields(processedItem, fieldData, fieldMapping);
+
+    if (collectionConfig.extractAttachmentText && attachmentFiles.length > 0) {
+      const attachmentText = await attachmentExtractor.extractText(attachmentFiles);
+      if (attachmentText) {
+        processedItem.attachmentText = attachmentText;
+      }
+    }
 
     // Add Beyond The Obvious specific fields as clean, filterable top-level fields
     if (collectionConfig.id === 'beyond-the-obvious') {
@@ -299,9 +499,11 @@ class CMSFetcher {
       id: processedItem.id,
       type: processedItem.type,
       region: processedItem.region,
+      country: processedItem.country,
       hasAttachments: !!processedItem.attachments,
       hasExternalLink: !!processedItem.externalLink,
-      attachmentCount: processedItem.attachments?.length || 0
+      attachmentCount: processedItem.attachments?.length || 0,
+      attachmentTextLength: processedItem.attachmentText?.length || 0
     });
 
 
@@ -427,6 +629,10 @@ class CMSFetcher {
     return url.startsWith('http://') || url.startsWith('https://');
   }
 
+  /**
+   * Add attachment URLs, external links and their search terms to the item
+   * @returns {Object[]} - The attachment files found, for text extraction
+   */
   extractAttachmentAndLinkFields(processedItem, fieldData, fieldMapping) {
     // Extract file attachments - try multiple possible field names
     const fileFields = [
@@ -487,6 +693,8 @@ class CMSFetcher {
         }
       }
     }
+
+    return attachments;
   }
 
   async extractRegion(fieldData, fieldMapping, collection) {
@@ -614,55 +822,15 @@ class CMSFetcher {
     return searchParts.filter(Boolean).join(' ');
   }
 
-  buildItemUrl(collectionSlug, fieldData, fieldMapping) {
+  buildItemUrl(collectionConfig, fieldData, fieldMapping, locale = null) {
     const slug = this.extractField(fieldData, fieldMapping.slug);
     const finalSlug = slug || (fieldData.title ? helpers.createSlug(fieldData.title) : 'item');
 
-    // Map collections to their proper nested folder structure
-    const urlMappings = {
-      // Securities collections
-      'securities-news': `/securities/securities-information/${finalSlug}`,
-
-      // Asia Pacific country collections
-      'singapore-information': `/asia-pacific/singapore/sp-information/${finalSlug}`,
-      'taiwan-information': `/asia-pacific/taiwan/tw-information/${finalSlug}`,
-      'hong-kong-information': `/asia-pacific/hong-kong/hk-information/${finalSlug}`,
-      'malaysia-information': `/asia-pacific/malaysia/ma-information/${finalSlug}`,
-      'gift-city-information': `/asia-pacific/gift-city/gc-information/${finalSlug}`,
-      'mizuho-global-services': `/asia-pacific/mizuho-global-services/${finalSlug}`,
-      'news-and-announcements': `/asia-pacific/india/news-and-announcements/${finalSlug}`,
-
-      // Americas collections
-      'brazil-information': `/americas/brazil/information/${finalSlug}`,
-      'americas-people': `/americas/who-we-are/our-people/${finalSlug}`,
-
-      // EMEA collections
-      'france-information': `/emea/france/fr-information/${finalSlug}`,
-      'russia-information': `/emea/russia/ru-information/${finalSlug}`,
-      'saudi-arabia-information': `/emea/saudi-arabia/sa-information/${finalSlug}`,
-      'emea-leaders': `/emea/who-we-are/our-leaders/${finalSlug}`,
-
-      // Japan collections
-      'japan-intl-cards': `/japan/services/international-card/${finalSlug}`,
-
-      // Global/Worldwide collections
-      'global-news-releases': `/news-release/${finalSlug}`,
-      'digital-articles': `/digital/${finalSlug}`,
-
-      // Investor collections
-      'financial-statements-data': `/investors/financial-information/financial-statements-data/${finalSlug}`,
-      'basel-capital-data': `/investors/financial-information/capital-data/${finalSlug}`,
-      'liquidity-data': `/investors/financial-information/liquidity-data/${finalSlug}`,
-      'annual-data': `/investors/financial-information/annual-data/${finalSlug}`
-    };
-
-    // Return custom URL if mapping exists, otherwise use default structure
-    if (urlMappings[collectionSlug]) {
-      return urlMappings[collectionSlug];
-    }
+    // Nested folder structures come from the collection's urlTemplate in config/collections.json
+    const path = buildCollectionItemPath(collectionConfig, finalSlug);
 
-    // Default structure for other collections
-    return `/${collectionSlug}/${finalSlug}`;
+    // Secondary locales are served under their locale prefix, like static pages (e.g. /fr-FR/emea/...)
+    return locale && !locale.isPrimary ? `/${locale.tag}${path}` : path;
   }
 
   shouldProcessCollection(collection) {
@@ -694,41 +862,9 @@ class CMSFetcher {
     return true;
   }
 
-  getContentType(collectionSlug) {
-    // Check if collection name contains these keywords
-    if (collectionSlug.includes('news')) {
-      return 'news-article';
-    }
-    if (collectionSlug.includes('insights')) {
-      return 'insight';
-    }
-    if (collectionSlug.includes('events')) {
-      return 'event';
-    }
-    if (collectionSlug.includes('people')) {
-      return 'person';
-    }
-    if (collectionSlug.includes('reports')) {
-      return 'report';
-    }
-    if (collectionSlug.includes('research')) {
-      return 'research';
-    }
-
-    // Default fallback
-    return 'cms-item';
-  }
-
-  getCollectionType(collectionSlug) {
-    return Object.values(CMS_COLLECTIONS).find(
-      col => col.endpoint === collectionSlug
-    )?.id || 'unknown';
-  }
-
   getCollectionFieldMapping(collection) {
     if (!this.collectionMappings.has(collection.id)) {
-      const collectionType = this.getCollectionType(collection.endpoint || collection.slug);
-      const mapping = getFieldMapping(collectionType);
+      const mapping = getFieldMapping(collection.id);
 
       // Debug EMEA News specifically
       if (collection.endpoint === 'emea-news') {
@@ -736,7 +872,6 @@ class CMSFetcher {
           collectionName: collection.name,
           collectionId: collection.id,
           collectionEndpoint: collection.endpoint,
-          collectionType: collectionType,
           hasDocumentAttachment: !!mapping.documentAttachment,
           hasExternalLink: !!mapping.externalLink,
           mappingKeys: Object.keys(mapping)
@@ -0,0 +1,225 @@
+import webflowClient from './client.js';
+import cmsFetcher from './cms-fetcher.js';
+import logger from '../core/logger.js';
+import {
+  CONTENT_TYPES,
+  FIELD_MAPPINGS,
+  getAllCollections,
+  getConfiguredCollections,
+  getFieldMapping
+} from '../constants/collections.js';
+
+// Field types whose text is worth indexing
+const INDEXABLE_FIELD_TYPES = ['PlainText', 'RichText'];
+
+// Fields every Webflow collection has, mapped by the common mapping
+const BUILT_IN_FIELDS = ['name', 'slug'];
+
+// Draft mapping guesses: mapping key, accepted field types and a slug pattern (first match wins)
+const DRAFT_MAPPING_RULES = [
+  { key: 'summary', types: ['PlainText', 'RichText'], pattern: /summary|excerpt|description|intro|abstract|lead/ },
+  { key: 'content', types: ['RichText'], pattern: /content|body|post|article|text/ },
+  { key: 'content', types: ['RichText'], pattern: /./ },
+  { key: 'publishDate', types: ['DateTime'], pattern: /publish|release|date/ },
+  { key: 'category', types: ['Option', 'Reference', 'PlainText'], pattern: /category/ },
+  { key: 'tags', types: ['MultiReference', 'PlainText'], pattern: /tag/ },
+  { key: 'featured', types: ['Switch'], pattern: /featured/ },
+  { key: 'documentAttachment', types: ['File'], pattern: /./ },
+  { key: 'externalLink', types: ['Link'], pattern: /./ }
+];
+
+// Collection slug keywords, checked in order, for a draft entry's contentType
+const CONTENT_TYPE_KEYWORDS = [
+  ['news', CONTENT_TYPES.NEWS_ARTICLE],
+  ['insight', CONTENT_TYPES.INSIGHT],
+  ['event', CONTENT_TYPES.EVENT],
+  ['people', CONTENT_TYPES.PERSON],
+  ['leader', CONTENT_TYPES.PERSON],
+  ['report', CONTENT_TYPES.REPORT],
+  ['research', CONTENT_TYPES.RESEARCH]
+];
+
+/**
+ * Collection Discovery
+ *
+ * Compares the collections on the Webflow site with the collection registry
+ * (config/collections.json). It reports site collections nobody configured,
+ * configured IDs that no longer exist, and schema drift: mapped fields that were
+ * renamed or removed in Webflow, which otherwise index as silently empty
+ * summaries, and new text fields no mapping uses yet.
+ */
+class CollectionDiscovery {
+  constructor() {
+    this.logger = logger.setContext('CollectionDiscovery');
+  }
+
+  /**
+   * Build the discovery report
+   * @param {Object} options - { draft: add a draft registry entry for each unconfigured collection }
+   * @returns {Promise<Object>} - { summary, configured, unconfigured, missingOnSite }
+   */
+  async discover(options = {}) {
+    const { draft = false } = options;
+
+    const siteCollections = (await webflowClient.getCollections())
+      .filter(collection => cmsFetcher.shouldProcessCollection(collection));
+    const configuredCollections = getConfiguredCollections();
+    const siteIds = new Set(siteCollections.map(collection => collection.id));
+
+    const configured = [];
+    const unconfigured = [];
+
+    // Sequential - each schema is a separate Webflow request
+    for (const siteCollection of siteCollections) {
+      const collectionConfig = configuredCollections.find(collection => collection.webflowId === siteCollection.id);
+      const fields = await this.getSchemaFields(siteCollection.id);
+
+      if (collectionConfig) {
+        configured.push(this.checkDrift(collectionConfig, siteCollection, fields));
+      } else {
+        unconfigured.push(this.describeUnconfigured(siteCollection, fields, { draft }));
+      }
+    }
+
+    const missingOnSite = configuredCollections
+      .filter(collection => !siteIds.has(collection.webflowId))
+      .map(collection => ({
+        id: collection.id,
+        name: collection.name,
+        webflowId: collection.webflowId,
+        envVar: collection.envVar || null
+      }));
+
+    const summary = {
+      siteCollections: siteCollections.length,
+      configured: configured.length,
+      unconfigured: unconfigured.length,
+      missingOnSite: missingOnSite.length,
+      withDrift: configured.filter(collection => collection.drift).length,
+      withNewFields: configured.filter(collection => collection.newFields.length > 0).length
+    };
+
+    this.logger.info('Collection discovery completed', summary);
+
+    return { summary, configured, unconfigured, missingOnSite };
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - { slug, displayName, type } of every field in the collection schema
+   */
+  async getSchemaFields(webflowCollectionId) {
+    const collection = await webflowClient.getCollection(webflowCollectionId);
+
+    return (collection.fields || []).map(field => ({
+      slug: field.slug,
+      displayName: field.displayName,
+      type: field.type
+    }));
+  }
+
+  /**
+   * Compare a configured collection's field mapping with its Webflow schema
+   * Fields from the common mapping are fallbacks most collections lack, so only
+   * fields the collection's preset or own mapping name count as drift.
+   */
+  checkDrift(collectionConfig, siteCollection, fields) {
+    const mapping = getFieldMapping(collectionConfig.id);
+    const fieldSlugs = new Set(fields.map(field => field.slug));
+    const mappedSlugs = new Set(Object.values(mapping));
+
+    const missingFields = Object.entries(mapping)
+      .filter(([, field]) => !fieldSlugs.has(field))
+      .map(([key, field]) => ({ key, field, source: this.getMappingSource(collectionConfig, key) }));
+
+    const newFields = fields.filter(field =>
+      INDEXABLE_FIELD_TYPES.includes(field.type) &&
+      !BUILT_IN_FIELDS.includes(field.slug) &&
+      !mappedSlugs.has(field.slug)
+    );
+
+    return {
+      id: collectionConfig.id,
+      name: collectionConfig.name,
+      webflowId: siteCollection.id,
+      webflowSlug: siteCollection.slug,
+      drift: missingFields.some(field => field.source !== 'common'),
+      missingFields,
+      newFields
+    };
+  }
+
+  getMappingSource(collectionConfig, key) {
+    if (collectionConfig.fieldMapping?.[key]) return 'collection';
+    if (collectionConfig.fieldMappingPreset && FIELD_MAPPINGS.presets[collectionConfig.fieldMappingPreset]?.[key]) return 'preset';
+    return 'common';
+  }
+
+  describeUnconfigured(siteCollection, fields, { draft }) {
+    // A registry entry with the same slug only lacks its Webflow ID in this environment
+    const registryEntry = getAllCollections().find(collection =>
+      collection.id === siteCollection.slug || collection.endpoint === siteCollection.slug
+    );
+
+    return {
+      webflowId: siteCollection.id,
+      name: siteCollection.displayName,
+      slug: siteCollection.slug,
+      registryId: registryEntry?.id || null,
+      envVar: registryEntry?.envVar || null,
+      indexableFields: fields
+        .filter(field => INDEXABLE_FIELD_TYPES.includes(field.type) && !BUILT_IN_FIELDS.includes(field.slug))
+        .map(field => field.slug),
+      ...(draft && !registryEntry && { draftEntry: this.buildDraftEntry(siteCollection, fields) })
+    };
+  }
+
+  /**
+   * Draft a registry entry from a collection schema, to review before adding it to config/collections.json
+   */
+  buildDraftEntry(siteCollection, fields) {
+    const maxPriority = Math.max(0, ...getAllCollections().map(collection => collection.priority));
+
+    return {
+      id: siteCollection.slug,
+      name: siteCollection.displayName,
+      region: 'worldwide',
+      envVar: `CMS_${siteCollection.slug.toUpperCase().replace(/-/g, '_')}`,
+      priority: maxPriority + 1,
+      contentType: this.guessContentType(siteCollection.slug),
+      fieldMapping: this.buildDraftMapping(fields)
+    };
+  }
+
+  /**
+   * Guess a field mapping from field types and slugs
+   * @returns {Object} - Mapping keys that differ from the common mapping
+   */
+  buildDraftMapping(fields) {
+    const mapping = {};
+    const used = new Set(BUILT_IN_FIELDS);
+
+    for (const rule of DRAFT_MAPPING_RULES) {
+      if (mapping[rule.key]) continue;
+
+      const field = fields.find(candidate =>
+        rule.types.includes(candidate.type) && rule.pattern.test(candidate.slug) && !used.has(candidate.slug)
+      );
+
+      if (field) {
+        mapping[rule.key] = field.slug;
+        used.add(field.slug);
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(mapping).filter(([key, field]) => FIELD_MAPPINGS.common[key] !== field)
+    );
+  }
+
+  guessContentType(slug) {
+    const match = CONTENT_TYPE_KEYWORDS.find(([keyword]) => slug.includes(keyword));
+    return match ? match[1] : CONTENT_TYPES.CMS_ITEM;
+  }
+}
+
+export default new CollectionDiscovery();
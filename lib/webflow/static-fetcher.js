@@ -2,8 +2,8 @@ import logger from '../core/logger.js';
 import config from '../core/config.js';
 import helpers from '../core/helpers.js';
 import webflowClient from './client.js';
-import { getRegionById } from '../constants/regions.js';
-import { getLocaleForFolder } from '../constants/locale-folders.js';
+import { getRegionById, getCountryForUrl } from '../constants/regions.js';
+import { getLocaleForFolder, getAllSecondaryLocaleTags, shouldIncludePageForLocale } from '../constants/locale-folders.js';
 
 class StaticPageFetcher {
   constructor() {
@@ -90,6 +90,66 @@ class StaticPageFetcher {
     }
   }
 
+  /**
+   * Fetch and process a single page, e.g. after a page webhook
+   * With fetchAllLocales the page is also fetched in each secondary locale whose
+   * folders it belongs to, as getAllStaticPagesSelectiveLocales does for a full sync.
+   * @param {string} pageId - Webflow page ID
+   * @param {Object} options - { fetchAllLocales }
+   * @returns {Promise<Object[]>} - Processed pages; empty when the page is gone, draft or excluded
+   */
+  async fetchSinglePage(pageId, options = {}) {
+    const { fetchAllLocales = config.getSyncConfig().fetchAllLocales } = options;
+
+    // The page just changed, so cached metadata and content are stale
+    webflowClient.invalidatePageCache(pageId);
+
+    let pages;
+    try {
+      pages = fetchAllLocales
+        ? await this.fetchPageInLocales(pageId)
+        : [await webflowClient.getPageMetadata(pageId)];
+    } catch (error) {
+      if (error.response?.status === 404) {
+        this.logger.info(`Page ${pageId} no longer exists in Webflow`);
+        return [];
+      }
+      throw error;
+    }
+
+    const processedPages = [];
+    for (const page of pages) {
+      const processedPage = await this.processPage(page);
+      if (processedPage) {
+        processedPages.push(processedPage);
+      }
+    }
+
+    return processedPages;
+  }
+
+  async fetchPageInLocales(pageId) {
+    const locales = await webflowClient.getSiteLocales();
+    const primaryLocale = locales.find(locale => locale.isPrimary);
+    if (!primaryLocale) {
+      throw new Error('No primary locale found');
+    }
+
+    const page = await webflowClient.getPageMetadata(pageId);
+    const pages = [{ ...page, localeInfo: primaryLocale }];
+
+    for (const localeTag of getAllSecondaryLocaleTags()) {
+      const locale = locales.find(candidate => candidate.tag === localeTag && !candidate.isPrimary);
+
+      if (locale && shouldIncludePageForLocale(page, localeTag)) {
+        const localizedPage = await webflowClient.getPageMetadata(pageId, { localeId: locale.id });
+        pages.push({ ...localizedPage, localeInfo: locale });
+      }
+    }
+
+    return pages;
+  }
+
   chunkArray(array, chunkSize) {
     const chunks = [];
     for (let i = 0; i < array.length; i += chunkSize) {
@@ -137,11 +197,14 @@ class StaticPageFetcher {
     this.logger.info(`Processing page: ${page.slug}`);
 
     try {
-      // Fetch only metadata (not content/DOM) to get SEO information
-      let metadata = null;
-      if (page.slug && !this.isExcludedPage(page.slug)) {
-        metadata = await this.fetchPageMetadata(page.id, page.localeInfo);
-      }
+      // Fetch metadata for SEO information, and the DOM body text when content indexing is enabled
+      const shouldFetchDetails = page.slug && !this.isExcludedPage(page.slug);
+      const { indexPageContent } = config.getSyncConfig();
+
+      const [metadata, content] = await Promise.all([
+        shouldFetchDetails ? this.fetchPageMetadata(page.id, page.localeInfo) : null,
+        shouldFetchDetails && indexPageContent ? this.fetchPageContent(page.id, page.localeInfo) : ''
+      ]);
 
       // Extract page name (title) with priority: SEO title > page title > slug
       const extractPageName = () => {
@@ -173,20 +236,25 @@ class StaticPageFetcher {
                                     metadata?.seo?.ogDescription ||
                                     metadata?.openGraph?.description || '';
 
+      const url = this.buildPageUrl(page);
+
       const pageData = {
         id: page.id,
         type: 'static-page',
         // Page name (display title)
         title: extractPageName(),
         slug: page.slug,
-        url: this.buildPageUrl(page),
+        url,
         publishedDate: page.createdOn,
         lastModified: page.lastModified,
         region: this.extractRegionFromPage(page),
+        country: this.extractCountryFromPage(page, url),
         // Store SEO meta description as summary for searchability
         summary: seoMetaDescription,
         // Build search text from SEO fields including Open Graph description
         searchText: this.buildSearchText(seoMetaTitle, seoMetaDescription, openGraphDescription),
+        // Visible body text from the Webflow DOM (only with STATIC_PAGES_INDEX_CONTENT=true)
+        ...(content && { content }),
         // Include locale information if available
         locale: page.localeInfo ? {
           id: page.localeInfo.id,
@@ -211,7 +279,9 @@ class StaticPageFetcher {
         seoMetaTitle: seoMetaTitle ? 'present' : 'missing',
         seoMetaDescription: seoMetaDescription ? 'present' : 'missing',
         openGraphDescription: openGraphDescription ? 'present' : 'missing',
-        region: pageData.region
+        contentLength: content.length,
+        region: pageData.region,
+        country: pageData.country
       });
 
       return pageData;
@@ -249,6 +319,34 @@ class StaticPageFetcher {
     }
   }
 
+  async fetchPageContent(pageId, localeInfo) {
+    try {
+      this.logger.debug(`Fetching DOM content for page ID: ${pageId}`);
+
+      const options = {};
+      if (localeInfo && !localeInfo.isPrimary) {
+        options.localeId = localeInfo.id;
+      }
+
+      const nodes = await webflowClient.getAllPageContentNodes(pageId, options);
+      const content = this.extractContentFromWebflowDOM(nodes);
+
+      this.logger.debug(`Extracted content for page ${pageId}`, {
+        nodes: nodes.length,
+        contentLength: content.length
+      });
+
+      return content;
+    } catch (error) {
+      // A page without body text is still searchable by its SEO fields
+      this.logger.warn(`Failed to fetch content for page ${pageId}`, {
+        error: error.message,
+        pageId
+      });
+      return '';
+    }
+  }
+
   extractContentFromWebflowDOM(nodes) {
     if (!nodes || !Array.isArray(nodes)) {
       return '';
@@ -627,14 +725,8 @@ class StaticPageFetcher {
       const folderConfig = getLocaleForFolder(parentFolderId);
 
       if (folderConfig && folderConfig.parentRegion) {
-        // Map parentRegion to our region format
-        const regionMapping = {
-          'emea': 'europe-middle-east-africa',
-          'asia-pacific': 'asia-pacific',
-          'americas': 'americas',
-          'japan': 'japan'
-        };
-        const region = regionMapping[folderConfig.parentRegion] || folderConfig.parentRegion;
+        // Map parentRegion aliases (e.g. 'emea') to the region ID
+        const region = getRegionById(folderConfig.parentRegion).id;
         this.logger.debug(`Assigned region from country folder: ${region}`, {
           pageSlug: page.slug,
           countryFolder: folderConfig.countryName,
@@ -733,6 +825,19 @@ class StaticPageFetcher {
     return 'worldwide';
   }
 
+  /**
+   * Country of a page: its country folder first, then a country segment in its URL
+   * @returns {string|null} - Country ID from lib/constants/regions.js
+   */
+  extractCountryFromPage(page, url) {
+    const folderConfig = getLocaleForFolder(page.parentId || page.parentFolder);
+    if (folderConfig?.country) {
+      return folderConfig.country;
+    }
+
+    return getCountryForUrl(page.publishedPath || url);
+  }
+
   buildPageUrl(page) {
     // Use actual Mizuho domain from environment or fallback to production domain
     const baseUrl = process.env.SITE_BASE_URL || 'https://www.mizuhogroup.com';
@@ -7,60 +7,34 @@ class TaxonomyResolver {
     this.taxonomyCache = new Map();
   }
 
+  /**
+   * Add '<field>-resolved' names for the reference fields listed in the
+   * collection's `taxonomies` (config/collections.json)
+   */
   async resolveTaxonomyReferences(item, collectionConfig) {
-    if (collectionConfig.id !== 'beyond-the-obvious') {
+    const taxonomies = collectionConfig.taxonomies || [];
+    if (taxonomies.length === 0) {
       return item;
     }
 
-    this.logger.debug(`Resolving taxonomy references for Beyond The Obvious item: ${item.id}`);
+    this.logger.debug(`Resolving taxonomy references for ${collectionConfig.id} item: ${item.id}`);
 
     try {
       const fieldData = item.fieldData || {};
       const resolvedItem = { ...item, fieldData: { ...fieldData } };
 
-      // Resolve single reference fields based on actual Webflow field names
-      if (fieldData['other-insights-category']) {
-        resolvedItem.fieldData['other-insights-category-resolved'] = await this.resolveSingleReference(
-          fieldData['other-insights-category'],
-          'WEBFLOW_INSIGHTS_CATEGORIES_CMS_ID'
-        );
-      }
-
-      // Handle area-of-interest (singular) field from actual Webflow data
-      if (fieldData['area-of-interest']) {
-        // Check if it's an array (multi-reference) or single value
-        if (Array.isArray(fieldData['area-of-interest'])) {
-          resolvedItem.fieldData['area-of-interest-resolved'] = await this.resolveMultipleReferences(
-            fieldData['area-of-interest'],
-            'WEBFLOW_AREAS_OF_INTEREST_CMS_ID'
-          );
-        } else {
-          // Single reference
-          resolvedItem.fieldData['area-of-interest-resolved'] = await this.resolveSingleReference(
-            fieldData['area-of-interest'],
-            'WEBFLOW_AREAS_OF_INTEREST_CMS_ID'
-          );
-        }
-      }
+      for (const taxonomy of taxonomies) {
+        const value = fieldData[taxonomy.field];
+        if (!value) continue;
 
-      // Only try to resolve these fields if they exist in the data
-      if (fieldData['insights-type']) {
-        resolvedItem.fieldData['insights-type-resolved'] = await this.resolveSingleReference(
-          fieldData['insights-type'],
-          'WEBFLOW_INSIGHTS_TYPES_CMS_ID'
-        );
-      }
+        const resolvedField = taxonomy.resolvedField || `${taxonomy.field}-resolved`;
 
-      if (fieldData['industry-types'] && Array.isArray(fieldData['industry-types'])) {
-        resolvedItem.fieldData['industry-types-resolved'] = await this.resolveMultipleReferences(
-          fieldData['industry-types'],
-          'WEBFLOW_INDUSTRY_TYPES_CMS_ID'
-        );
+        // Multi-reference fields hold an array of IDs, single references a string
+        resolvedItem.fieldData[resolvedField] = Array.isArray(value)
+          ? await this.resolveMultipleReferences(value, taxonomy)
+          : await this.resolveSingleReference(value, taxonomy);
       }
 
-      // Note: medium-type appears to be a plain text field based on the example, not a reference
-      // If it becomes a reference field in the future, we can add it here
-
       this.logger.debug(`Successfully resolved taxonomy references for item: ${item.id}`);
       return resolvedItem;
 
@@ -73,13 +47,17 @@ class TaxonomyResolver {
     }
   }
 
-  async resolveSingleReference(referenceId, envVarName) {
+  getTaxonomyCollectionId(taxonomy) {
+    return (taxonomy.collectionEnvVar && process.env[taxonomy.collectionEnvVar]) || taxonomy.collectionId || null;
+  }
+
+  async resolveSingleReference(referenceId, taxonomy) {
     if (!referenceId) return null;
 
     try {
-      const collectionId = process.env[envVarName];
+      const collectionId = this.getTaxonomyCollectionId(taxonomy);
       if (!collectionId) {
-        this.logger.warn(`Taxonomy collection ID not found for ${envVarName}`);
+        this.logger.warn(`Taxonomy collection ID not found for ${taxonomy.collectionEnvVar || taxonomy.field}`);
         return null;
       }
 
@@ -90,22 +68,22 @@ class TaxonomyResolver {
 
     } catch (error) {
       this.logger.error(`Failed to resolve single reference ${referenceId}`, {
-        envVar: envVarName,
+        field: taxonomy.field,
         error: error.message
       });
       return null;
     }
   }
 
-  async resolveMultipleReferences(referenceIds, envVarName) {
+  async resolveMultipleReferences(referenceIds, taxonomy) {
     if (!referenceIds || !Array.isArray(referenceIds) || referenceIds.length === 0) {
       return [];
     }
 
     try {
-      const collectionId = process.env[envVarName];
+      const collectionId = this.getTaxonomyCollectionId(taxonomy);
       if (!collectionId) {
-        this.logger.warn(`Taxonomy collection ID not found for ${envVarName}`);
+        this.logger.warn(`Taxonomy collection ID not found for ${taxonomy.collectionEnvVar || taxonomy.field}`);
         return [];
       }
 
@@ -126,7 +104,7 @@ class TaxonomyResolver {
 
     } catch (error) {
       this.logger.error(`Failed to resolve multiple references`, {
-        envVar: envVarName,
+        field: taxonomy.field,
         referenceCount: referenceIds.length,
         error: error.message
       });
@@ -0,0 +1,517 @@
+import crypto from 'crypto';
+import algoliaClient from '../algolia/client.js';
+import syncLockManager from '../algolia/sync-lock.js';
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+import webhookProcessor from './processor.js';
+
+// Only one worker drains the queue at a time, so events keep their delivery order
+const QUEUE_LOCK_KEY = 'webhook-queue';
+
+// Stop picking up events after this long, leaving room in the 300s function limit
+const WORKER_BUDGET_MS = 150 * 1000;
+
+// Retry delays double from queueRetryBaseSeconds up to this cap
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+/**
+ * Webhook Event Queue
+ *
+ * Webhook events are stored in a dedicated `<index>_webhook_events` Algolia
+ * index before Webflow gets its response, and processed afterwards by
+ * processQueue(), which the per-minute cron calls. A failed event is retried
+ * with exponential backoff; once it runs out of attempts, or fails with an
+ * error retrying cannot fix, it stays in the index with status 'dead' - the
+ * dead-letter store - until it is replayed.
+ *
+ * Webflow may deliver a CMS item event twice, or after a newer event for the
+ * same item. Before running an item event the worker looks up the item's
+ * already processed events: a redelivery (same payload hash) or an event older
+ * than one already applied (last writer wins) is skipped instead of applied.
+ * Events without a payload timestamp are always run.
+ *
+ * Event statuses: pending -> processing -> succeeded | skipped | pending (retry) | dead
+ */
+class WebhookEventQueue {
+  constructor() {
+    this.logger = logger.setContext('WebhookEventQueue');
+    this.settingsApplied = false;
+    this.lastPrunedAt = 0;
+    this.pruneInterval = 60 * 60 * 1000; // 1 hour
+  }
+
+  async getIndex() {
+    await algoliaClient.init();
+    const index = algoliaClient.getClient().initIndex(`${algoliaClient.indexName}_webhook_events`);
+
+    if (!this.settingsApplied) {
+      await index.setSettings({
+        searchableAttributes: ['eventId', 'payload.itemId', 'payload.pageId', 'lastError'],
+        attributesForFaceting: [
+          'filterOnly(status)',
+          'filterOnly(triggerType)',
+          'filterOnly(itemId)',
+          'filterOnly(payloadHash)'
+        ],
+        customRanking: ['asc(receivedAtTimestamp)']
+      });
+      this.settingsApplied = true;
+    }
+
+    return index;
+  }
+
+  /**
+   * Persist a validated webhook event
+   * Resolves once the event is stored, so acknowledging the webhook afterwards cannot lose it.
+   * @param {Object} webhookData - Result of validateWebhookPayload()
+   * @returns {Promise<Object>} - The stored event
+   */
+  async enqueue(webhookData) {
+    const receivedAt = new Date();
+    const eventId = `evt_${receivedAt.getTime()}_${crypto.randomBytes(4).toString('hex')}`;
+
+    // fieldData can exceed the Algolia record size limit, and the processor re-fetches the item anyway
+    const { valid, fieldData, ...payload } = webhookData;
+
+    const event = {
+      objectID: eventId,
+      eventId,
+      triggerType: webhookData.triggerType,
+      itemId: webhookData.itemId || null,
+      payloadHash: webhookData.payloadHash,
+      eventTimeMs: this.getEventTime(webhookData)?.getTime() ?? null,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      replays: 0,
+      receivedAt: receivedAt.toISOString(),
+      receivedAtTimestamp: this.toTimestamp(receivedAt),
+      nextAttemptAtTimestamp: this.toTimestamp(receivedAt),
+      lastError: null,
+      errors: []
+    };
+
+    const index = await this.getIndex();
+    await index.saveObject(event).wait();
+
+    if (event.triggerType === 'site_publish' && config.getWebhooksConfig().sitePublishDebounceSeconds > 0) {
+      await webhookProcessor.recordSitePublish(payload);
+    }
+
+    this.logger.info(`Webhook event queued: ${eventId}`, {
+      triggerType: event.triggerType,
+      itemId: payload.itemId,
+      pageId: payload.pageId
+    });
+
+    return event;
+  }
+
+  /**
+   * When the change an event reports happened
+   * The most recent of the item timestamps in the payload. Events that carry none
+   * (e.g. collection_item_deleted) get null: this server's clock cannot be compared
+   * with Webflow's, so they are always run, and the processor's live re-check
+   * settles their order against other events.
+   * @returns {Date|null}
+   */
+  getEventTime(webhookData) {
+    const times = [webhookData.lastUpdated, webhookData.lastPublished, webhookData.createdOn]
+      .map(value => Date.parse(value))
+      .filter(time => !Number.isNaN(time));
+
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  /**
+   * Process due events, oldest first
+   * @param {Object} options - { eventIds: process only these pending events, limit, budgetMs }
+   * @returns {Promise<Object>} - { success, processed, succeeded, skipped, retrying, dead, remaining, events }
+   *   or { success: false, inProgress: true } when another worker holds the queue
+   */
+  async processQueue(options = {}) {
+    const { eventIds = null, limit = 50, budgetMs = WORKER_BUDGET_MS } = options;
+    const summary = { processed: 0, succeeded: 0, skipped: 0, retrying: 0, dead: 0, remaining: 0, events: [] };
+
+    // The lease costs several lock index writes, so check for work first - most runs have none
+    if ((await this.findWork(eventIds, limit)).length === 0) {
+      return { success: true, ...summary };
+    }
+
+    const { acquired } = await syncLockManager.acquire(QUEUE_LOCK_KEY);
+    if (!acquired) {
+      this.logger.info('Webhook queue is already being processed - skipping');
+      return {
+        success: false,
+        message: 'Webhook queue is already being processed - skipped',
+        inProgress: true
+      };
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      // Read again under the lease - the previous holder may have processed some meanwhile
+      const events = await this.findWork(eventIds, limit);
+
+      for (const event of events) {
+        if (Date.now() - startedAt > budgetMs) {
+          summary.remaining = events.length - summary.processed;
+          this.logger.warn(`Worker time budget used up - ${summary.remaining} event(s) left for the next run`);
+          break;
+        }
+
+        const outcome = await this.processEvent(event);
+        summary.processed++;
+        summary[outcome.status === 'pending' ? 'retrying' : outcome.status]++;
+        summary.events.push(outcome);
+      }
+
+      await this.pruneIfDue(await this.getIndex());
+
+      if (summary.processed > 0) {
+        this.logger.success(`Processed ${summary.processed} webhook event(s)`, {
+          succeeded: summary.succeeded,
+          skipped: summary.skipped,
+          retrying: summary.retrying,
+          dead: summary.dead
+        });
+      }
+
+      return { success: true, ...summary };
+    } finally {
+      await syncLockManager.release(QUEUE_LOCK_KEY);
+    }
+  }
+
+  /**
+   * Run one attempt of an event and store the outcome
+   * @returns {Promise<Object>} - { eventId, status, attempts, reason?, error?, nextAttemptAt? }
+   */
+  async processEvent(event) {
+    const { queueMaxAttempts } = config.getWebhooksConfig();
+    const index = await this.getIndex();
+
+    // Only an attempt cut off by the function timeout leaves attempts at the limit without a dead status
+    if (event.attempts >= queueMaxAttempts) {
+      return this.markCutOffEventDead(index, event);
+    }
+
+    const attempts = event.attempts + 1;
+    const attemptAt = new Date();
+    const delaySeconds = this.getRetryDelaySeconds(attempts);
+
+    // Counted before running, so an attempt cut off by the function timeout still counts.
+    // The retry time also applies if it is cut off: findDueEvents() waits for it before picking the event up again
+    await index.partialUpdateObject({
+      objectID: event.objectID,
+      status: 'processing',
+      attempts,
+      lastAttemptAt: attemptAt.toISOString(),
+      nextAttemptAtTimestamp: this.toTimestamp(new Date(attemptAt.getTime() + delaySeconds * 1000))
+    }).wait();
+
+    try {
+      const skipReason = await this.findSkipReason(event);
+      if (skipReason) {
+        const completedAt = new Date();
+        await index.partialUpdateObject({
+          objectID: event.objectID,
+          status: 'skipped',
+          completedAt: completedAt.toISOString(),
+          completedAtTimestamp: this.toTimestamp(completedAt),
+          result: { processed: false, action: null, reason: skipReason }
+        }).wait();
+
+        this.logger.info(`Webhook event skipped: ${event.eventId}`, {
+          triggerType: event.triggerType,
+          itemId: event.itemId,
+          reason: skipReason
+        });
+        return { eventId: event.eventId, status: 'skipped', attempts, reason: skipReason };
+      }
+
+      const result = await webhookProcessor.processWebhookEvent(event.triggerType, event.payload);
+      const completedAt = new Date();
+
+      await index.partialUpdateObject({
+        objectID: event.objectID,
+        status: 'succeeded',
+        completedAt: completedAt.toISOString(),
+        completedAtTimestamp: this.toTimestamp(completedAt),
+        result: {
+          processed: result.processed,
+          action: result.action || null,
+          reason: result.reason || null
+        }
+      }).wait();
+
+      return { eventId: event.eventId, status: 'succeeded', attempts };
+    } catch (error) {
+      const retryable = this.isRetryable(error);
+      const status = retryable && attempts < queueMaxAttempts ? 'pending' : 'dead';
+      const nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+
+      await index.partialUpdateObject({
+        objectID: event.objectID,
+        status,
+        nextAttemptAtTimestamp: status === 'pending' ? this.toTimestamp(nextAttemptAt) : null,
+        lastError: error.message,
+        errors: [
+          ...(event.errors || []),
+          { attempt: attempts, at: attemptAt.toISOString(), message: error.message, retryable }
+        ].slice(-10)
+      }).wait();
+
+      if (status === 'dead') {
+        this.logger.error(`Webhook event moved to dead-letter store: ${event.eventId}`, {
+          triggerType: event.triggerType,
+          attempts,
+          retryable,
+          error: error.message
+        });
+      } else {
+        this.logger.warn(`Webhook event failed, retrying in ${delaySeconds}s: ${event.eventId}`, {
+          triggerType: event.triggerType,
+          attempts,
+          error: error.message
+        });
+      }
+
+      return {
+        eventId: event.eventId,
+        status,
+        attempts,
+        error: error.message,
+        ...(status === 'pending' && { nextAttemptAt: nextAttemptAt.toISOString() })
+      };
+    }
+  }
+
+  /**
+   * Dead-letter an event whose last attempt never finished
+   * Its attempts were counted but the function timed out or crashed before an outcome
+   * was stored, so running it again would most likely be cut off the same way.
+   */
+  async markCutOffEventDead(index, event) {
+    const now = new Date();
+    const message = `Attempt cut off before completing (function timeout or crash) - ${event.attempts} attempt(s) used`;
+
+    await index.partialUpdateObject({
+      objectID: event.objectID,
+      status: 'dead',
+      nextAttemptAtTimestamp: null,
+      lastError: message,
+      errors: [
+        ...(event.errors || []),
+        { attempt: event.attempts, at: now.toISOString(), message, retryable: false }
+      ].slice(-10)
+    }).wait();
+
+    this.logger.error(`Webhook event moved to dead-letter store: ${event.eventId}`, {
+      triggerType: event.triggerType,
+      attempts: event.attempts,
+      error: message
+    });
+
+    return { eventId: event.eventId, status: 'dead', attempts: event.attempts, error: message };
+  }
+
+  getRetryDelaySeconds(attempts) {
+    const { queueRetryBaseSeconds } = config.getWebhooksConfig();
+    return Math.min(queueRetryBaseSeconds * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+  }
+
+  /**
+   * Check an item event against the item's processed events
+   * @returns {Promise<string|null>} - Why the event should be skipped, or null to run it
+   */
+  async findSkipReason(event) {
+    if (!event.itemId || event.eventTimeMs == null) {
+      return null;
+    }
+
+    // Every processed event ran before this one, and its outcome write was waited for
+    const index = await this.getIndex();
+    const { hits } = await index.search('', {
+      filters: `itemId:"${event.itemId}" AND (status:succeeded OR status:skipped) AND eventTimeMs >= ${event.eventTimeMs}`,
+      attributesToRetrieve: ['eventId', 'payloadHash', 'eventTimeMs'],
+      attributesToHighlight: [],
+      hitsPerPage: 100,
+      analytics: false
+    });
+    const processed = hits.filter(hit => hit.eventId !== event.eventId);
+
+    // A replay is a deliberate re-run, so only ordering applies to it
+    const duplicate = !event.replays && processed.find(hit => hit.payloadHash === event.payloadHash);
+    if (duplicate) {
+      return `Duplicate delivery of ${duplicate.eventId}`;
+    }
+
+    const newer = processed.find(hit => hit.eventTimeMs > event.eventTimeMs);
+    if (newer) {
+      return `Superseded by newer event ${newer.eventId}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Rate limits, server errors and network failures are worth retrying; other
+   * client errors (e.g. 404 for an item deleted since) fail the same way every time
+   */
+  isRetryable(error) {
+    const status = error.response?.status ?? error.status;
+    if (!status) {
+      return true;
+    }
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Events a worker run should process: the given pending events, or the due ones
+   */
+  async findWork(eventIds, limit) {
+    return eventIds
+      ? (await this.getEvents(eventIds)).filter(event => event?.status === 'pending')
+      : this.findDueEvents(limit);
+  }
+
+  /**
+   * Pending events whose retry time has come, plus events a crashed worker left
+   * in 'processing' - only lock holders process, so those are orphaned. Orphaned
+   * events wait for the same backoff as failed ones.
+   */
+  async findDueEvents(limit = 50) {
+    const index = await this.getIndex();
+    const searchOptions = { hitsPerPage: limit, attributesToHighlight: [], analytics: false };
+    const now = this.toTimestamp(new Date());
+
+    const [orphaned, due] = await Promise.all([
+      index.search('', {
+        ...searchOptions,
+        filters: `status:processing AND nextAttemptAtTimestamp <= ${now}`
+      }),
+      index.search('', {
+        ...searchOptions,
+        filters: `status:pending AND nextAttemptAtTimestamp <= ${now}`
+      })
+    ]);
+
+    return [...orphaned.hits, ...due.hits]
+      .map(({ _highlightResult, ...event }) => event)
+      .sort((a, b) => a.receivedAtTimestamp - b.receivedAtTimestamp)
+      .slice(0, limit);
+  }
+
+  /**
+   * @param {string[]} eventIds
+   * @returns {Promise<Array<Object|null>>} - Events in the same order, null where not found
+   */
+  async getEvents(eventIds) {
+    const index = await this.getIndex();
+    const { results } = await index.getObjects(eventIds);
+    return results;
+  }
+
+  /**
+   * List stored events, oldest first
+   * @param {Object} filters - { status, triggerType, since, until, limit }
+   * @returns {Promise<Object[]>}
+   */
+  async listEvents(filters = {}) {
+    const { status, triggerType, since, until, limit = 50 } = filters;
+
+    const facetFilters = [];
+    if (status) facetFilters.push(`status:${status}`);
+    if (triggerType) facetFilters.push(`triggerType:${triggerType}`);
+
+    const numericFilters = [];
+    if (since) numericFilters.push(`receivedAtTimestamp >= ${this.toTimestamp(new Date(since))}`);
+    if (until) numericFilters.push(`receivedAtTimestamp <= ${this.toTimestamp(new Date(until))}`);
+
+    const index = await this.getIndex();
+    const response = await index.search('', {
+      facetFilters,
+      numericFilters,
+      hitsPerPage: Math.min(limit, 1000),
+      attributesToHighlight: [],
+      analytics: false
+    });
+
+    return response.hits.map(({ _highlightResult, ...event }) => event);
+  }
+
+  /**
+   * Reset events so they are processed again with a fresh set of attempts
+   * Selects events by ID, or by receive time and status (dead by default).
+   * @param {Object} options - { eventIds, since, until, status }
+   * @returns {Promise<Object>} - { queued: eventId[], skipped: eventId[], notFound: eventId[] }
+   */
+  async replay(options = {}) {
+    const { eventIds = null, since, until, status = 'dead' } = options;
+
+    let events;
+    const notFound = [];
+
+    if (eventIds?.length) {
+      const results = await this.getEvents(eventIds);
+      events = results.filter(Boolean);
+      notFound.push(...eventIds.filter((eventId, i) => !results[i]));
+    } else {
+      events = await this.listEvents({ status, since, until, limit: 1000 });
+    }
+
+    // An event being processed right now would run twice
+    const skipped = events.filter(event => event.status === 'processing').map(event => event.eventId);
+    const replayable = events.filter(event => event.status !== 'processing');
+    const now = new Date();
+
+    if (replayable.length > 0) {
+      const index = await this.getIndex();
+      await index.partialUpdateObjects(replayable.map(event => ({
+        objectID: event.objectID,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAtTimestamp: this.toTimestamp(now),
+        replays: (event.replays || 0) + 1,
+        replayedAt: now.toISOString()
+      }))).wait();
+    }
+
+    this.logger.info(`Replaying ${replayable.length} webhook event(s)`, {
+      skipped: skipped.length,
+      notFound: notFound.length
+    });
+
+    return {
+      queued: replayable.map(event => event.eventId),
+      skipped,
+      notFound
+    };
+  }
+
+  /**
+   * Delete succeeded and skipped events older than the retention period, at most once an hour per instance
+   * Dead events are kept until they are replayed.
+   */
+  async pruneIfDue(index) {
+    if (Date.now() - this.lastPrunedAt < this.pruneInterval) {
+      return;
+    }
+
+    const { queueRetentionDays } = config.getWebhooksConfig();
+    const cutoff = this.toTimestamp(new Date()) - queueRetentionDays * 24 * 60 * 60;
+
+    await index.deleteBy({ filters: `(status:succeeded OR status:skipped) AND completedAtTimestamp < ${cutoff}` });
+    this.lastPrunedAt = Date.now();
+    this.logger.debug(`Pruned webhook events older than ${queueRetentionDays} days`);
+  }
+
+  toTimestamp(date) {
+    return Math.floor(date.getTime() / 1000);
+  }
+}
+
+export default new WebhookEventQueue();
@@ -1,17 +1,60 @@
 import logger from '../core/logger.js';
+import config from '../core/config.js';
+import helpers from '../core/helpers.js';
+import webflowClient from '../webflow/client.js';
 import cmsFetcher from '../webflow/cms-fetcher.js';
+import staticPagesFetcher from '../webflow/static-fetcher.js';
 import cmsTransformer from '../transformers/cms-transformer.js';
+import pageTransformer from '../transformers/page-transformer.js';
 import algoliaClient from '../algolia/client.js';
-import { CMS_COLLECTIONS, getConfiguredCollections } from '../constants/collections.js';
+import algoliaIndexer from '../algolia/indexer.js';
+import syncHistory from '../algolia/sync-history.js';
+import syncStateManager from '../algolia/sync-state.js';
+import syncLockManager from '../algolia/sync-lock.js';
+import { getConfiguredCollections } from '../constants/collections.js';
+import { STATIC_PAGE_TRIGGER_TYPES } from './registration.js';
 
 const processorLogger = logger.setContext('WebhookProcessor');
 
+// Sync state key holding the latest site_publish time, for debouncing
+const SITE_PUBLISH_SYNC_TYPE = 'static-pages-publish';
+
 class WebhookProcessor {
   constructor() {
     this.logger = processorLogger;
   }
 
   async processWebhookEvent(triggerType, webhookData) {
+    const run = syncHistory.startRun({
+      runType: 'webhook',
+      trigger: 'webhook',
+      collectionSlug: this.getCollectionConfig(webhookData.collectionId)?.id || null
+    });
+
+    try {
+      const result = await this.handleWebhookEvent(triggerType, webhookData);
+      await syncHistory.finishRun(run, {
+        success: true,
+        message: result.processed
+          ? `${triggerType}: ${result.action}${result.objectId ? ` ${result.objectId}` : ''}`
+          : `${triggerType}: ${result.reason}`,
+        indexed: result.itemsIndexed,
+        itemsDeleted: result.itemsDeleted,
+        writes: result.writes
+      });
+      return result;
+    } catch (error) {
+      await syncHistory.finishRun(run, { error });
+      throw error;
+    }
+  }
+
+  async handleWebhookEvent(triggerType, webhookData) {
+    // Site and page events have no collection
+    if (STATIC_PAGE_TRIGGER_TYPES.includes(triggerType)) {
+      return await this.handleStaticPageEvent(triggerType, webhookData);
+    }
+
     this.logger.info(`Processing webhook event: ${triggerType}`, {
       itemId: webhookData.itemId,
       collectionId: webhookData.collectionId,
@@ -22,19 +65,26 @@ class WebhookProcessor {
     // Get collection configuration
     const collectionConfig = this.getCollectionConfig(webhookData.collectionId);
 
+    // Webflow sends CMS events for every collection on the site
     if (!collectionConfig) {
-      throw new Error(`Collection ${webhookData.collectionId} not found in configuration`);
+      this.logger.info('Ignoring webhook for unconfigured collection', {
+        collectionId: webhookData.collectionId
+      });
+      return {
+        processed: false,
+        reason: 'Collection is not configured'
+      };
     }
 
-    // Only process Beyond the Obvious collection
-    if (collectionConfig.id !== 'beyond-the-obvious') {
-      this.logger.info('Ignoring webhook for non-BTO collection', {
+    // Only process collections marked webhookManaged in the registry
+    if (!collectionConfig.webhookManaged) {
+      this.logger.info('Ignoring webhook for collection not managed by webhooks', {
         collectionId: collectionConfig.id,
         collectionName: collectionConfig.name
       });
       return {
         processed: false,
-        reason: 'Not a Beyond the Obvious collection item'
+        reason: 'Collection is not webhook-managed'
       };
     }
 
@@ -46,7 +96,9 @@ class WebhookProcessor {
 
       case 'collection_item_deleted':
       case 'collection_item_unpublished':
-        return await this.handleDeleteOrUnpublish(webhookData, collectionConfig);
+        // Received without a timestamp, so a stale delete could otherwise win over a later
+        // publish - an item that is live again is re-indexed instead of removed
+        return await this.indexLiveItem(webhookData, collectionConfig);
 
       default:
         throw new Error(`Unsupported trigger type: ${triggerType}`);
@@ -73,87 +125,333 @@ class WebhookProcessor {
         };
       }
 
-      // Fetch the full item data from Webflow
-      const item = await cmsFetcher.fetchSingleItem(
-        webhookData.collectionId,
-        webhookData.itemId,
-        collectionConfig
-      );
+      return await this.indexLiveItem(webhookData, collectionConfig);
+    } catch (error) {
+      this.logger.error('Failed to handle item creation/update', {
+        itemId: webhookData.itemId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
 
-      if (!item) {
-        throw new Error(`Failed to fetch item ${webhookData.itemId}`);
-      }
+  /**
+   * Index an item as it is live in Webflow right now, or remove it if it is not live
+   * The result does not depend on the order events arrive in, so it also settles
+   * events that carry no timestamp to order them by.
+   */
+  async indexLiveItem(webhookData, collectionConfig) {
+    // Fetch the published item, once per locale of a localized collection. The staged
+    // item can hold unpublished draft edits, which must not reach search
+    const items = await cmsFetcher.fetchSingleItemInAllLocales(
+      webhookData.collectionId,
+      webhookData.itemId,
+      collectionConfig,
+      { live: true }
+    );
 
-      // Transform for Algolia
-      const transformedItems = cmsTransformer.transformForSearch([item], {
-        type: 'cms',
-        collectionSlug: collectionConfig.id,
-        region: collectionConfig.region
+    // The event may be late or out of order - only index the item if it is live right now
+    if (items.length === 0) {
+      this.logger.info('Item is not published in Webflow - removing it from the index', {
+        itemId: webhookData.itemId
       });
+      return await this.handleDeleteOrUnpublish(webhookData, collectionConfig);
+    }
+
+    // Transform for Algolia
+    const transformedItems = cmsTransformer.transformForSearch(items, {
+      type: 'cms',
+      collectionSlug: collectionConfig.id,
+      region: collectionConfig.region
+    });
+
+    if (transformedItems.length === 0) {
+      throw new Error(`Failed to transform item ${webhookData.itemId}`);
+    }
+
+    // Index to Algolia
+    const preparedObjects = await algoliaClient.prepareObjectsForIndexing(transformedItems);
+    const result = await algoliaClient.indexObjects(preparedObjects, {
+      clearIndex: false
+    });
+
+    this.logger.success('Successfully indexed item to Algolia', {
+      itemId: webhookData.itemId,
+      objectId: transformedItems[0].objectID,
+      indexed: result.indexed
+    });
 
-      if (transformedItems.length === 0) {
-        throw new Error(`Failed to transform item ${webhookData.itemId}`);
+    return {
+      processed: true,
+      action: 'indexed',
+      objectId: transformedItems[0].objectID,
+      itemsIndexed: result.indexed,
+      writes: {
+        created: result.created,
+        updated: result.updated,
+        unchanged: result.unchanged
       }
+    };
+  }
+
+  async handleDeleteOrUnpublish(webhookData, collectionConfig) {
+    this.logger.step('Handling item deletion/unpublish', {
+      itemId: webhookData.itemId,
+      collection: collectionConfig.name
+    });
 
-      // Index to Algolia
-      const result = await algoliaClient.indexObjects(transformedItems, {
-        clearIndex: false
+    try {
+      // Construct the Algolia object IDs - one per locale for localized collections
+      const objectIds = cmsTransformer.getObjectIDsForAllLocales(webhookData.itemId, collectionConfig);
+
+      // Delete from Algolia
+      await algoliaClient.deleteObjects(objectIds);
+
+      this.logger.success('Successfully deleted item from Algolia', {
+        itemId: webhookData.itemId,
+        objectIds
       });
 
-      this.logger.success('Successfully indexed item to Algolia', {
+      return {
+        processed: true,
+        action: 'deleted',
+        objectId: objectIds[0],
+        objectIds,
+        itemsDeleted: objectIds.length
+      };
+    } catch (error) {
+      this.logger.error('Failed to handle item deletion/unpublish', {
         itemId: webhookData.itemId,
-        objectId: transformedItems[0].objectID,
-        indexed: result.indexed
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async handleStaticPageEvent(triggerType, webhookData) {
+    this.logger.info(`Processing webhook event: ${triggerType}`, {
+      pageId: webhookData.pageId,
+      pageTitle: webhookData.pageTitle,
+      publishedOn: webhookData.publishedOn
+    });
+
+    // Webhooks registered before WEBHOOK_STATIC_PAGES was turned off still deliver
+    if (!config.getWebhooksConfig().staticPages) {
+      this.logger.info('Ignoring static page webhook - WEBHOOK_STATIC_PAGES is not enabled', { triggerType });
+      return {
+        processed: false,
+        reason: 'Static page webhooks are disabled'
+      };
+    }
+
+    switch (triggerType) {
+      case 'page_created':
+      case 'page_metadata_updated':
+        return await this.handlePageCreateOrUpdate(webhookData);
+
+      case 'page_deleted':
+        return await this.handlePageDelete(webhookData);
+
+      case 'site_publish':
+        return await this.handleSitePublish(webhookData);
+
+      default:
+        throw new Error(`Unsupported trigger type: ${triggerType}`);
+    }
+  }
+
+  async handlePageCreateOrUpdate(webhookData) {
+    this.logger.step('Handling page creation/update', {
+      pageId: webhookData.pageId,
+      pageTitle: webhookData.pageTitle
+    });
+
+    try {
+      const [pages, objectIds] = await Promise.all([
+        staticPagesFetcher.fetchSinglePage(webhookData.pageId),
+        this.getPageObjectIds(webhookData.pageId)
+      ]);
+
+      const transformedPages = pages.length > 0 ? pageTransformer.transformForAlgolia(pages) : [];
+      let indexResult = { indexed: 0 };
+
+      if (transformedPages.length > 0) {
+        const preparedObjects = await algoliaClient.prepareObjectsForIndexing(transformedPages);
+        indexResult = await algoliaClient.indexObjects(preparedObjects, {
+          clearIndex: false
+        });
+      }
+
+      // A page that became draft or excluded, or left a locale folder, keeps its old records otherwise
+      const indexedIds = new Set(transformedPages.map(page => page.objectID));
+      const staleIds = objectIds.filter(objectId => !indexedIds.has(objectId));
+      await algoliaClient.deleteObjects(staleIds);
+
+      if (transformedPages.length === 0) {
+        this.logger.info('Page is not indexable - removed from Algolia', {
+          pageId: webhookData.pageId
+        });
+        return {
+          processed: true,
+          action: 'deleted',
+          objectId: objectIds[0],
+          objectIds,
+          itemsDeleted: objectIds.length
+        };
+      }
+
+      this.logger.success('Successfully indexed page to Algolia', {
+        pageId: webhookData.pageId,
+        objectId: transformedPages[0].objectID,
+        indexed: indexResult.indexed
       });
 
       return {
         processed: true,
         action: 'indexed',
-        objectId: transformedItems[0].objectID,
-        itemsIndexed: result.indexed
+        objectId: transformedPages[0].objectID,
+        itemsIndexed: indexResult.indexed,
+        writes: {
+          created: indexResult.created,
+          updated: indexResult.updated,
+          unchanged: indexResult.unchanged
+        }
       };
     } catch (error) {
-      this.logger.error('Failed to handle item creation/update', {
-        itemId: webhookData.itemId,
+      this.logger.error('Failed to handle page creation/update', {
+        pageId: webhookData.pageId,
         error: error.message
       });
       throw error;
     }
   }
 
-  async handleDeleteOrUnpublish(webhookData, collectionConfig) {
-    this.logger.step('Handling item deletion/unpublish', {
-      itemId: webhookData.itemId,
-      collection: collectionConfig.name
+  async handlePageDelete(webhookData) {
+    this.logger.step('Handling page deletion', {
+      pageId: webhookData.pageId,
+      pageTitle: webhookData.pageTitle
     });
 
     try {
-      // Construct the Algolia object ID
-      const objectId = `cms_${webhookData.itemId}`;
+      const objectIds = await this.getPageObjectIds(webhookData.pageId);
 
-      // Delete from Algolia
-      await algoliaClient.deleteObjects([objectId]);
+      await algoliaClient.deleteObjects(objectIds);
 
-      this.logger.success('Successfully deleted item from Algolia', {
-        itemId: webhookData.itemId,
-        objectId
+      this.logger.success('Successfully deleted page from Algolia', {
+        pageId: webhookData.pageId,
+        objectIds
       });
 
       return {
         processed: true,
         action: 'deleted',
-        objectId,
-        itemsDeleted: 1
+        objectId: objectIds[0],
+        objectIds,
+        itemsDeleted: objectIds.length
       };
     } catch (error) {
-      this.logger.error('Failed to handle item deletion/unpublish', {
-        itemId: webhookData.itemId,
+      this.logger.error('Failed to handle page deletion', {
+        pageId: webhookData.pageId,
         error: error.message
       });
       throw error;
     }
   }
 
+  /**
+   * Record a site publish as the latest one, unless a later publish is already recorded
+   * The queue calls this on receipt, so publishes still waiting in the queue
+   * supersede earlier ones before those are processed.
+   */
+  async recordSitePublish(webhookData) {
+    const publishedAt = this.getPublishTime(webhookData);
+    const latestPublish = await syncStateManager.getLastSyncTime(SITE_PUBLISH_SYNC_TYPE);
+
+    if (!latestPublish || publishedAt > latestPublish) {
+      await syncStateManager.setLastSyncTime(SITE_PUBLISH_SYNC_TYPE, publishedAt);
+    }
+  }
+
+  getPublishTime(webhookData) {
+    const publishedOn = Date.parse(webhookData.publishedOn);
+    return new Date(Number.isNaN(publishedOn) ? Date.now() : publishedOn);
+  }
+
+  /**
+   * Run an incremental static pages sync once a burst of publishes settles
+   * Each publish waits until the debounce window after it has passed; only the
+   * latest one syncs, and the sync picks up the changes of all of them.
+   */
+  async handleSitePublish(webhookData) {
+    const { sitePublishDebounceSeconds } = config.getWebhooksConfig();
+    const publishedAt = this.getPublishTime(webhookData);
+
+    if (sitePublishDebounceSeconds > 0) {
+      await this.recordSitePublish(webhookData);
+
+      // Events processed from the queue usually arrive after the window has already passed
+      const debounceMs = sitePublishDebounceSeconds * 1000;
+      const waitMs = Math.min(publishedAt.getTime() + debounceMs - Date.now(), debounceMs);
+      if (waitMs > 0) {
+        await helpers.sleep(waitMs);
+      }
+
+      const latestPublish = await syncStateManager.getLastSyncTime(SITE_PUBLISH_SYNC_TYPE);
+      if (latestPublish > publishedAt) {
+        this.logger.info('Site publish superseded by a later publish', {
+          publishedAt: publishedAt.toISOString(),
+          latestPublish: latestPublish.toISOString()
+        });
+        return {
+          processed: false,
+          reason: 'Superseded by a later site publish'
+        };
+      }
+    }
+
+    // A sync that started before this publish would miss its changes, so retry
+    // from the queue once it is done rather than waiting inside the worker
+    if (await syncLockManager.isHeld('static-pages')) {
+      throw this.createSyncInProgressError();
+    }
+
+    // Pages edited since the last publish are cached from earlier requests on this instance
+    webflowClient.clearCache();
+
+    const result = await algoliaIndexer.syncStaticPagesIncremental({ trigger: 'webhook' });
+
+    if (result.inProgress) {
+      throw this.createSyncInProgressError();
+    }
+
+    return {
+      processed: true,
+      action: 'synced static pages',
+      itemsIndexed: result.indexed,
+      itemsDeleted: result.deleted,
+      writes: result.writes,
+      changedPages: result.changedPages
+    };
+  }
+
+  /**
+   * Error for a site publish that found a static pages sync running
+   * It carries no HTTP status, so the event queue treats it as retryable.
+   */
+  createSyncInProgressError() {
+    this.logger.info('Static pages sync in progress - site publish will be retried');
+    return new Error('Static pages sync already in progress');
+  }
+
+
+  /**
+   * Every objectID the page can have in Algolia, whichever locales it was synced with
+   */
+  async getPageObjectIds(pageId) {
+    const locales = await webflowClient.getSiteLocales();
+    return pageTransformer.getObjectIDsForAllLocales(pageId, locales.map(locale => locale.tag));
+  }
+
   getCollectionConfig(webflowCollectionId) {
     const configuredCollections = getConfiguredCollections();
     return configuredCollections.find(c => c.webflowId === webflowCollectionId);
@@ -0,0 +1,146 @@
+import webflowClient from '../webflow/client.js';
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+import { getWebhookManagedCollections } from '../constants/collections.js';
+
+// Webflow CMS item events handled by WebhookProcessor
+export const CMS_ITEM_TRIGGER_TYPES = [
+  'collection_item_created',
+  'collection_item_changed',
+  'collection_item_published',
+  'collection_item_deleted',
+  'collection_item_unpublished'
+];
+
+// Webflow site and page events that reindex static pages (WEBHOOK_STATIC_PAGES=true)
+export const STATIC_PAGE_TRIGGER_TYPES = [
+  'site_publish',
+  'page_created',
+  'page_metadata_updated',
+  'page_deleted'
+];
+
+export const WEBHOOK_PATH = '/api/webhooks/webflow';
+
+/**
+ * Webhook Registration
+ *
+ * Reconciles the site's Webflow webhooks with the collection registry. Webflow
+ * CMS webhooks fire for every collection on the site, so the desired set is one
+ * webhook per trigger type pointing at our endpoint while any configured
+ * collection is webhookManaged, and none otherwise. WebhookProcessor ignores
+ * events for other collections. The site and page webhooks are added while
+ * static page webhooks are enabled.
+ *
+ * Only webhooks whose URL is our endpoint are created or removed; webhooks of
+ * other integrations on the site are left alone.
+ */
+class WebhookRegistration {
+  constructor() {
+    this.logger = logger.setContext('WebhookRegistration');
+  }
+
+  getWebhookUrl(baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}${WEBHOOK_PATH}`;
+  }
+
+  getDesiredTriggerTypes() {
+    return [
+      ...(getWebhookManagedCollections().length > 0 ? CMS_ITEM_TRIGGER_TYPES : []),
+      ...(config.getWebhooksConfig().staticPages ? STATIC_PAGE_TRIGGER_TYPES : [])
+    ];
+  }
+
+  /**
+   * Work out which webhooks to create and remove
+   * @param {Object[]} existing - Webhooks from webflowClient.listWebhooks()
+   * @param {string} webhookUrl - Our endpoint
+   * @param {string[]} triggerTypes - Trigger types that should exist
+   * @returns {Object} - { create: triggerType[], remove: webhook[], keep: webhook[], other: webhook[] }
+   */
+  planReconciliation(existing, webhookUrl, triggerTypes) {
+    const ours = existing.filter(webhook => webhook.url === webhookUrl);
+    const plan = {
+      create: [],
+      remove: [],
+      keep: [],
+      other: existing.filter(webhook => webhook.url !== webhookUrl)
+    };
+
+    for (const triggerType of triggerTypes) {
+      const [first, ...duplicates] = ours.filter(webhook => webhook.triggerType === triggerType);
+
+      if (first) {
+        plan.keep.push(first);
+      } else {
+        plan.create.push(triggerType);
+      }
+      // A duplicate would deliver, and index, every event twice
+      plan.remove.push(...duplicates);
+    }
+
+    plan.remove.push(...ours.filter(webhook => !triggerTypes.includes(webhook.triggerType)));
+
+    return plan;
+  }
+
+  /**
+   * Bring the site's webhooks in line with the registry
+   * @param {string} baseUrl - Deployment URL, e.g. https://search.example.com
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} - { webhookUrl, collections, staticPages, plan, created, removed, errors }
+   */
+  async reconcile(baseUrl, options = {}) {
+    const { dryRun = false } = options;
+    const webhookUrl = this.getWebhookUrl(baseUrl);
+    const collections = getWebhookManagedCollections().map(collection => collection.id);
+    const staticPages = config.getWebhooksConfig().staticPages;
+
+    const existing = await webflowClient.listWebhooks();
+    const plan = this.planReconciliation(existing, webhookUrl, this.getDesiredTriggerTypes());
+
+    this.logger.info('Webhook reconciliation planned', {
+      webhookUrl,
+      collections,
+      staticPages,
+      create: plan.create,
+      remove: plan.remove.map(webhook => webhook.triggerType),
+      keep: plan.keep.length,
+      dryRun
+    });
+
+    const result = { webhookUrl, collections, staticPages, plan, created: [], removed: [], errors: [] };
+
+    if (dryRun) {
+      return result;
+    }
+
+    // Sequential - a failure is recorded and the rest still run
+    for (const triggerType of plan.create) {
+      try {
+        result.created.push(await webflowClient.createWebhook({ triggerType, url: webhookUrl }));
+      } catch (error) {
+        result.errors.push({ action: 'create', triggerType, message: error.message });
+      }
+    }
+
+    for (const webhook of plan.remove) {
+      try {
+        await webflowClient.deleteWebhook(webhook.id);
+        result.removed.push(webhook);
+      } catch (error) {
+        result.errors.push({ action: 'remove', triggerType: webhook.triggerType, webhookId: webhook.id, message: error.message });
+      }
+    }
+
+    if (result.errors.length > 0) {
+      this.logger.warn('Webhook reconciliation finished with errors', { errors: result.errors });
+    } else {
+      this.logger.success(`Webhooks reconciled: ${result.created.length} created, ${result.removed.length} removed`);
+    }
+
+    return result;
+  }
+}
+
+export default new WebhookRegistration();
@@ -1,5 +1,6 @@
 import crypto from 'crypto';
 import logger from '../core/logger.js';
+import { CMS_ITEM_TRIGGER_TYPES, STATIC_PAGE_TRIGGER_TYPES } from './registration.js';
 
 const webhookLogger = logger.setContext('WebhookValidator');
 
@@ -73,8 +74,22 @@ export function validateWebhookPayload(payload) {
     };
   }
 
+  // Validate trigger type
+  if (!CMS_ITEM_TRIGGER_TYPES.includes(triggerType) && !STATIC_PAGE_TRIGGER_TYPES.includes(triggerType)) {
+    return {
+      valid: false,
+      error: `Invalid trigger type: ${triggerType}`
+    };
+  }
+
+  // Site and page events carry no collectionId; page events identify the page by pageId
+  const requiredFields = triggerType === 'site_publish'
+    ? ['siteId']
+    : STATIC_PAGE_TRIGGER_TYPES.includes(triggerType)
+      ? ['siteId', 'pageId']
+      : ['id', 'siteId', 'collectionId'];
+
   // Validate required fields in payload
-  const requiredFields = ['id', 'siteId', 'collectionId'];
   for (const field of requiredFields) {
     if (!webhookPayload[field]) {
       return {
@@ -84,30 +99,46 @@ export function validateWebhookPayload(payload) {
     }
   }
 
-  // Validate trigger type
-  const validTriggerTypes = [
-    'collection_item_created',
-    'collection_item_changed',
-    'collection_item_deleted',
-    'collection_item_unpublished',
-    'collection_item_published'
-  ];
-
-  if (!validTriggerTypes.includes(triggerType)) {
+  // Webflow sends no delivery ID, so a redelivered event is recognised by its content
+  const payloadHash = crypto
+    .createHash('sha256')
+    .update(`${triggerType}:${JSON.stringify(webhookPayload)}`)
+    .digest('hex');
+
+  if (triggerType === 'site_publish') {
     return {
-      valid: false,
-      error: `Invalid trigger type: ${triggerType}`
+      valid: true,
+      triggerType,
+      payloadHash,
+      siteId: webhookPayload.siteId,
+      publishedOn: webhookPayload.publishedOn,
+      domains: webhookPayload.domains || []
+    };
+  }
+
+  if (STATIC_PAGE_TRIGGER_TYPES.includes(triggerType)) {
+    return {
+      valid: true,
+      triggerType,
+      payloadHash,
+      siteId: webhookPayload.siteId,
+      pageId: webhookPayload.pageId,
+      pageTitle: webhookPayload.pageTitle
     };
   }
 
   return {
     valid: true,
     triggerType,
+    payloadHash,
     itemId: webhookPayload.id,
     siteId: webhookPayload.siteId,
     collectionId: webhookPayload.collectionId,
     isDraft: webhookPayload.isDraft,
     isArchived: webhookPayload.isArchived,
+    createdOn: webhookPayload.createdOn,
+    lastUpdated: webhookPayload.lastUpdated,
+    lastPublished: webhookPayload.lastPublished,
     fieldData: webhookPayload.fieldData
   };
 }
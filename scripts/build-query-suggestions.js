@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Build the query suggestions index used by /api/suggest
+ * Usage: node scripts/build-query-suggestions.js [--dry-run]
+ * Run after a full sync so suggestions match the indexed titles and tags.
+ */
+
+import dotenv from 'dotenv';
+import querySuggestions from '../lib/algolia/query-suggestions.js';
+import logger from '../lib/core/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const scriptLogger = logger.setContext('BuildQuerySuggestions');
+
+async function main() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+
+    const result = await querySuggestions.rebuild({ dryRun });
+
+    console.log(`\n💡 QUERY SUGGESTIONS${dryRun ? ' (dry run)' : ''}\n`);
+    console.log(`Index:        ${result.indexName}`);
+    console.log(`Records read: ${result.records}`);
+    console.log(`Suggestions:  ${result.suggestions}`);
+    console.log('\nMost popular:');
+    for (const suggestion of result.sample) {
+      console.log(`  ${String(suggestion.popularity).padStart(4)}  ${suggestion.query}`);
+    }
+
+    console.log('');
+    process.exit(0);
+
+  } catch (error) {
+    scriptLogger.error('Failed to build query suggestions', { error: error.message });
+    process.exit(1);
+  }
+}
+
+main();
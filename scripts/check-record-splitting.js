@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Check that long content is split into chunk records
+ * Usage: node scripts/check-record-splitting.js [--json]
+ *
+ * Runs a long CMS item and a long static page through their transformers and
+ * prepareObjectsForIndexing with ALGOLIA_SPLIT_RECORDS=true, without writing to
+ * Algolia. Exits non-zero when either comes out as a single record or a record
+ * loses its content.
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Split mode is read when the config loads, so it must be set before the imports below
+process.env.ALGOLIA_SPLIT_RECORDS = 'true';
+
+const { default: cmsTransformer } = await import('../lib/transformers/cms-transformer.js');
+const { default: pageTransformer } = await import('../lib/transformers/page-transformer.js');
+const { default: algoliaClient } = await import('../lib/algolia/client.js');
+
+const PARAGRAPH = 'Mizuho provides corporate and investment banking, transaction banking and markets services to clients around the world. '.repeat(8);
+const BODY = Array.from({ length: 50 }, () => `<p>${PARAGRAPH}</p>`).join('\n');
+
+function buildCmsItem() {
+  return {
+    id: 'check-record-splitting',
+    type: 'news',
+    title: 'Record splitting check',
+    slug: 'record-splitting-check',
+    url: '/news/record-splitting-check',
+    summary: 'A CMS item with long content',
+    content: BODY,
+    region: 'worldwide',
+    publishedDate: new Date().toISOString()
+  };
+}
+
+function buildStaticPage() {
+  return {
+    id: 'check-record-splitting',
+    title: 'Record splitting check',
+    slug: 'record-splitting-check',
+    url: '/record-splitting-check',
+    content: BODY
+  };
+}
+
+function checkRecords(name, records) {
+  const errors = [];
+
+  if (records.length < 2) {
+    errors.push(`${name}: expected several chunk records, got ${records.length}`);
+  }
+
+  for (const record of records) {
+    if (record.contentRemoved || !record.content) {
+      errors.push(`${name}: ${record.objectID} has no content`);
+    }
+  }
+
+  return {
+    name,
+    records: records.map(record => ({
+      objectID: record.objectID,
+      chunkIndex: record.chunkIndex,
+      chunkCount: record.chunkCount,
+      contentLength: record.content?.length || 0,
+      bytes: Buffer.byteLength(JSON.stringify(record), 'utf8')
+    })),
+    errors
+  };
+}
+
+async function main() {
+  const json = process.argv.includes('--json');
+
+  const cmsRecords = await algoliaClient.prepareObjectsForIndexing(
+    cmsTransformer.transformForSearch([buildCmsItem()])
+  );
+  const pageRecords = await algoliaClient.prepareObjectsForIndexing(
+    pageTransformer.transformForSearch([buildStaticPage()])
+  );
+
+  const results = [
+    checkRecords('CMS item', cmsRecords),
+    checkRecords('Static page', pageRecords)
+  ];
+  const errors = results.flatMap(result => result.errors);
+
+  if (json) {
+    console.log(JSON.stringify({ success: errors.length === 0, results }, null, 2));
+  } else {
+    console.log('\n✂️  RECORD SPLITTING CHECK\n');
+    for (const result of results) {
+      console.log(`${result.errors.length === 0 ? '✅' : '❌'} ${result.name}: ${result.records.length} records`);
+      for (const record of result.records) {
+        console.log(`   ${record.objectID} (${record.contentLength} chars, ${record.bytes} bytes)`);
+      }
+    }
+    errors.forEach(error => console.log(`\n❌ ${error}`));
+  }
+
+  process.exit(errors.length === 0 ? 0 : 1);
+}
+
+main();
@@ -3,7 +3,9 @@
 /**
  * Clear and Re-sync Static Pages
  *
- * This script clears old/duplicate pages from Algolia and re-syncs with correct format
+ * This script clears old/duplicate pages from Algolia and re-syncs with correct format.
+ * The index is rebuilt in a temporary index and moved over the live one, so search
+ * keeps serving the old pages until the new ones are ready.
  */
 
 import 'dotenv/config';
@@ -55,37 +57,19 @@ async function clearAndResync() {
       console.log('✅ No static pages found. Nothing to clear!');
       console.log('   Proceeding to fresh sync.\n');
     } else {
-      console.log(`🗑️  Will delete ALL ${staticPages.length} static pages and resync from Webflow`);
+      console.log(`🗑️  Will replace ALL ${staticPages.length} static pages with a fresh sync from Webflow`);
       console.log('');
     }
 
-    // Step 2: Delete ALL static pages (not just old format)
-    if (staticPages.length > 0) {
-      log.step(`Step 2: Deleting ${staticPages.length} static pages...`);
-
-      const objectIDsToDelete = staticPages.map(obj => obj.objectID);
-
-      // Delete in batches of 1000
-      const batchSize = 1000;
-      for (let i = 0; i < objectIDsToDelete.length; i += batchSize) {
-        const batch = objectIDsToDelete.slice(i, i + batchSize);
-        await index.deleteObjects(batch);
-        console.log(`   Deleted batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(objectIDsToDelete.length / batchSize)} (${batch.length} objects)`);
-      }
-
-      log.success(`Deleted ${objectIDsToDelete.length} static pages`);
-      console.log('');
-    }
-
-    // Step 3: Fetch fresh pages from Webflow
-    log.step('Step 3: Fetching pages from Webflow...');
+    // Step 2: Fetch fresh pages from Webflow
+    log.step('Step 2: Fetching pages from Webflow...');
 
     const pages = await staticPagesFetcher.fetchAllPages({ fetchAllLocales: true });
     console.log(`   Fetched ${pages.length} pages from Webflow`);
     console.log('');
 
-    // Step 4: Transform pages
-    log.step('Step 4: Transforming pages for Algolia...');
+    // Step 3: Transform pages
+    log.step('Step 3: Transforming pages for Algolia...');
 
     const transformedPages = pageTransformer.transformForAlgolia(pages, { includeContent: true });
     console.log(`   Transformed ${transformedPages.length} pages`);
@@ -97,15 +81,17 @@ async function clearAndResync() {
     console.log(`   Format check: ${samplePage?.objectID?.startsWith('page_') ? '✅ Correct' : '❌ Wrong'}`);
     console.log('');
 
-    // Step 5: Index to Algolia
-    log.step('Step 5: Indexing to Algolia...');
+    // Step 4: Rebuild the index with the fresh pages, keeping every non-page record
+    log.step('Step 4: Rebuilding index with fresh pages...');
 
-    const indexResult = await algoliaClient.indexObjects(transformedPages, { clearIndex: false });
-    console.log(`   Indexed ${indexResult.indexed} pages`);
+    const indexResult = await algoliaClient.atomicReindex(transformedPages, {
+      keepExisting: (obj) => obj.type !== 'static-page'
+    });
+    console.log(`   Indexed ${indexResult.indexed} pages (${indexResult.previousCount} → ${indexResult.newCount} records)`);
     console.log('');
 
-    // Step 6: Verify final state
-    log.step('Step 6: Verifying final index state...');
+    // Step 5: Verify final state
+    log.step('Step 5: Verifying final index state...');
 
     const finalObjects = [];
     await index.browseObjects({
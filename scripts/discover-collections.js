@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Compare the Webflow site's collections with config/collections.json
+ * Usage: node scripts/discover-collections.js [--draft] [--json]
+ *   --draft  Print a draft registry entry for each unconfigured collection
+ *   --json   Print the raw report
+ *
+ * Exits with code 2 when a configured collection's mapping references fields
+ * missing from its Webflow schema, so it can gate a deploy.
+ */
+
+import dotenv from 'dotenv';
+import collectionDiscovery from '../lib/webflow/collection-discovery.js';
+import logger from '../lib/core/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const scriptLogger = logger.setContext('DiscoverCollections');
+
+async function main() {
+  try {
+    const args = process.argv.slice(2);
+    const report = await collectionDiscovery.discover({ draft: args.includes('--draft') });
+    const exitCode = report.summary.withDrift > 0 ? 2 : 0;
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(exitCode);
+    }
+
+    const { summary } = report;
+    console.log(`\n🔎 COLLECTION DISCOVERY: ${summary.siteCollections} collections on the site, ${summary.configured} configured\n`);
+
+    for (const collection of report.configured) {
+      const drifted = collection.missingFields.filter(field => field.source !== 'common');
+      const fallbacks = collection.missingFields.filter(field => field.source === 'common');
+
+      if (drifted.length === 0 && collection.newFields.length === 0) {
+        console.log(`✅ ${collection.id}`);
+        continue;
+      }
+
+      console.log(`${drifted.length ? '❌' : 'ℹ️ '} ${collection.id}`);
+      for (const field of drifted) {
+        console.log(`   missing field '${field.field}' (mapped as ${field.key}, from ${field.source} mapping)`);
+      }
+      for (const field of collection.newFields) {
+        console.log(`   unmapped ${field.type} field '${field.slug}' (${field.displayName})`);
+      }
+      if (drifted.length && fallbacks.length) {
+        console.log(`   common fallbacks not in schema: ${fallbacks.map(field => field.field).join(', ')}`);
+      }
+    }
+
+    if (report.unconfigured.length) {
+      console.log('\n📭 Not configured:');
+      for (const collection of report.unconfigured) {
+        const hint = collection.registryId
+          ? `in the registry as ${collection.registryId} - set ${collection.envVar}=${collection.webflowId}`
+          : 'not in the registry';
+        console.log(`   ${collection.slug.padEnd(32)} ${collection.webflowId}  ${hint}`);
+
+        if (collection.draftEntry) {
+          console.log(JSON.stringify(collection.draftEntry, null, 2).replace(/^/gm, '     '));
+        }
+      }
+    }
+
+    if (report.missingOnSite.length) {
+      console.log('\n🚫 Configured but not on the site:');
+      for (const collection of report.missingOnSite) {
+        console.log(`   ${collection.id.padEnd(32)} ${collection.webflowId}${collection.envVar ? ` (${collection.envVar})` : ''}`);
+      }
+    }
+
+    console.log('');
+    process.exit(exitCode);
+  } catch (error) {
+    scriptLogger.error('Collection discovery failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+main();
@@ -3,40 +3,51 @@
 /**
  * Manage Webflow Webhooks
  *
- * This script helps you list, inspect, and delete Webflow webhooks.
+ * This script helps you list, inspect, reconcile and delete Webflow webhooks.
  *
  * Usage:
- *   node scripts/manage-webhooks.js list                    # List all webhooks
- *   node scripts/manage-webhooks.js delete <webhook-id>     # Delete a specific webhook
- *   node scripts/manage-webhooks.js clean-bto               # Delete all BTO webhooks
+ *   node scripts/manage-webhooks.js list                        # List all webhooks
+ *   node scripts/manage-webhooks.js reconcile <base-url> [--dry-run]
+ *                                                               # Match webhooks to the registry
+ *   node scripts/manage-webhooks.js delete <webhook-id>         # Delete a specific webhook
+ *   node scripts/manage-webhooks.js clean [base-url]            # Delete all search webhooks
  */
 
-import axios from 'axios';
 import dotenv from 'dotenv';
+import webflowClient from '../lib/webflow/client.js';
+import webhookRegistration, { WEBHOOK_PATH } from '../lib/webhooks/registration.js';
+import { getWebhookManagedCollections } from '../lib/constants/collections.js';
 
 dotenv.config();
 
-const WEBFLOW_API_TOKEN = process.env.WEBFLOW_API_TOKEN;
-const WEBFLOW_SITE_ID = process.env.WEBFLOW_SITE_ID;
-const BTO_COLLECTION_ID = process.env.CMS_BEYOND_THE_OBVIOUS;
-
-const command = process.argv[2];
-const webhookId = process.argv[3];
+const [command, argument] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const dryRun = process.argv.includes('--dry-run');
 
 console.log('\n🔧 Webflow Webhook Management');
 console.log('==============================\n');
 
 // Validate environment variables
-if (!WEBFLOW_API_TOKEN) {
+if (!process.env.WEBFLOW_API_TOKEN) {
   console.error('❌ Error: WEBFLOW_API_TOKEN not set in environment');
   process.exit(1);
 }
 
-if (!WEBFLOW_SITE_ID) {
+if (!process.env.WEBFLOW_SITE_ID) {
   console.error('❌ Error: WEBFLOW_SITE_ID not set in environment');
   process.exit(1);
 }
 
+function printError(message, error) {
+  console.error(`❌ ${message}`);
+  if (error.response) {
+    console.error(`Status: ${error.response.status}`);
+    console.error(`Error: ${JSON.stringify(error.response.data, null, 2)}`);
+  } else {
+    console.error(`Error: ${error.message}`);
+  }
+  console.log('');
+}
+
 /**
  * List all webhooks
  */
@@ -44,19 +55,9 @@ async function listWebhooks() {
   try {
     console.log('📋 Fetching webhooks...\n');
 
-    const response = await axios.get(
-      `https://api.webflow.com/v2/sites/${WEBFLOW_SITE_ID}/webhooks`,
-      {
-        headers: {
-          'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-          'accept': 'application/json'
-        }
-      }
-    );
+    const webhooks = await webflowClient.listWebhooks();
 
-    const webhooks = response.data.webhooks || response.data;
-
-    if (!webhooks || webhooks.length === 0) {
+    if (webhooks.length === 0) {
       console.log('No webhooks found for this site.\n');
       return [];
     }
@@ -65,46 +66,52 @@ async function listWebhooks() {
     console.log('='.repeat(80));
 
     webhooks.forEach((webhook, index) => {
-      const webhookId = webhook.id || webhook._id;
-      console.log(`\n${index + 1}. Webhook ID: ${webhookId}`);
+      console.log(`\n${index + 1}. Webhook ID: ${webhook.id}`);
       console.log(`   Trigger Type: ${webhook.triggerType}`);
       console.log(`   URL: ${webhook.url}`);
       console.log(`   Created: ${webhook.createdOn || 'N/A'}`);
 
-      if (webhook.filter) {
-        if (webhook.filter.collectionIds && webhook.filter.collectionIds.length > 0) {
-          console.log(`   Collection Filter: ${webhook.filter.collectionIds.join(', ')}`);
-
-          // Highlight if it's for BTO collection
-          if (BTO_COLLECTION_ID && webhook.filter.collectionIds.includes(BTO_COLLECTION_ID)) {
-            console.log(`   🎯 This is for Beyond the Obvious collection`);
-          }
-        } else {
-          console.log(`   Collection Filter: All collections`);
-        }
-      } else {
-        console.log(`   Collection Filter: All collections (no filter)`);
+      if (webhook.url?.endsWith(WEBHOOK_PATH)) {
+        console.log('   🎯 Search index webhook');
       }
     });
 
+    const managed = getWebhookManagedCollections().map(collection => collection.id);
     console.log('\n' + '='.repeat(80));
-    console.log('');
+    console.log(`\nWebhook-managed collections: ${managed.join(', ') || 'none'}\n`);
 
     return webhooks;
 
   } catch (error) {
-    console.error('❌ Failed to list webhooks');
-    if (error.response) {
-      console.error(`Status: ${error.response.status}`);
-      console.error(`Error: ${JSON.stringify(error.response.data, null, 2)}`);
-    } else {
-      console.error(`Error: ${error.message}`);
-    }
-    console.log('');
+    printError('Failed to list webhooks', error);
     return [];
   }
 }
 
+/**
+ * Create and remove webhooks so they match the webhook-managed collections
+ */
+async function reconcileWebhooks(baseUrl) {
+  try {
+    const result = await webhookRegistration.reconcile(baseUrl, { dryRun });
+    const { plan } = result;
+
+    console.log(`🔄 Reconciling ${result.webhookUrl}${dryRun ? ' (dry run)' : ''}\n`);
+    plan.keep.forEach(webhook => console.log(`   ✓ keep    ${webhook.triggerType} (${webhook.id})`));
+    plan.create.forEach(triggerType => console.log(`   + create  ${triggerType}`));
+    plan.remove.forEach(webhook => console.log(`   - remove  ${webhook.triggerType} (${webhook.id})`));
+    result.errors.forEach(error => console.log(`   ❌ ${error.action} ${error.triggerType}: ${error.message}`));
+    console.log('');
+
+    if (result.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    printError('Failed to reconcile webhooks', error);
+    process.exit(1);
+  }
+}
+
 /**
  * Delete a webhook by ID
  */
@@ -112,77 +119,49 @@ async function deleteWebhook(webhookId) {
   try {
     console.log(`🗑️  Deleting webhook: ${webhookId}...\n`);
 
-    await axios.delete(
-      `https://api.webflow.com/v2/sites/${WEBFLOW_SITE_ID}/webhooks/${webhookId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-          'accept': 'application/json'
-        }
-      }
-    );
+    await webflowClient.deleteWebhook(webhookId);
 
     console.log('✅ Webhook deleted successfully!\n');
     return true;
 
   } catch (error) {
-    console.error('❌ Failed to delete webhook');
-    if (error.response) {
-      console.error(`Status: ${error.response.status}`);
-      console.error(`Error: ${JSON.stringify(error.response.data, null, 2)}`);
-    } else {
-      console.error(`Error: ${error.message}`);
-    }
-    console.log('');
+    printError('Failed to delete webhook', error);
     return false;
   }
 }
 
 /**
- * Delete all webhooks for Beyond the Obvious collection
+ * Delete every webhook pointing at the search webhook endpoint
+ * With a base URL, only that deployment's webhooks are deleted.
  */
-async function cleanBTOWebhooks() {
-  if (!BTO_COLLECTION_ID) {
-    console.error('❌ Error: CMS_BEYOND_THE_OBVIOUS not set in environment');
-    process.exit(1);
-  }
+async function cleanWebhooks(baseUrl) {
+  const target = baseUrl ? webhookRegistration.getWebhookUrl(baseUrl) : null;
 
-  console.log('🧹 Cleaning up Beyond the Obvious webhooks...\n');
+  console.log(`🧹 Cleaning up search webhooks${target ? ` for ${target}` : ''}...\n`);
 
   const webhooks = await listWebhooks();
-
-  if (webhooks.length === 0) {
-    console.log('No webhooks to clean up.\n');
-    return;
-  }
-
-  const btoWebhooks = webhooks.filter(wh =>
-    wh.filter?.collectionIds?.includes(BTO_COLLECTION_ID)
+  const searchWebhooks = webhooks.filter(webhook =>
+    target ? webhook.url === target : webhook.url?.endsWith(WEBHOOK_PATH)
   );
 
-  if (btoWebhooks.length === 0) {
-    console.log('No Beyond the Obvious webhooks found.\n');
+  if (searchWebhooks.length === 0) {
+    console.log('No search webhooks found.\n');
     return;
   }
 
-  console.log(`Found ${btoWebhooks.length} Beyond the Obvious webhook(s) to delete.\n`);
+  console.log(`Found ${searchWebhooks.length} search webhook(s) to delete.\n`);
 
   let deletedCount = 0;
-  for (const webhook of btoWebhooks) {
-    const webhookId = webhook.id || webhook._id;
-    console.log(`Deleting: ${webhook.triggerType} (${webhookId})`);
+  for (const webhook of searchWebhooks) {
+    console.log(`Deleting: ${webhook.triggerType} (${webhook.id})`);
 
-    const success = await deleteWebhook(webhookId);
-    if (success) {
+    if (await deleteWebhook(webhook.id)) {
       deletedCount++;
     }
-
-    // Add delay between deletes
-    await new Promise(resolve => setTimeout(resolve, 500));
   }
 
   console.log('\n---\n');
-  console.log(`✅ Deleted ${deletedCount} out of ${btoWebhooks.length} webhook(s)\n`);
+  console.log(`✅ Deleted ${deletedCount} out of ${searchWebhooks.length} webhook(s)\n`);
 }
 
 /**
@@ -192,14 +171,17 @@ function showUsage() {
   console.log('Usage:\n');
   console.log('  node scripts/manage-webhooks.js list');
   console.log('    → List all webhooks for this site\n');
+  console.log('  node scripts/manage-webhooks.js reconcile <base-url> [--dry-run]');
+  console.log('    → Create or remove webhooks to match the webhook-managed collections\n');
   console.log('  node scripts/manage-webhooks.js delete <webhook-id>');
   console.log('    → Delete a specific webhook by ID\n');
-  console.log('  node scripts/manage-webhooks.js clean-bto');
-  console.log('    → Delete all webhooks for Beyond the Obvious collection\n');
+  console.log('  node scripts/manage-webhooks.js clean [base-url]');
+  console.log('    → Delete all search webhooks, or only those of one deployment\n');
   console.log('Examples:\n');
   console.log('  node scripts/manage-webhooks.js list');
+  console.log('  node scripts/manage-webhooks.js reconcile https://your-project.vercel.app --dry-run');
   console.log('  node scripts/manage-webhooks.js delete 6789abc123def456');
-  console.log('  node scripts/manage-webhooks.js clean-bto\n');
+  console.log('  node scripts/manage-webhooks.js clean https://old-preview.vercel.app\n');
 }
 
 // Main command handler
@@ -209,17 +191,26 @@ async function main() {
       await listWebhooks();
       break;
 
+    case 'reconcile':
+      if (!argument) {
+        console.error('❌ Error: Please provide the deployment base URL\n');
+        showUsage();
+        process.exit(1);
+      }
+      await reconcileWebhooks(argument);
+      break;
+
     case 'delete':
-      if (!webhookId) {
+      if (!argument) {
         console.error('❌ Error: Please provide a webhook ID to delete\n');
         showUsage();
         process.exit(1);
       }
-      await deleteWebhook(webhookId);
+      await deleteWebhook(argument);
       break;
 
-    case 'clean-bto':
-      await cleanBTOWebhooks();
+    case 'clean':
+      await cleanWebhooks(argument);
       break;
 
     case 'help':
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Report zero-result queries and top queries per region
+ * Usage: node scripts/search-analytics.js [--since=<date>] [--until=<date>] [--region=<region>]
+ *        [--limit=<n>] [--json]
+ * Example: node scripts/search-analytics.js --since=2025-01-01 --region=japan
+ *
+ * Reads the store selected by SEARCH_ANALYTICS_BACKEND - locally that is the
+ * file store, so run it against production with SEARCH_ANALYTICS_BACKEND=algolia.
+ */
+
+import dotenv from 'dotenv';
+import searchAnalytics from '../lib/algolia/search-analytics.js';
+import logger from '../lib/core/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const scriptLogger = logger.setContext('SearchAnalytics');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+}
+
+function parseDate(value) {
+  if (!value) return undefined;
+  if (value === 'yesterday') {
+    const date = new Date();
+    date.setDate(date.getDate() - 1);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  }
+  return new Date(value);
+}
+
+function percent(rate) {
+  return `${Math.round(rate * 1000) / 10}%`;
+}
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    const report = await searchAnalytics.getReport({
+      since: parseDate(args.since),
+      until: parseDate(args.until),
+      region: args.region?.toLowerCase(),
+      limit: parseInt(args.limit) || 20
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(0);
+    }
+
+    const { totals } = report;
+    console.log(`\n🔎 SEARCH ANALYTICS (${report.since.slice(0, 10)} to ${report.until.slice(0, 10)}, ${report.backend} store)\n`);
+    console.log(`   ${totals.searches} searches | ${totals.zeroResultSearches} without results (${percent(totals.zeroResultRate)}) | ${totals.clicks} clicks, CTR ${percent(totals.clickThroughRate)} | ${totals.conversions} conversions`);
+
+    console.log('\n❌ ZERO-RESULT QUERIES\n');
+    if (report.zeroResultQueries.length === 0) {
+      console.log('   None');
+    }
+    for (const entry of report.zeroResultQueries) {
+      console.log(`   ${String(entry.count).padStart(5)}  ${entry.query}  (${entry.regions.join(', ')}; last ${entry.lastSearchedAt.slice(0, 10)})`);
+    }
+
+    for (const [region, queries] of Object.entries(report.topQueriesByRegion)) {
+      console.log(`\n📈 TOP QUERIES - ${region}\n`);
+      for (const entry of queries) {
+        const zeroResults = entry.zeroResults ? `, ${entry.zeroResults} without results` : '';
+        console.log(`   ${String(entry.count).padStart(5)}  ${entry.query}  (CTR ${percent(entry.clickThroughRate)}${zeroResults})`);
+      }
+    }
+
+    console.log('');
+    process.exit(0);
+
+  } catch (error) {
+    scriptLogger.error('Failed to build search analytics report', { error: error.message });
+    process.exit(1);
+  }
+}
+
+main();
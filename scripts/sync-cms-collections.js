@@ -4,6 +4,7 @@ import logger from '../lib/core/logger.js';
 import config from '../lib/core/config.js';
 import webflowClient from '../lib/webflow/client.js';
 import algoliaClient from '../lib/algolia/client.js';
+import indexSettings from '../lib/algolia/index-settings.js';
 import cmsFetcher from '../lib/webflow/cms-fetcher.js';
 import staticPagesFetcher from '../lib/webflow/static-fetcher.js';
 import cmsTransformer from '../lib/transformers/cms-transformer.js';
@@ -175,8 +176,12 @@ class CMSCollectionSyncer {
     this.logger.step('Configuring Algolia index settings');
     
     try {
-      await algoliaClient.configureIndex();
-      this.logger.success('Algolia index configured with optimal settings');
+      // Applied through indexSettings so the change is recorded as a settings version
+      const plan = await indexSettings.plan();
+      const version = await indexSettings.apply(plan);
+      this.logger.success(version
+        ? `Algolia index configured with optimal settings (settings version ${version.version})`
+        : 'Algolia index settings already up to date');
     } catch (error) {
       this.logger.error('Failed to configure Algolia index', { error: error.message });
       throw error;
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * List recorded sync runs, newest first
+ * Usage: node scripts/sync-history.js [--since=<date>] [--until=<date>] [--type=<runType>]
+ *        [--trigger=cron|manual|webhook] [--region=<region>] [--collection=<slug>]
+ *        [--status=success|failed|skipped] [--limit=<n>] [--json]
+ * Example: node scripts/sync-history.js --since=yesterday --status=failed
+ */
+
+import dotenv from 'dotenv';
+import syncHistory from '../lib/algolia/sync-history.js';
+import logger from '../lib/core/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const scriptLogger = logger.setContext('SyncHistory');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+}
+
+function parseDate(value) {
+  if (!value) return undefined;
+  if (value === 'yesterday') {
+    const date = new Date();
+    date.setDate(date.getDate() - 1);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  }
+  return new Date(value);
+}
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    const runs = await syncHistory.listRuns({
+      since: parseDate(args.since),
+      until: parseDate(args.until),
+      runType: args.type,
+      trigger: args.trigger,
+      region: args.region,
+      collectionSlug: args.collection,
+      status: args.status,
+      limit: parseInt(args.limit) || 50
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(runs, null, 2));
+      process.exit(0);
+    }
+
+    console.log(`\n📜 SYNC HISTORY (${runs.length} runs)\n`);
+
+    for (const run of runs) {
+      const icon = { success: '✅', failed: '❌', skipped: '⏭️ ' }[run.status] || '•';
+      const target = run.collectionSlug || run.region;
+      const { created, updated, deleted, skipped } = run.counts;
+
+      console.log(`${icon} ${run.startedAt}  ${run.runType.padEnd(26)} ${run.trigger.padEnd(8)} ${target}`);
+      console.log(`   ${Math.round(run.durationMs / 1000)}s | created ${created}, updated ${updated}, deleted ${deleted}, skipped ${skipped} | Webflow requests ${run.webflow.requests}${run.webflow.rateLimited ? ` (${run.webflow.rateLimited} rate limited)` : ''}`);
+
+      if (run.message) {
+        console.log(`   ${run.message}`);
+      }
+      for (const error of run.errors) {
+        console.log(`   ⚠️  ${error.collectionSlug ? `${error.collectionSlug}: ` : ''}${error.message}`);
+      }
+    }
+
+    console.log('');
+    process.exit(0);
+
+  } catch (error) {
+    scriptLogger.error('Failed to list sync history', { error: error.message });
+    process.exit(1);
+  }
+}
+
+main();
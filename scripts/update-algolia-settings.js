@@ -3,76 +3,241 @@
 /**
  * Update Algolia Index Settings
  *
- * This script updates the Algolia index with the optimal search settings,
- * including the new openGraphDescription searchable attribute.
+ * Compares the live settings of the index and its sort replicas with the ones
+ * in lib/algolia/client.js, and the live synonyms and query rules with
+ * config/synonyms.json and config/rules.json. Shows every difference and
+ * applies them after confirmation. Each settings change is recorded as a
+ * version that can be rolled back.
+ *
+ * Usage:
+ *   node scripts/update-algolia-settings.js                   # Show changes, apply after confirmation
+ *   node scripts/update-algolia-settings.js --yes             # Apply without asking
+ *   node scripts/update-algolia-settings.js --dry-run         # Show changes only
+ *   node scripts/update-algolia-settings.js --relevance-only  # Synonyms and rules, not settings
+ *   node scripts/update-algolia-settings.js --export          # Write live synonyms and rules to config/
+ *   node scripts/update-algolia-settings.js --history [--limit=<n>]  # List settings versions
+ *   node scripts/update-algolia-settings.js --rollback[=<version>]   # Return to a version (default: undo the latest)
  */
 
 import 'dotenv/config';
-import algoliaClient from '../lib/algolia/client.js';
+import readline from 'readline/promises';
+import indexSettings from '../lib/algolia/index-settings.js';
+import searchRelevance from '../lib/algolia/relevance.js';
 import logger from '../lib/core/logger.js';
 
-async function updateSettings() {
-  logger.step('Starting Algolia index settings update');
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+}
 
+const args = parseArgs(process.argv.slice(2));
+const dryRun = Boolean(args['dry-run']);
+const relevanceOnly = Boolean(args['relevance-only']);
+
+async function confirm(question) {
+  if (args.yes) {
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    console.log('\nNot a terminal - run with --yes to apply without a prompt.');
+    return false;
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
   try {
-    // Initialize Algolia client
-    await algoliaClient.init();
-
-    // Get current settings
-    logger.info('Fetching current index settings...');
-    const currentSettings = await algoliaClient.getSettings();
-
-    console.log('\n📋 CURRENT SEARCHABLE ATTRIBUTES:');
-    console.log('═══════════════════════════════════');
-    if (currentSettings.searchableAttributes) {
-      currentSettings.searchableAttributes.forEach((attr, i) => {
-        console.log(`  ${i + 1}. ${attr}`);
-      });
-    } else {
-      console.log('  No searchable attributes configured');
+    const answer = await prompt.question(`\n${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
+  }
+}
+
+function formatValue(value) {
+  return value === null ? '(not set)' : JSON.stringify(value);
+}
+
+function printSettingsChanges(label, plan) {
+  console.log(`\n⚙️  ${label.toUpperCase()}:`);
+  console.log('═══════════════════════════════════');
+
+  if (plan.changes.length === 0) {
+    console.log('  No differences');
+    return;
+  }
+
+  let currentIndex = null;
+  for (const change of plan.changes) {
+    if (change.indexName !== currentIndex) {
+      currentIndex = change.indexName;
+      console.log(`  ${currentIndex}`);
     }
 
-    // Update to optimal settings
-    logger.step('Updating index settings with optimal configuration...');
-    await algoliaClient.configureIndex();
-
-    // Get updated settings
-    const updatedSettings = await algoliaClient.getSettings();
-
-    console.log('\n✅ UPDATED SEARCHABLE ATTRIBUTES:');
-    console.log('═══════════════════════════════════');
-    if (updatedSettings.searchableAttributes) {
-      updatedSettings.searchableAttributes.forEach((attr, i) => {
-        const isNew = !currentSettings.searchableAttributes?.includes(attr);
-        const marker = isNew ? '✨ NEW' : '';
-        console.log(`  ${i + 1}. ${attr} ${marker}`);
-      });
+    if (!change.added) {
+      console.log(`    ~ ${change.attribute}: ${formatValue(change.live)} → ${formatValue(change.desired)}`);
+      continue;
     }
 
-    console.log('\n📊 SETTINGS SUMMARY:');
-    console.log('═══════════════════════════════════');
-    console.log(`Index Name:              ${process.env.ALGOLIA_INDEX_NAME || 'mizuho_content'}`);
-    console.log(`Searchable Attributes:   ${updatedSettings.searchableAttributes?.length || 0}`);
-    console.log(`Facets:                  ${updatedSettings.attributesForFaceting?.length || 0}`);
-    console.log(`Custom Ranking:          ${updatedSettings.customRanking?.join(', ') || 'None'}`);
-    console.log(`Typo Tolerance:          ${updatedSettings.typoTolerance}`);
-    console.log(`Hits Per Page:           ${updatedSettings.hitsPerPage}`);
-
-    logger.success('Index settings updated successfully!');
-
-    console.log('\n💡 NEXT STEPS:');
-    console.log('═══════════════════════════════════');
-    console.log('1. The new openGraphDescription field is now searchable');
-    console.log('2. Re-sync your static pages to populate this field:');
-    console.log('   npm run sync-pages');
-    console.log('3. Test your frontend search with keywords from Open Graph descriptions');
-    console.log('4. The changes are immediate - no cache clearing needed\n');
+    console.log(`    ~ ${change.attribute}`);
+    change.added.forEach(value => console.log(`        + ${value}`));
+    change.removed.forEach(value => console.log(`        - ${value}`));
+    if (change.added.length === 0 && change.removed.length === 0) {
+      console.log(`        order: ${formatValue(change.live)}`);
+      console.log(`            → ${formatValue(change.desired)}`);
+    }
+  }
+  console.log(`  ${plan.changes.length} attribute(s) differ`);
+}
+
+async function printHistory() {
+  const versions = await indexSettings.listVersions({ limit: parseInt(args.limit) || 20 });
+
+  console.log('\n📜 SETTINGS VERSIONS:');
+  console.log('═══════════════════════════════════');
+  if (versions.length === 0) {
+    console.log('  No versions recorded yet');
+  }
+  for (const version of versions) {
+    const action = version.action === 'rollback' ? `rollback to v${version.rolledBackTo}` : version.action;
+    console.log(`  v${version.version}  ${version.appliedAt}  ${action}${version.appliedBy ? ` by ${version.appliedBy}` : ''}`);
+    console.log(`      ${version.changes.map(change => `${change.indexName}.${change.attribute}`).join(', ')}`);
+  }
+  console.log('');
+}
+
+async function rollback() {
+  const plan = await indexSettings.planRollback(args.rollback === true ? null : parseInt(args.rollback));
+  printSettingsChanges(`Rollback to version ${plan.toVersion}`, plan);
+
+  if (plan.inSync || dryRun) {
+    console.log('');
+    return;
+  }
+
+  if (!(await confirm(`Roll back ${plan.changes.length} attribute(s) to version ${plan.toVersion}?`))) {
+    console.log('Nothing applied.\n');
+    return;
+  }
+
+  const version = await indexSettings.apply(plan, { action: 'rollback', rolledBackTo: plan.toVersion });
+  console.log(`\n↩️  Rolled back to version ${plan.toVersion}, recorded as version ${version.version}`);
+  console.log('   /api/health reports drift until lib/algolia/client.js matches again.\n');
+}
+
+function describeSynonym(synonym) {
+  switch (synonym.type) {
+    case 'oneWaySynonym':
+      return `${synonym.input} → ${synonym.synonyms.join(', ')}`;
+    case 'altCorrection1':
+    case 'altCorrection2':
+      return `${synonym.word} ~ ${synonym.corrections.join(', ')}`;
+    case 'placeholder':
+      return `${synonym.placeholder} = ${synonym.replacements.join(', ')}`;
+    default:
+      return synonym.synonyms.join(' ↔ ');
+  }
+}
+
+function describeRule(rule) {
+  const patterns = (rule.conditions || []).map(condition => `"${condition.pattern ?? ''}"`).join(', ');
+  return `${rule.description || 'no description'}${patterns ? ` [${patterns}]` : ''}`;
+}
+
+function printChanges(label, changes, describe) {
+  console.log(`\n🔤 ${label.toUpperCase()}:`);
+  console.log('═══════════════════════════════════');
+  changes.create.forEach(entry => console.log(`  + ${entry.objectID}: ${describe(entry)}`));
+  changes.update.forEach(change => {
+    console.log(`  ~ ${change.objectID}`);
+    console.log(`      live:    ${describe(change.live)}`);
+    console.log(`      desired: ${describe(change.desired)}`);
+  });
+  changes.remove.forEach(objectID => console.log(`  - ${objectID} (not in config, will be deleted)`));
+  (changes.unresolved || []).forEach(entry => console.log(`  ⚠️  ${entry.objectID}: no record at ${entry.urls.join(', ')} - left unchanged`));
+  console.log(`  ${changes.create.length} to create, ${changes.update.length} to update, ${changes.remove.length} to delete, ${changes.unchanged} unchanged`);
+}
+
+function countRelevanceChanges(plan) {
+  return ['create', 'update', 'remove']
+    .reduce((sum, key) => sum + plan.synonyms[key].length + plan.rules[key].length, 0);
+}
+
+async function update() {
+  logger.step('Comparing index settings, synonyms and rules with the live index');
+
+  const settingsPlan = relevanceOnly ? null : await indexSettings.plan();
+  const relevancePlan = await searchRelevance.plan();
+
+  if (!relevancePlan.valid) {
+    console.log('\n❌ INVALID SYNONYMS OR RULES:');
+    relevancePlan.errors.forEach(error => console.log(`  ${error}`));
+    process.exit(1);
+  }
+
+  if (settingsPlan) {
+    printSettingsChanges('Index settings', settingsPlan);
+  }
+  printChanges('Synonyms', relevancePlan.synonyms, describeSynonym);
+  printChanges('Rules', relevancePlan.rules, describeRule);
+
+  const settingsChanges = settingsPlan?.changes.length || 0;
+  const relevanceChanges = countRelevanceChanges(relevancePlan);
+  const changeCount = settingsChanges + relevanceChanges;
+
+  if (changeCount === 0) {
+    logger.success('Index settings, synonyms and rules are up to date');
+    return;
+  }
+
+  if (dryRun) {
+    console.log(`\n🔍 Dry run - ${changeCount} change(s) not applied\n`);
+    return;
+  }
+
+  if (!(await confirm(`Apply ${changeCount} change(s)?`))) {
+    console.log('Nothing applied.\n');
+    return;
+  }
+
+  if (settingsChanges > 0) {
+    const version = await indexSettings.apply(settingsPlan);
+    console.log(`\n✅ Index settings applied as version ${version.version} (roll back with --rollback)`);
+  }
+
+  if (relevanceChanges > 0) {
+    await searchRelevance.apply(relevancePlan);
+    console.log('✅ Synonyms and rules applied');
+  }
+  console.log('');
+}
+
+async function main() {
+  try {
+    if (args.export) {
+      const counts = await searchRelevance.exportToFiles();
+      console.log(`\n📤 Exported ${counts.synonyms} synonym(s) to config/synonyms.json and ${counts.rules} rule(s) to config/rules.json`);
+      console.log('   Review the changes with git diff before committing.\n');
+      return;
+    }
+
+    if (args.history) {
+      await printHistory();
+      return;
+    }
+
+    if (args.rollback) {
+      await rollback();
+      return;
+    }
 
+    await update();
   } catch (error) {
     logger.error('Failed to update index settings', { error: error.message });
-    console.error('\n❌ Error details:', error);
     process.exit(1);
   }
 }
 
-updateSettings();
+main();
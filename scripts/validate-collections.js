@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Validate the CMS collection registry
+ * Usage: node scripts/validate-collections.js [path/to/collections.json] [--json]
+ * Example: node scripts/validate-collections.js config/collections.json
+ *
+ * Exits non-zero when the registry has errors. Warnings and collections without
+ * a Webflow ID in the environment are reported but do not fail the check.
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { loadCollectionRegistry, COLLECTION_REGISTRY_PATH } from '../lib/constants/collection-registry.js';
+
+// Load environment variables
+dotenv.config();
+
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const fileArg = args.find(arg => !arg.startsWith('--'));
+  const filePath = fileArg ? path.resolve(fileArg) : COLLECTION_REGISTRY_PATH;
+
+  const result = loadCollectionRegistry(filePath);
+
+  const collections = (result.registry?.collections || []).map(collection => ({
+    id: collection.id,
+    region: collection.region,
+    contentType: collection.contentType,
+    configured: Boolean((collection.envVar && process.env[collection.envVar]) || collection.webflowId),
+    envVar: collection.envVar || null
+  }));
+
+  if (json) {
+    console.log(JSON.stringify({
+      success: result.success,
+      errors: result.errors,
+      warnings: result.warnings,
+      collections
+    }, null, 2));
+    process.exit(result.success ? 0 : 1);
+  }
+
+  console.log(`\n📋 COLLECTION REGISTRY: ${filePath instanceof URL ? filePath.pathname : filePath}\n`);
+
+  for (const error of result.errors) {
+    console.log(`❌ ${error}`);
+  }
+  for (const warning of result.warnings) {
+    console.log(`⚠️  ${warning}`);
+  }
+
+  if (!result.success) {
+    console.log(`\n${result.errors.length} error(s) - the registry will not load\n`);
+    process.exit(1);
+  }
+
+  const configured = collections.filter(collection => collection.configured);
+  console.log(`${result.warnings.length ? '\n' : ''}✅ ${collections.length} collections valid, ${configured.length} configured in this environment\n`);
+
+  for (const collection of collections) {
+    const status = collection.configured ? '✓' : `- (${collection.envVar} not set)`;
+    console.log(`   ${collection.id.padEnd(32)} ${collection.region.padEnd(14)} ${collection.contentType.padEnd(13)} ${status}`);
+  }
+
+  console.log('');
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect and replay queued webhook events
+ * Usage:
+ *   node scripts/webhook-events.js list [--status=pending|processing|succeeded|skipped|dead] [--type=<triggerType>]
+ *        [--since=<date>] [--until=<date>] [--limit=<n>] [--json]
+ *   node scripts/webhook-events.js replay <eventId...>
+ *   node scripts/webhook-events.js replay --since=<date> [--until=<date>] [--status=dead]
+ *   node scripts/webhook-events.js process
+ * Example: node scripts/webhook-events.js list --status=dead
+ */
+
+import dotenv from 'dotenv';
+import webhookEventQueue from '../lib/webhooks/event-queue.js';
+import logger from '../lib/core/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const scriptLogger = logger.setContext('WebhookEvents');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (const arg of argv) {
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+}
+
+function parseDate(value) {
+  if (!value) return undefined;
+  if (value === 'yesterday') {
+    const date = new Date();
+    date.setDate(date.getDate() - 1);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  }
+  return new Date(value);
+}
+
+function printEvent(event) {
+  const icon = { pending: '⏳', processing: '⚙️ ', succeeded: '✅', skipped: '⏭️ ', dead: '💀' }[event.status] || '•';
+  const target = event.payload.itemId || event.payload.pageId || event.payload.siteId;
+
+  console.log(`${icon} ${event.receivedAt}  ${event.eventId}  ${event.triggerType.padEnd(28)} ${target}`);
+  console.log(`   ${event.status}, ${event.attempts} attempt(s)${event.replays ? `, replayed ${event.replays}x` : ''}`);
+  if (event.status === 'skipped') {
+    console.log(`   ${event.result?.reason}`);
+  } else if (event.lastError && event.status !== 'succeeded') {
+    console.log(`   ⚠️  ${event.lastError}`);
+  }
+}
+
+function printOutcomes(result) {
+  for (const outcome of result.events || []) {
+    console.log(`   ${outcome.eventId}: ${outcome.status}${outcome.error || outcome.reason ? ` - ${outcome.error || outcome.reason}` : ''}`);
+  }
+}
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, ...eventIds] = args._;
+
+    switch (command) {
+      case 'list': {
+        const events = await webhookEventQueue.listEvents({
+          status: args.status,
+          triggerType: args.type,
+          since: parseDate(args.since),
+          until: parseDate(args.until),
+          limit: parseInt(args.limit) || 50
+        });
+
+        if (args.json) {
+          console.log(JSON.stringify(events, null, 2));
+          break;
+        }
+
+        console.log(`\n📬 WEBHOOK EVENTS (${events.length})\n`);
+        events.forEach(printEvent);
+        console.log('');
+        break;
+      }
+
+      case 'replay': {
+        if (eventIds.length === 0 && !args.since) {
+          console.error('❌ Provide event IDs or --since=<date>');
+          process.exit(1);
+        }
+
+        const replay = await webhookEventQueue.replay({
+          eventIds: eventIds.length > 0 ? eventIds : null,
+          since: parseDate(args.since),
+          until: parseDate(args.until),
+          status: args.status || 'dead'
+        });
+
+        console.log(`\n🔁 Replaying ${replay.queued.length} event(s)`);
+        replay.skipped.forEach(eventId => console.log(`   ${eventId}: skipped - being processed`));
+        replay.notFound.forEach(eventId => console.log(`   ${eventId}: not found`));
+
+        if (replay.queued.length > 0) {
+          const result = await webhookEventQueue.processQueue({ eventIds: replay.queued });
+          if (result.inProgress) {
+            console.log('   The queue worker is running and will process them');
+          }
+          printOutcomes(result);
+        }
+        console.log('');
+        break;
+      }
+
+      case 'process': {
+        const result = await webhookEventQueue.processQueue();
+        console.log(`\n⚙️  ${result.inProgress ? result.message : `Processed ${result.processed} event(s)`}`);
+        printOutcomes(result);
+        console.log('');
+        break;
+      }
+
+      default:
+        console.error('❌ Unknown command - use list, replay or process');
+        process.exit(1);
+    }
+
+    process.exit(0);
+
+  } catch (error) {
+    scriptLogger.error('Webhook events command failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+main();